@@ -6,6 +6,8 @@
  * Implements accurate building thermal modeling
  */
 
+const { lookupZip } = require('./services/zipCodeService');
+
 // ============================================================================
 // MODULE 1: PSYCHROMETRICS (ASHRAE Chapter 1)
 // ============================================================================
@@ -79,6 +81,24 @@ class Psychrometrics {
     
     return { T_db, RH, W, rho, c_p, h, P_atm, P_ws, altitude_ft };
   }
+
+  getHeatTransferConstants(airProps) {
+    const { rho, c_p } = airProps;
+
+    return {
+      // Sensible heat: Q_sens = Constant × CFM × ΔT
+      sensible: 60 * rho * c_p, // Btu/(hr·°F·CFM)
+
+      // Latent heat: Q_lat = Constant × CFM × ΔW (grains/lb)
+      latent: (60 * rho * this.h_fg) / 7000, // Btu/(hr·gr/lb·CFM)
+
+      // Total heat: Q_total = Constant × CFM × Δh
+      total: 60 * rho // Btu/(hr·Btu/lb·CFM)
+
+      // Reference (sea level, 70°F, 50% RH):
+      // sensible ≈ 1.08, latent ≈ 0.68, total ≈ 4.5
+    };
+  }
 }
 
 // ============================================================================
@@ -98,9 +118,55 @@ const MATERIAL_PROPERTIES = {
   'fiberglass_batt': { VHC: 0.03, conductivity: 0.27, density: 0.6 },
   'cellulose': { VHC: 0.07, conductivity: 0.27, density: 1.5 },
   'foam_board': { VHC: 0.15, conductivity: 0.20, density: 2.0 },
-  'air_gap': { VHC: 0.018, conductivity: 0.15, density: 0.075 }
+  'air_gap': { VHC: 0.018, conductivity: 0.15, density: 0.075, R: 1.0 },
+  'mineral_wool': { VHC: 0.8, conductivity: 0.24, density: 4.0 },
+  'spray_foam_closed_cell': { VHC: 0.6, conductivity: 0.16, density: 2.0 },
+  'stucco': { VHC: 23.2, conductivity: 5.0, density: 116 },
+  'vinyl_siding': { VHC: 0.5, conductivity: 0.61, density: 1.0, R: 0.61 }
+};
+// conductivity in Btu·in/(hr·ft²·°F); R is a fixed layer resistance (hr·ft²·°F/Btu)
+// for air spaces and lapped siding, whose resistance does not scale with thickness
+
+// Air film resistances (hr·ft²·°F/Btu), ASHRAE Fundamentals Ch. 26
+const AIR_FILM_R = { inside: 0.68, outside: 0.17 };
+
+// Layers at or above this R per inch count as insulation
+const INSULATION_R_PER_INCH = 2.0;
+
+// Wall sections by construction type, interior to exterior, thickness in inches.
+// A layer with `framing` is a parallel path: cavity material between studs.
+const DEFAULT_FRAMING_FRACTION = 0.25; // 16" o.c. studs, plates, headers
+const WALL_ASSEMBLIES = {
+  'wood_frame': [
+    { material: 'gypsum_drywall', thickness_in: 0.5 },
+    { material: 'fiberglass_batt', thickness_in: 3.5, framing: 'wood_studs' }, // 2x4 with R-13
+    { material: 'plywood', thickness_in: 0.5 }
+  ],
+  'brick': [
+    { material: 'gypsum_drywall', thickness_in: 0.5 },
+    { material: 'air_gap', thickness_in: 0.75 },
+    { material: 'brick', thickness_in: 4 }
+  ],
+  'concrete': [
+    { material: 'gypsum_drywall', thickness_in: 0.5 },
+    { material: 'concrete', thickness_in: 8 }
+  ],
+  'concrete_block': [
+    { material: 'gypsum_drywall', thickness_in: 0.5 },
+    { material: 'concrete_block', thickness_in: 8 }
+  ],
+  'mixed': [
+    { material: 'gypsum_drywall', thickness_in: 0.5 },
+    { material: 'fiberglass_batt', thickness_in: 3.5, framing: 'wood_studs' },
+    { material: 'air_gap', thickness_in: 1 },
+    { material: 'brick', thickness_in: 4 } // Brick veneer
+  ]
 };
 
+// Share of the wall's interior-side heat capacity that couples to the room
+// over a setback of a few hours (matches the CONSTRUCTION_THERMAL_MASS calibration)
+const WALL_MASS_PARTICIPATION = 0.15;
+
 // CORRECTED: Effective thermal mass for thermally active zones only
 // These represent the thermal capacitance per unit volume of conditioned space
 // Calibrated to empirical time constant data from ASHRAE and field measurements
@@ -114,55 +180,363 @@ const CONSTRUCTION_THERMAL_MASS = {
   'mixed': 0.22            // Average: τ = 3-5 hours
 };
 
+// Two-node (2R2C) model: the air node holds room air plus furnishings,
+// the mass node holds the rest of the thermally active capacitance
+const AIR_NODE_VHC = 0.036; // Btu/(ft³·°F) - air (0.018) doubled for furnishings
+const INTERIOR_FILM_COEFFICIENT = 1.46; // Btu/(hr·ft²·°F) - still air, ASHRAE combined
+
+// Air leakage at 50 Pa (ACH50) by construction era when no blower-door test is available
+const ACH50_BY_ERA = {
+  'before_1980': 15,
+  '1980_2000': 10,
+  '2000_2010': 7,
+  'after_2010': 4
+};
+
+const ACH50_INSULATION_FACTOR = {
+  'poor': 1.3,
+  'average': 1.0,
+  'good': 0.8,
+  'excellent': 0.6
+};
+
+// LBL ACH50-to-natural divisor (N-factor) by number of stories, normal shielding
+const LBL_N_FACTOR = { 1: 18, 2: 15, 3: 13 };
+
+// Mechanical ventilation by ventilation_type. Exhaust-only and supply-only fans
+// unbalance the house and add to infiltration in quadrature (ASHRAE Fundamentals
+// Ch. 16); balanced systems add directly, less the heat and moisture an HRV or
+// ERV recovers.
+const VENTILATION_SYSTEMS = {
+  'none': { balanced: false, sensible_recovery: 0, latent_recovery: 0 },
+  'exhaust': { balanced: false, sensible_recovery: 0, latent_recovery: 0 },
+  'supply': { balanced: false, sensible_recovery: 0, latent_recovery: 0 },
+  'balanced': { balanced: true, sensible_recovery: 0, latent_recovery: 0 },
+  'hrv': { balanced: true, sensible_recovery: 0.70, latent_recovery: 0 },
+  'erv': { balanced: true, sensible_recovery: 0.70, latent_recovery: 0.50 }
+};
+
+// ASHRAE 62.2 whole-house rate: 0.03 cfm/ft² plus 7.5 cfm per occupant (bedrooms + 1)
+const VENTILATION_CFM_PER_SQFT = 0.03;
+const VENTILATION_CFM_PER_OCCUPANT = 7.5;
+const DEFAULT_BEDROOMS = 3;
+
+// Whole-window U-factor (Btu/hr·ft²·°F) and solar heat gain coefficient
+const U_WINDOWS = {
+  'single_pane': { U: 1.04, SHGC: 0.86 },
+  'double_pane': { U: 0.49, SHGC: 0.70 },
+  'triple_pane': { U: 0.27, SHGC: 0.50 },
+  'low_e_double': { U: 0.33, SHGC: 0.40 }
+};
+
+// Per-window product library: NFRC-style whole-window U-factors for operable
+// windows by glazing and frame (ASHRAE Fundamentals Ch. 15, Table 4) and
+// center-of-glass SHGC, reduced by the frame's share of the rough opening
+const WINDOW_GLAZING = {
+  'single_clear': { SHGC: 0.86, U: { aluminum: 1.27, aluminum_thermal_break: 1.08, wood: 0.89, vinyl: 0.89, fiberglass: 0.81 } },
+  'double_clear': { SHGC: 0.76, U: { aluminum: 0.80, aluminum_thermal_break: 0.61, wood: 0.49, vinyl: 0.49, fiberglass: 0.46 } },
+  'double_low_e': { SHGC: 0.41, U: { aluminum: 0.64, aluminum_thermal_break: 0.45, wood: 0.34, vinyl: 0.33, fiberglass: 0.31 } },
+  'double_low_e_high_gain': { SHGC: 0.70, U: { aluminum: 0.67, aluminum_thermal_break: 0.48, wood: 0.37, vinyl: 0.36, fiberglass: 0.34 } },
+  'triple_low_e': { SHGC: 0.47, U: { aluminum: 0.50, aluminum_thermal_break: 0.33, wood: 0.23, vinyl: 0.22, fiberglass: 0.20 } }
+};
+const WINDOW_FRAME_FRACTION = {
+  'aluminum': 0.10,
+  'aluminum_thermal_break': 0.12,
+  'wood': 0.25,
+  'vinyl': 0.20,
+  'fiberglass': 0.20
+};
+// Glazing assumed for schedule entries that only carry the house window_type
+const WINDOW_TYPE_GLAZING = {
+  'single_pane': 'single_clear',
+  'double_pane': 'double_clear',
+  'triple_pane': 'triple_low_e',
+  'low_e_double': 'double_low_e'
+};
+const DEFAULT_WINDOW_FRAME = 'vinyl';
+
+// Compass bearing (degrees clockwise from north) of each named facade
+const FACADE_BEARING = {
+  'north': 0, 'northeast': 45, 'east': 90, 'southeast': 135,
+  'south': 180, 'southwest': 225, 'west': 270, 'northwest': 315
+};
+
+// IECC residential prescriptive U-factor alternatives (Btu/hr·ft²·°F) by code
+// year and climate zone row; zone 4C (marine) uses the zone 5 row
+const IECC_U_FACTORS = {
+  2009: {
+    '1': { window: 1.20, ceiling: 0.035, wall: 0.082, mass_wall: 0.197, floor: 0.064 },
+    '2': { window: 0.65, ceiling: 0.035, wall: 0.082, mass_wall: 0.165, floor: 0.064 },
+    '3': { window: 0.50, ceiling: 0.035, wall: 0.082, mass_wall: 0.141, floor: 0.047 },
+    '4': { window: 0.35, ceiling: 0.030, wall: 0.082, mass_wall: 0.141, floor: 0.047 },
+    '5': { window: 0.35, ceiling: 0.030, wall: 0.060, mass_wall: 0.082, floor: 0.033 },
+    '6': { window: 0.35, ceiling: 0.026, wall: 0.060, mass_wall: 0.060, floor: 0.033 },
+    '7': { window: 0.35, ceiling: 0.026, wall: 0.057, mass_wall: 0.057, floor: 0.028 }
+  },
+  2012: {
+    '1': { window: 0.50, ceiling: 0.035, wall: 0.082, mass_wall: 0.197, floor: 0.064 },
+    '2': { window: 0.40, ceiling: 0.030, wall: 0.082, mass_wall: 0.165, floor: 0.064 },
+    '3': { window: 0.35, ceiling: 0.030, wall: 0.057, mass_wall: 0.098, floor: 0.047 },
+    '4': { window: 0.35, ceiling: 0.026, wall: 0.057, mass_wall: 0.098, floor: 0.047 },
+    '5': { window: 0.32, ceiling: 0.026, wall: 0.057, mass_wall: 0.082, floor: 0.033 },
+    '6': { window: 0.32, ceiling: 0.026, wall: 0.048, mass_wall: 0.060, floor: 0.033 },
+    '7': { window: 0.32, ceiling: 0.026, wall: 0.048, mass_wall: 0.057, floor: 0.028 }
+  },
+  2015: {
+    '1': { window: 0.50, ceiling: 0.035, wall: 0.084, mass_wall: 0.197, floor: 0.064 },
+    '2': { window: 0.40, ceiling: 0.030, wall: 0.084, mass_wall: 0.165, floor: 0.064 },
+    '3': { window: 0.35, ceiling: 0.030, wall: 0.060, mass_wall: 0.098, floor: 0.047 },
+    '4': { window: 0.35, ceiling: 0.026, wall: 0.060, mass_wall: 0.098, floor: 0.047 },
+    '5': { window: 0.32, ceiling: 0.026, wall: 0.060, mass_wall: 0.082, floor: 0.033 },
+    '6': { window: 0.32, ceiling: 0.026, wall: 0.045, mass_wall: 0.060, floor: 0.033 },
+    '7': { window: 0.32, ceiling: 0.026, wall: 0.045, mass_wall: 0.057, floor: 0.028 }
+  },
+  2018: {
+    '1': { window: 0.50, ceiling: 0.035, wall: 0.084, mass_wall: 0.197, floor: 0.064 },
+    '2': { window: 0.40, ceiling: 0.030, wall: 0.084, mass_wall: 0.165, floor: 0.064 },
+    '3': { window: 0.32, ceiling: 0.030, wall: 0.060, mass_wall: 0.098, floor: 0.047 },
+    '4': { window: 0.32, ceiling: 0.026, wall: 0.060, mass_wall: 0.098, floor: 0.047 },
+    '5': { window: 0.30, ceiling: 0.026, wall: 0.060, mass_wall: 0.082, floor: 0.033 },
+    '6': { window: 0.30, ceiling: 0.026, wall: 0.045, mass_wall: 0.060, floor: 0.033 },
+    '7': { window: 0.30, ceiling: 0.026, wall: 0.045, mass_wall: 0.057, floor: 0.028 }
+  },
+  2021: {
+    '1': { window: 0.50, ceiling: 0.035, wall: 0.084, mass_wall: 0.197, floor: 0.064 },
+    '2': { window: 0.40, ceiling: 0.026, wall: 0.084, mass_wall: 0.165, floor: 0.064 },
+    '3': { window: 0.30, ceiling: 0.026, wall: 0.060, mass_wall: 0.098, floor: 0.047 },
+    '4': { window: 0.30, ceiling: 0.024, wall: 0.045, mass_wall: 0.098, floor: 0.047 },
+    '5': { window: 0.30, ceiling: 0.024, wall: 0.045, mass_wall: 0.082, floor: 0.033 },
+    '6': { window: 0.30, ceiling: 0.024, wall: 0.045, mass_wall: 0.060, floor: 0.033 },
+    '7': { window: 0.30, ceiling: 0.024, wall: 0.045, mass_wall: 0.057, floor: 0.028 }
+  }
+};
+
+// Code a house of each era was most likely built to. The IECC was first published
+// in 2000 and few states enforced any residential energy code before then, so
+// earlier eras have no code table and take their U-factors from R_VALUE_MATRIX.
+// 2000-2010 homes use the 2009 table, the earliest carried here.
+const ERA_CODE_YEAR = {
+  'before_1980': null,
+  '1980_2000': null,
+  '2000_2010': 2009,
+  'after_2010': 2015
+};
+
+// Opaque U-factor relative to code minimum for each insulation quality
+const CODE_QUALITY_FACTOR = {
+  'poor': 1.35,
+  'average': 1.0,
+  'good': 0.85,
+  'excellent': 0.7
+};
+
+const MASS_CONSTRUCTION = ['brick', 'concrete', 'concrete_block'];
+
+// Foundations. Slab-on-grade edge loss uses F-factors (Btu/hr·ft·°F per foot of
+// exposed perimeter, to outdoor air) for unheated slabs with 24 in. of vertical
+// edge insulation, ASHRAE 90.1 Table A6.3, by insulation R-value
+const SLAB_F_FACTORS = [[0, 0.73], [5, 0.58], [10, 0.54], [15, 0.52], [20, 0.51]];
+
+// Below-grade walls: concrete C-factor in series with the soil path to grade,
+// a quarter circle of length πz/2 from depth z (the ASHRAE basement method)
+const UNINSULATED_CONCRETE_C = 1.14; // Btu/(hr·ft²·°F), 8 in. poured concrete
+const SOIL_CONDUCTIVITY = 0.8; // Btu/(hr·ft·°F)
+const BASEMENT_FLOOR_U = 0.025; // Btu/(hr·ft²·°F) to deep ground, 5-7 ft deep, 25 ft+ wide
+const CRAWLSPACE_GROUND_U = 0.10; // Btu/(hr·ft²·°F), dirt floor to ground 1-2 ft down
+const UNINSULATED_FLOOR_U = 0.25; // Btu/(hr·ft²·°F), framed floor with no insulation
+const SLAB_HEAT_CAPACITY = 10.6; // Btu/(ft²·°F), 4 in. concrete
+const SLAB_MASS_PARTICIPATION = 0.10; // Floor coverings decouple much of the slab
+
+// Wall height, depth below grade (ft), wall insulation (R) and air changes of the
+// space below the floor; crawlspace walls are insulated only when unvented
+const FOUNDATION_DEFAULTS = {
+  'slab': { insulation_r: 0 },
+  'vented_crawlspace': { wall_height: 3, depth: 1, insulation_r: 0, ach: 2.0 },
+  'unvented_crawlspace': { wall_height: 3, depth: 1, insulation_r: 10, ach: 0.2 },
+  'conditioned_basement': { wall_height: 8, depth: 7, insulation_r: 0 },
+  'unconditioned_basement': { wall_height: 8, depth: 7, insulation_r: 0, ach: 0.5 }
+};
+
+// Undisturbed ground temperature: annual mean and swing (°F) of the air by IECC
+// zone, damped and delayed with depth (soil diffusivity 0.6 ft²/day)
+const GROUND_CLIMATE = {
+  '1': { mean: 77, amplitude: 8 },
+  '2': { mean: 70, amplitude: 15 },
+  '3': { mean: 62, amplitude: 18 },
+  '4': { mean: 56, amplitude: 22 },
+  '5': { mean: 50, amplitude: 25 },
+  '6': { mean: 46, amplitude: 29 },
+  '7': { mean: 39, amplitude: 28 },
+  '8': { mean: 28, amplitude: 35 }
+};
+const SOIL_DIFFUSIVITY = 0.6; // ft²/day
+const COLDEST_DAY_OF_YEAR = 20;
+
+// Attic and roof. The attic is a buffer zone between the ceiling and (1) the roof
+// deck, driven by the sol-air temperature of the roof surface, and (2) vent air.
+// The roof is treated as horizontal.
+const ROOF_COLOR_ABSORPTANCE = {
+  'white': 0.25,
+  'light': 0.45,
+  'medium': 0.70,
+  'dark': 0.90
+};
+// Thermal emittance and resistance above the sheathing (tiles include the air space beneath them)
+const ROOF_MATERIALS = {
+  'asphalt_shingle': { emissivity: 0.90, R: 0.44 },
+  'wood_shake': { emissivity: 0.90, R: 0.94 },
+  'metal': { emissivity: 0.85, R: 0.0 },
+  'clay_tile': { emissivity: 0.90, R: 1.0 },
+  'concrete_tile': { emissivity: 0.90, R: 1.0 },
+  'membrane': { emissivity: 0.90, R: 0.3 }
+};
+const ROOF_SHEATHING_R = 0.62; // 1/2 in. plywood
+const EXTERIOR_FILM_COEFFICIENT = 3.0; // Btu/(hr·ft²·°F), sol-air h_o
+const SKY_LONGWAVE_LOSS = 20; // Btu/(hr·ft²), horizontal surface to a clear sky
+// Deck underside to attic: convection plus radiation scaled by the effective emittance
+// between the deck (0.9, or 0.05 with a radiant barrier) and the attic floor (0.9)
+const ATTIC_CONVECTION_COEFFICIENT = 0.5; // Btu/(hr·ft²·°F)
+const ATTIC_RADIATION_COEFFICIENT = 1.34; // Btu/(hr·ft²·°F), 4σT³ at about 120°F
+const RADIANT_BARRIER_EMISSIVITY = 0.05;
+// Vent airflow per ft² of attic floor (cfm/ft²) by ventilation level
+const ATTIC_VENTILATION_CFM = {
+  'unvented': 0.02,
+  'low': 0.2,       // 1:300 net free vent area
+  'standard': 0.5,  // 1:150
+  'powered': 1.0
+};
+
+// Surface azimuth of each facade, degrees from south (west positive)
+const ORIENTATION_AZIMUTH = {
+  'south': 0,
+  'west': 90,
+  'north': 180,
+  'east': -90
+};
+
 // ============================================================================
 // MODULE 3: BUILDING ENVELOPE (CORRECTED)
 // ============================================================================
 
+// ASHRAE parallel-path method: U = f / R_framing + (1 - f) / R_cavity, where the
+// framing path swaps each cavity layer for its framing material. Heat capacity
+// (Btu/ft²·°F) is summed over all layers and over those inside the insulation.
+function calculateWallAssembly(layers, framing_fraction) {
+  const layerR = (material, thickness_in, r_value) => {
+    if (isNumeric(r_value)) return Number(r_value);
+    const props = MATERIAL_PROPERTIES[material];
+    if (!props) throw new Error(`Unknown wall material: ${material}`);
+    return props.R ?? thickness_in / props.conductivity;
+  };
+  const layerHeatCapacity = (material, thickness_in) =>
+    (MATERIAL_PROPERTIES[material]?.VHC || 0) * thickness_in / 12;
+
+  const has_framing = layers.some(layer => layer.framing);
+  const fraction = isNumeric(framing_fraction) ? Number(framing_fraction) : DEFAULT_FRAMING_FRACTION;
+  const f = has_framing ? Math.min(Math.max(fraction, 0), 1) : 0;
+  let R_cavity = AIR_FILM_R.inside + AIR_FILM_R.outside;
+  let R_framing = R_cavity;
+  let heat_capacity = 0;
+  let interior_heat_capacity = 0;
+  let past_insulation = false;
+
+  const details = layers.map(({ material, thickness_in, framing, r_value }) => {
+    const thickness = Number(thickness_in) || 0;
+    const R = layerR(material, thickness, r_value);
+    const R_frame = framing ? layerR(framing, thickness) : R;
+    R_cavity += R;
+    R_framing += R_frame;
+
+    const C = framing
+      ? (1 - f) * layerHeatCapacity(material, thickness) + f * layerHeatCapacity(framing, thickness)
+      : layerHeatCapacity(material, thickness);
+    heat_capacity += C;
+
+    // Mass outboard of the first insulating layer is decoupled from the room
+    if (thickness > 0 && R / thickness >= INSULATION_R_PER_INCH) past_insulation = true;
+    if (!past_insulation) interior_heat_capacity += C;
+
+    return { material, thickness_in: thickness, framing: framing || null, R_value: R };
+  });
+
+  const U = f / R_framing + (1 - f) / R_cavity;
+  return {
+    U,
+    R_value: 1 / U,
+    R_cavity_path: R_cavity,
+    R_framing_path: has_framing ? R_framing : null,
+    framing_fraction: f,
+    heat_capacity,
+    interior_heat_capacity,
+    layers: details
+  };
+}
+
 class BuildingEnvelope {
-  constructor(inputs) {
+  constructor(inputs, airProps = null) {
     this.inputs = inputs;
+    this.airProps = airProps;
     this.components = this.calculateComponents();
   }
 
   calculateComponents() {
     const {
       floor_area,
-      ceiling_height,
-      num_floors = 1,
       window_area_percent = 15,
       num_exterior_doors = 2,
     } = this.inputs;
 
-    // Building geometry (simplified rectangular)
-    const aspect_ratio = 1.5;
-    const footprint_area = floor_area / num_floors;
-    const width = Math.sqrt(footprint_area / aspect_ratio);
-    const length = width * aspect_ratio;
-    const perimeter = 2 * (width + length);
-
-    const wall_height = ceiling_height * num_floors;
-    const gross_wall_area = perimeter * wall_height;
-
-    // Fenestration
-    const window_area = gross_wall_area * (window_area_percent / 100);
+    // Building geometry: footprint polygon, wall list, or a 1.5:1 rectangle
+    const geometry = this.getGeometry();
+    const { footprint_area, wall_height, exterior_wall_area: gross_wall_area } = geometry;
+    const stories = geometry.floor_heights.length;
+
+    // Fenestration: an explicit window schedule, else a share of the wall area
+    const window_schedule = this.getWindowSchedule();
+    const window_area = window_schedule
+      ? window_schedule.reduce((sum, window) => sum + window.area, 0)
+      : gross_wall_area * (window_area_percent / 100);
+    const window_shares = this.getWindowOrientationShares(geometry.explicit ? geometry.exterior_area_by_facade : null);
     const door_area = num_exterior_doors * 21; // 3ft × 7ft
     const net_wall_area = gross_wall_area - window_area - door_area;
 
     const roof_area = footprint_area;
-    const exposed_floor_area = num_floors === 1 ? footprint_area : 0;
+    const exposed_floor_area = stories === 1 ? footprint_area : 0;
+    const volume = footprint_area * wall_height;
 
     const U_factors = this.getUFactors();
+    const wall_assembly = this.getWallAssembly();
+    if (wall_assembly) {
+      U_factors.wall = wall_assembly.U;
+      U_factors.defaults.wall_source = 'assembly';
+    }
+    const foundation = this.calculateFoundation(geometry, U_factors);
+    const attic = this.calculateAttic(roof_area, U_factors.roof);
+    const infiltration = this.calculateInfiltration(volume, stories);
+    if (window_schedule) {
+      U_factors.window = window_schedule.reduce((sum, window) => sum + window.UA, 0) / window_area;
+      U_factors.window_shgc = window_schedule.reduce((sum, window) => sum + window.area * window.SHGC, 0) / window_area;
+      U_factors.defaults.window_source = 'window_schedule';
+    }
 
     return {
       walls: {
         area: net_wall_area,
         U_factor: U_factors.wall,
-        R_value: 1 / U_factors.wall
+        R_value: 1 / U_factors.wall,
+        assembly: wall_assembly
       },
       windows: {
         area: window_area,
         U_factor: U_factors.window,
-        R_value: 1 / U_factors.window
+        R_value: 1 / U_factors.window,
+        SHGC: U_factors.window_shgc,
+        by_orientation: window_schedule
+          ? this.getScheduleAreaByFacade(window_schedule)
+          : Object.fromEntries(
+            Object.entries(window_shares).map(([facade, share]) => [facade, window_area * share])
+          ),
+        schedule: window_schedule
       },
       doors: {
         area: door_area,
@@ -171,28 +545,467 @@ class BuildingEnvelope {
       },
       roof: {
         area: roof_area,
-        U_factor: U_factors.roof,
-        R_value: 1 / U_factors.roof
+        U_factor: attic.UA / roof_area,
+        R_value: roof_area / attic.UA,
+        ceiling_U: U_factors.roof,
+        attic
       },
-      floor: {
-        area: exposed_floor_area,
-        U_factor: U_factors.floor,
-        R_value: 1 / U_factors.floor
-      },
-      volume: floor_area * ceiling_height * num_floors,
-      total_area: net_wall_area + window_area + door_area + roof_area + exposed_floor_area,
-      geometry: {
-        width,
-        length,
-        perimeter,
+      floor: foundation
+        ? {
+          area: foundation.area,
+          U_factor: foundation.UA / foundation.area,
+          R_value: foundation.area / foundation.UA,
+          ground_weight: foundation.ground_weight,
+          ground_temp: foundation.ground_temp,
+          heat_capacity: foundation.heat_capacity,
+          foundation
+        }
+        : {
+          area: exposed_floor_area,
+          U_factor: U_factors.floor,
+          R_value: 1 / U_factors.floor
+        },
+      assumed_defaults: U_factors.defaults,
+      volume,
+      infiltration,
+      ventilation: this.calculateVentilation(infiltration),
+      total_area: net_wall_area + window_area + door_area + roof_area + (foundation ? foundation.area : exposed_floor_area),
+      geometry
+    };
+  }
+
+  // Walls, footprint and story heights. Explicit geometry is a footprint polygon
+  // ([[x, y], ...] in feet, x east, y north) or a wall list ([{ length_ft,
+  // orientation, height_ft, party }]); otherwise a 1.5:1 rectangle of
+  // floor_area / num_floors. Party walls (party_walls: wall indices or facade
+  // names, or party: true) adjoin conditioned neighbors and carry no heat.
+  getGeometry() {
+    const {
+      floor_area,
+      ceiling_height,
+      num_floors = 1,
+      floor_heights,
+      footprint,
+      walls,
+      party_walls,
+      home_type
+    } = this.inputs;
+
+    const heights = Array.isArray(floor_heights) && floor_heights.length > 0
+      ? floor_heights.map(Number)
+      : Array(Math.max(1, Math.round(num_floors))).fill(ceiling_height);
+    const wall_height = heights.reduce((sum, height) => sum + height, 0);
+    let footprint_area = floor_area / heights.length;
+    let source = 'rectangle';
+    let wall_list;
+
+    if (Array.isArray(footprint) && footprint.length >= 3) {
+      const points = footprint.map(point => Array.isArray(point) ? point.map(Number) : [Number(point.x), Number(point.y)]);
+      const signed_area = points.reduce((sum, [x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        return sum + (x1 * y2 - x2 * y1) / 2;
+      }, 0);
+      const winding = Math.sign(signed_area) || 1;
+      
+      // Outward normal of each edge: (dy, -dx) for counter-clockwise vertices
+      wall_list = points.map(([x1, y1], i) => {
+        const [x2, y2] = points[(i + 1) % points.length];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const bearing = (toDegrees(Math.atan2(winding * dy, -winding * dx)) + 360) % 360;
+        return { length: Math.hypot(dx, dy), bearing };
+      });
+      footprint_area = Math.abs(signed_area);
+      source = 'footprint';
+    } else if (Array.isArray(walls) && walls.length > 0) {
+      wall_list = walls.map(wall => ({
+        length: Number(wall.length_ft),
+        bearing: isNumeric(wall.orientation)
+          ? Number(wall.orientation)
+          : FACADE_BEARING[String(wall.orientation || 'south').toLowerCase()] ?? 180,
+        height: isNumeric(wall.height_ft) ? Number(wall.height_ft) : undefined,
+        party: wall.party === true
+      }));
+      source = 'walls';
+    } else {
+      const aspect_ratio = 1.5;
+      const width = Math.sqrt(footprint_area / aspect_ratio);
+      const length = width * aspect_ratio;
+      wall_list = [
+        { length: width, bearing: 0 },
+        { length, bearing: 90 },
+        { length: width, bearing: 180 },
+        { length, bearing: 270 }
+      ];
+    }
+
+    // Attached homes share their long side walls unless the party walls are listed
+    const attached = ['townhouse', 'apartment'].includes(home_type);
+    const party = Array.isArray(party_walls)
+      ? party_walls
+      : (attached && source === 'rectangle' ? ['east', 'west'] : []);
+
+    const wall_details = wall_list.map((wall, i) => {
+      const facade = bearingToFacade(wall.bearing);
+      const height = wall.height ?? wall_height;
+      return {
+        facade,
+        bearing: wall.bearing,
+        length: wall.length,
+        height,
+        area: wall.length * height,
+        party: wall.party || party.includes(i) || party.includes(facade)
+      };
+    });
+
+    const exterior = wall_details.filter(wall => !wall.party);
+    const exterior_area_by_facade = Object.fromEntries(Object.keys(ORIENTATION_AZIMUTH).map(facade => [facade, 0]));
+    exterior.forEach(wall => { exterior_area_by_facade[wall.facade] += wall.area; });
+
+    return {
+      source,
+      explicit: source !== 'rectangle' || exterior.length < wall_details.length,
+      walls: wall_details,
+      perimeter: wall_details.reduce((sum, wall) => sum + wall.length, 0),
+      exterior_perimeter: exterior.reduce((sum, wall) => sum + wall.length, 0),
+      exterior_wall_area: exterior.reduce((sum, wall) => sum + wall.area, 0),
+      party_wall_area: wall_details.filter(wall => wall.party).reduce((sum, wall) => sum + wall.area, 0),
+      exterior_area_by_facade,
+      floor_heights: heights,
+      wall_height,
+      footprint_area
+    };
+  }
+
+  calculateInfiltration(volume, num_floors) {
+    const {
+      ach50,
+      cfm50,
+      construction_era = '1980_2000',
+      insulation_quality = 'average'
+    } = this.inputs;
+
+    // Blower-door result if available, otherwise estimate from era and quality
+    let ach50_value;
+    let source = 'blower_door';
+    if (ach50) {
+      ach50_value = ach50;
+    } else if (cfm50) {
+      ach50_value = cfm50 * 60 / volume;
+    } else {
+      ach50_value = (ACH50_BY_ERA[construction_era] || 10) *
+                    (ACH50_INSULATION_FACTOR[insulation_quality] || 1.0);
+      source = 'estimated';
+    }
+
+    const n_factor = LBL_N_FACTOR[Math.min(Math.max(Math.round(num_floors), 1), 3)];
+    const ach_natural = ach50_value / n_factor;
+    const cfm = ach_natural * volume / 60;
+
+    // Sensible conductance: 60 min/hr × ρ × c_p × CFM (Btu/hr·°F)
+    const { rho, c_p } = this.getAirDensityAndHeat();
+    const UA = 60 * rho * c_p * cfm;
+
+    return { ach50: ach50_value, ach_natural, cfm, UA, source, n_factor };
+  }
+
+  // Whole-house mechanical ventilation for ventilation_type (see VENTILATION_SYSTEMS).
+  // ventilation_schedule is 'continuous', run minutes per hour, or 24 hourly run
+  // fractions by clock hour; the RC model sees the daily average. cfm_sensible and
+  // cfm_latent are the outdoor air the house must condition on top of infiltration.
+  calculateVentilation(infiltration) {
+    const {
+      ventilation_type = 'none',
+      ventilation_cfm,
+      ventilation_schedule = 'continuous',
+      sensible_recovery_efficiency,
+      latent_recovery_efficiency,
+      floor_area,
+      bedrooms = DEFAULT_BEDROOMS
+    } = this.inputs;
+    const system = VENTILATION_SYSTEMS[ventilation_type];
+    if (!system) {
+      throw new Error(`Unknown ventilation_type: ${ventilation_type}`);
+    }
+    if (ventilation_type === 'none') {
+      return { type: 'none', cfm: 0, run_fraction: 0, cfm_sensible: 0, cfm_latent: 0, UA: 0 };
+    }
+
+    const cfm = isNumeric(ventilation_cfm)
+      ? Number(ventilation_cfm)
+      : VENTILATION_CFM_PER_SQFT * floor_area + VENTILATION_CFM_PER_OCCUPANT * (bedrooms + 1);
+
+    let hourly_fraction;
+    if (Array.isArray(ventilation_schedule) && ventilation_schedule.length === 24) {
+      hourly_fraction = ventilation_schedule.map(fraction => Math.min(1, Math.max(0, Number(fraction))));
+    } else if (isNumeric(ventilation_schedule)) {
+      hourly_fraction = Array(24).fill(Math.min(1, Math.max(0, Number(ventilation_schedule) / 60)));
+    } else {
+      hourly_fraction = Array(24).fill(1);
+    }
+    const run_fraction = hourly_fraction.reduce((sum, fraction) => sum + fraction, 0) / 24;
+    const average_cfm = cfm * run_fraction;
+
+    // Accept either a fraction (0.75) or a percentage (75)
+    const asFraction = (value, fallback) => {
+      if (!isNumeric(value)) return fallback;
+      return Number(value) > 1 ? Number(value) / 100 : Number(value);
+    };
+    const sensible_recovery = system.balanced ? asFraction(sensible_recovery_efficiency, system.sensible_recovery) : 0;
+    const latent_recovery = system.balanced ? asFraction(latent_recovery_efficiency, system.latent_recovery) : 0;
+
+    let cfm_sensible;
+    let cfm_latent;
+    if (system.balanced) {
+      cfm_sensible = average_cfm * (1 - sensible_recovery);
+      cfm_latent = average_cfm * (1 - latent_recovery);
+    } else {
+      const combined = Math.sqrt(average_cfm ** 2 + infiltration.cfm ** 2);
+      cfm_sensible = cfm_latent = combined - infiltration.cfm;
+    }
+
+    const { sensible } = this.getHeatTransferConstants();
+    return {
+      type: ventilation_type,
+      cfm,
+      run_fraction,
+      hourly_fraction,
+      balanced: system.balanced,
+      sensible_recovery,
+      latent_recovery,
+      cfm_sensible,
+      cfm_latent,
+      UA: sensible * cfm_sensible
+    };
+  }
+
+  // Roof and attic for roof_type 'attic' (default) or 'cathedral'. UA is the ceiling in
+  // series with the attic's coupling to the deck (UA_deck) and vent air (UA_vent).
+  calculateAttic(roof_area, ceiling_U) {
+    const {
+      roof_type = 'attic',
+      roof_color = 'medium',
+      roof_material = 'asphalt_shingle',
+      roof_absorptance,
+      radiant_barrier = false,
+      attic_ventilation = 'standard'
+    } = this.inputs;
+    const material = ROOF_MATERIALS[roof_material] || ROOF_MATERIALS.asphalt_shingle;
+    const absorptance = isNumeric(roof_absorptance)
+      ? Number(roof_absorptance)
+      : ROOF_COLOR_ABSORPTANCE[roof_color] ?? ROOF_COLOR_ABSORPTANCE.medium;
+    const UA_ceiling = ceiling_U * roof_area;
+    const surface = { absorptance, emissivity: material.emissivity };
+
+    if (roof_type === 'cathedral') {
+      return { type: roof_type, ...surface, UA: UA_ceiling, UA_ceiling, UA_deck: Infinity, UA_vent: 0 };
+    }
+
+    const deck_emissivity = radiant_barrier ? RADIANT_BARRIER_EMISSIVITY : 0.9;
+    const effective_emissivity = 1 / (1 / deck_emissivity + 1 / 0.9 - 1);
+    const h_inside = ATTIC_CONVECTION_COEFFICIENT + ATTIC_RADIATION_COEFFICIENT * effective_emissivity;
+    const UA_deck = roof_area / (material.R + ROOF_SHEATHING_R + 1 / h_inside);
+
+    const cfm_per_sqft = isNumeric(attic_ventilation)
+      ? Number(attic_ventilation)
+      : ATTIC_VENTILATION_CFM[attic_ventilation] ?? ATTIC_VENTILATION_CFM.standard;
+    const { rho, c_p } = this.getAirDensityAndHeat();
+    const UA_vent = 60 * rho * c_p * cfm_per_sqft * roof_area;
+
+    const UA_attic = UA_deck + UA_vent;
+    return {
+      type: 'attic',
+      ...surface,
+      radiant_barrier: Boolean(radiant_barrier),
+      ventilation_cfm: cfm_per_sqft * roof_area,
+      UA: UA_ceiling * UA_attic / (UA_ceiling + UA_attic),
+      UA_ceiling,
+      UA_deck,
+      UA_vent
+    };
+  }
+
+  // Sol-air temperature of the roof surface (°F) under horizontal irradiance (Btu/hr·ft²)
+  getSolAirTemp(T_outdoor, irradiance = 0) {
+    const { absorptance, emissivity } = this.components.roof.attic;
+    return T_outdoor + (absorptance * irradiance - emissivity * SKY_LONGWAVE_LOSS) / EXTERIOR_FILM_COEFFICIENT;
+  }
+
+  // Temperature the ceiling's UA works against: the sol-air temperature for a
+  // cathedral roof, else the deck and vent air weighted by their conductances
+  getRoofBoundaryTemp(T_outdoor, irradiance = 0) {
+    const { UA_deck, UA_vent } = this.components.roof.attic;
+    const T_sol_air = this.getSolAirTemp(T_outdoor, irradiance);
+    if (UA_deck === Infinity) return T_sol_air;
+    return (UA_deck * T_sol_air + UA_vent * T_outdoor) / (UA_deck + UA_vent);
+  }
+
+  // Attic air temperature with the house at T_indoor
+  getAtticTemp(T_indoor, T_outdoor, irradiance = 0) {
+    const { type, UA_ceiling, UA_deck, UA_vent } = this.components.roof.attic;
+    if (type !== 'attic') return null;
+    const UA_attic = UA_deck + UA_vent;
+    return (UA_ceiling * T_indoor + UA_attic * this.getRoofBoundaryTemp(T_outdoor, irradiance)) / (UA_ceiling + UA_attic);
+  }
+
+  // Heat loss below the first floor for foundation_type (see FOUNDATION_DEFAULTS);
+  // null keeps the flat floor U of a single-story house. Crawlspaces and
+  // unconditioned basements are buffer zones: the floor above in series with the
+  // space's coupling to ground and outdoor air. ground_weight is the share of UA
+  // that ends at ground temperature instead of outdoor air.
+  calculateFoundation(geometry, U_factors) {
+    const {
+      foundation_type,
+      slab_insulation_r,
+      foundation_wall_insulation_r,
+      foundation_wall_height,
+      foundation_depth
+    } = this.inputs;
+    const defaults = FOUNDATION_DEFAULTS[foundation_type];
+    if (!defaults) return null;
+
+    const { footprint_area, exterior_perimeter } = geometry;
+    const pick = (value, fallback) => isNumeric(value) ? Number(value) : fallback;
+
+    if (foundation_type === 'slab') {
+      const insulation_r = pick(slab_insulation_r, defaults.insulation_r);
+      const F = interpolate(SLAB_F_FACTORS, insulation_r);
+      return {
+        type: foundation_type,
+        area: footprint_area,
+        UA: F * exterior_perimeter,
+        ground_weight: 0,
+        ground_temp: null,
+        heat_capacity: SLAB_HEAT_CAPACITY * SLAB_MASS_PARTICIPATION * footprint_area,
+        F_factor: F,
+        insulation_r
+      };
+    }
+
+    const wall_height = pick(foundation_wall_height, defaults.wall_height);
+    const depth = Math.min(pick(foundation_depth, defaults.depth), wall_height);
+    const insulation_r = pick(foundation_wall_insulation_r, defaults.insulation_r);
+    const R_wall = 1 / UNINSULATED_CONCRETE_C + insulation_r;
+    const ground_temp = this.getGroundTemperature(depth);
+
+    // Below grade: integrate the soil path foot by foot; above grade: wall plus air films
+    let UA_below = 0;
+    for (let z = 0; z < depth; z += 0.5) {
+      const slice = Math.min(0.5, depth - z);
+      const R_soil = Math.PI * (z + slice / 2) / 2 / SOIL_CONDUCTIVITY;
+      UA_below += exterior_perimeter * slice / (AIR_FILM_R.inside + R_wall + R_soil);
+    }
+    const UA_above = exterior_perimeter * (wall_height - depth) / (AIR_FILM_R.inside + R_wall + AIR_FILM_R.outside);
+    const is_basement = foundation_type.endsWith('basement');
+    const UA_floor_ground = footprint_area * (is_basement ? BASEMENT_FLOOR_U : CRAWLSPACE_GROUND_U);
+    const UA_ground = UA_below + UA_floor_ground;
+    const concrete_area = exterior_perimeter * wall_height;
+
+    if (foundation_type === 'conditioned_basement') {
+      const UA = UA_ground + UA_above;
+      // Exposed basement walls and slab add to the building's thermal mass
+      const C_walls = insulation_r > 0 ? 0 : WALL_MASS_PARTICIPATION * concrete_area * MATERIAL_PROPERTIES.concrete.VHC * 8 / 12;
+      return {
+        type: foundation_type,
+        area: footprint_area + concrete_area,
+        UA,
+        ground_weight: UA_ground / UA,
+        ground_temp,
+        heat_capacity: C_walls + SLAB_HEAT_CAPACITY * SLAB_MASS_PARTICIPATION * footprint_area,
         wall_height,
-        footprint_area
-      }
+        depth,
+        insulation_r
+      };
+    }
+
+    // Buffer zone: vent or leakage air and above-grade walls to outdoor, the rest to ground
+    const { rho, c_p } = this.getAirDensityAndHeat();
+    const UA_air = rho * c_p * defaults.ach * footprint_area * wall_height;
+    const UA_outdoor = UA_above + UA_air;
+    const U_floor = foundation_type === 'unvented_crawlspace' ? UNINSULATED_FLOOR_U : U_factors.floor;
+    const UA_floor = U_floor * footprint_area;
+    const UA_space = UA_outdoor + UA_ground;
+    return {
+      type: foundation_type,
+      area: footprint_area,
+      UA: UA_floor * UA_space / (UA_floor + UA_space),
+      ground_weight: UA_ground / UA_space,
+      ground_temp,
+      heat_capacity: 0,
+      floor_U: U_floor,
+      UA_floor,
+      UA_space,
+      wall_height,
+      depth,
+      insulation_r
+    };
+  }
+
+  // Undisturbed ground temperature (°F) at a depth on the analysis date; a year of
+  // weather sets the annual mean, swing and coldest day, else the climate zone does
+  getGroundTemperature(depth_ft) {
+    const { ground_temp, outdoor_temp_annual, analysis_date, climate_zone = '4A' } = this.inputs;
+    if (isNumeric(ground_temp)) return Number(ground_temp);
+
+    let { mean, amplitude } = GROUND_CLIMATE[String(Math.min(8, Math.max(1, parseInt(climate_zone, 10) || 4)))];
+    let coldest_day = COLDEST_DAY_OF_YEAR;
+    if (Array.isArray(outdoor_temp_annual) && outdoor_temp_annual.length >= HOURS_PER_YEAR) {
+      const monthly = Array.from({ length: 12 }, (_, month) => {
+        const hours = outdoor_temp_annual.slice(Math.round(month * HOURS_PER_YEAR / 12), Math.round((month + 1) * HOURS_PER_YEAR / 12));
+        return hours.reduce((sum, T) => sum + T, 0) / hours.length;
+      });
+      mean = monthly.reduce((sum, T) => sum + T, 0) / 12;
+      amplitude = (Math.max(...monthly) - Math.min(...monthly)) / 2;
+      coldest_day = monthly.indexOf(Math.min(...monthly)) * 365 / 12 + 15;
+    }
+
+    const date = parseAnalysisDate(analysis_date);
+    const day = (date - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000;
+    const damping_depth = Math.sqrt(365 * SOIL_DIFFUSIVITY / Math.PI);
+    const lag_days = depth_ft / damping_depth * 365 / (2 * Math.PI);
+    return mean - amplitude * Math.exp(-depth_ft / damping_depth) *
+      Math.cos(2 * Math.PI * (day - coldest_day - lag_days) / 365);
+  }
+
+  getAirDensityAndHeat() {
+    // Standard air (0.075 lb/ft³, 0.24 Btu/lb·°F) until psychrometrics are supplied
+    return {
+      rho: this.airProps?.rho ?? 0.075,
+      c_p: this.airProps?.c_p ?? 0.24
     };
   }
 
+  // Air-side sensible and latent factors (Btu/hr per cfm) at the current air properties
+  getHeatTransferConstants() {
+    return new Psychrometrics().getHeatTransferConstants(this.getAirDensityAndHeat());
+  }
+
+  // Code year to take IECC defaults from: explicit code_year, else the era's likely code
+  getCodeYear() {
+    const { code_year, construction_era = '1980_2000' } = this.inputs;
+    const requested = code_year ? Number(code_year) : ERA_CODE_YEAR[construction_era];
+    if (!requested) return null;
+    
+    // Latest table in force by the requested year, or the earliest table
+    const years = Object.keys(IECC_U_FACTORS).map(Number);
+    return years.filter(year => year <= requested).pop() || years[0];
+  }
+
+  // IECC table row for a climate zone such as '5A', '4C' or 7
+  getClimateZoneRow() {
+    const { climate_zone = '4A' } = this.inputs;
+    const zone = String(climate_zone).toUpperCase();
+    const number = Math.min(7, Math.max(1, parseInt(zone, 10) || 4));
+    return zone === '4C' ? '5' : String(number);
+  }
+
   getUFactors() {
     const { insulation_quality = 'average', window_type = 'double_pane', construction_era = '1980_2000' } = this.inputs;
+    const code_year = this.getCodeYear();
+    
+    if (code_year) {
+      return this.getCodeUFactors(code_year);
+    }
 
     // R-value matrix (corrected for realistic values)
     const R_VALUE_MATRIX = {
@@ -224,22 +1037,165 @@ class BuildingEnvelope {
 
     const wall_r_value = R_VALUE_MATRIX[insulation_quality]?.[construction_era] || 13;
 
-    const U_WINDOWS = {
-      'single_pane': 1.04,
-      'double_pane': 0.49,
-      'triple_pane': 0.27,
-      'low_e_double': 0.33
-    };
 
     return {
       wall: 1 / wall_r_value,
-      window: U_WINDOWS[window_type] || 0.49,
+      window: U_WINDOWS[window_type]?.U || 0.49,
+      window_shgc: U_WINDOWS[window_type]?.SHGC || 0.70,
       door: 0.50,
       roof: 1 / (wall_r_value * 1.5), // Roofs typically better insulated
-      floor: 0.10
+      floor: 0.10,
+      defaults: {
+        source: 'era_matrix',
+        construction_era,
+        insulation_quality,
+        window_source: 'window_type'
+      }
     };
   }
 
+  // Code-minimum assemblies scaled by insulation quality; a generic double-pane
+  // window is assumed to meet the code fenestration U-factor
+  getCodeUFactors(code_year) {
+    const {
+      insulation_quality = 'average',
+      window_type = 'double_pane',
+      construction_type = 'wood_frame',
+      climate_zone = '4A'
+    } = this.inputs;
+    const row = IECC_U_FACTORS[code_year][this.getClimateZoneRow()];
+    const quality = CODE_QUALITY_FACTOR[insulation_quality] || 1.0;
+    const is_mass = MASS_CONSTRUCTION.includes(construction_type);
+    const window_from_code = window_type === 'double_pane';
+    
+    return {
+      wall: (is_mass ? row.mass_wall : row.wall) * quality,
+      window: window_from_code ? row.window : U_WINDOWS[window_type]?.U || 0.49,
+      window_shgc: U_WINDOWS[window_type]?.SHGC || 0.70,
+      door: 0.50,
+      roof: row.ceiling * quality,
+      floor: row.floor * quality,
+      defaults: {
+        source: 'iecc',
+        code_year,
+        climate_zone: String(climate_zone).toUpperCase(),
+        insulation_quality,
+        wall_type: is_mass ? 'mass' : 'wood_frame',
+        window_source: window_from_code ? 'iecc' : 'window_type'
+      }
+    };
+  }
+
+  // Wall section from wall_assembly: a WALL_ASSEMBLIES name, an array of layers,
+  // or { layers, framing_fraction }; null when the R-value lookup applies
+  getWallAssembly() {
+    const { wall_assembly } = this.inputs;
+    if (!wall_assembly) return null;
+
+    if (typeof wall_assembly === 'string') {
+      const preset = WALL_ASSEMBLIES[wall_assembly];
+      if (!preset) throw new Error(`Unknown wall assembly: ${wall_assembly}`);
+      return { name: wall_assembly, ...calculateWallAssembly(preset) };
+    }
+
+    const layers = Array.isArray(wall_assembly) ? wall_assembly : wall_assembly.layers;
+    if (!Array.isArray(layers) || layers.length === 0) {
+      throw new Error('Wall assembly requires at least one layer');
+    }
+    return { name: 'custom', ...calculateWallAssembly(layers, wall_assembly.framing_fraction) };
+  }
+
+  // Fraction of window area on each facade: window_orientation, else the given
+  // weights (exterior wall area by facade), else an equal split
+  getWindowOrientationShares(default_weights = null) {
+    const { window_orientation } = this.inputs;
+    const facades = Object.keys(ORIENTATION_AZIMUTH);
+    const weights = window_orientation || default_weights;
+    
+    const raw = facades.map(facade => Math.max(0, Number(weights?.[facade]) || 0));
+    const total = raw.reduce((sum, value) => sum + value, 0);
+    
+    return Object.fromEntries(facades.map((facade, i) => [
+      facade,
+      total > 0 ? raw[i] / total : 1 / facades.length
+    ]));
+  }
+
+  // Windows from window_schedule: [{ id, area_sqft or width_in/height_in, quantity,
+  // orientation (facade name or compass bearing), glazing, frame, u_factor, shgc }].
+  // NFRC-rated u_factor/shgc win over the library; null when no schedule is given.
+  getWindowSchedule() {
+    const { window_schedule, window_type = 'double_pane' } = this.inputs;
+    if (!Array.isArray(window_schedule) || window_schedule.length === 0) return null;
+
+    return window_schedule.map((window, i) => {
+      const quantity = isNumeric(window.quantity) ? Number(window.quantity) : 1;
+      const unit_area = isNumeric(window.area_sqft)
+        ? Number(window.area_sqft)
+        : Number(window.width_in) * Number(window.height_in) / 144;
+      if (!(unit_area > 0)) throw new Error(`Window ${window.id || i + 1} needs area_sqft or width_in and height_in`);
+
+      const glazing = window.glazing || WINDOW_TYPE_GLAZING[window_type] || 'double_clear';
+      const frame = window.frame || DEFAULT_WINDOW_FRAME;
+      const product = WINDOW_GLAZING[glazing];
+      const frame_fraction = WINDOW_FRAME_FRACTION[frame];
+      const rated = isNumeric(window.u_factor) && isNumeric(window.shgc);
+      if (!rated && (!product || frame_fraction === undefined)) {
+        throw new Error(`Unknown window product: ${glazing} glazing in a ${frame} frame`);
+      }
+
+      const bearing = isNumeric(window.orientation)
+        ? Number(window.orientation)
+        : FACADE_BEARING[String(window.orientation || 'south').toLowerCase()];
+      if (bearing === undefined) throw new Error(`Unknown window orientation: ${window.orientation}`);
+
+      const area = unit_area * quantity;
+      const U_factor = isNumeric(window.u_factor) ? Number(window.u_factor) : product.U[frame];
+      const SHGC = isNumeric(window.shgc) ? Number(window.shgc) : product.SHGC * (1 - frame_fraction);
+      return {
+        id: window.id || `window_${i + 1}`,
+        area,
+        quantity,
+        bearing,
+        azimuth: bearing - 180, // Solar convention: south 0°, west +90°
+        glazing: rated ? window.glazing || null : glazing,
+        frame: rated ? window.frame || null : frame,
+        U_factor,
+        SHGC,
+        UA: U_factor * area,
+        source: rated ? 'nfrc' : 'library'
+      };
+    });
+  }
+
+  // Schedule window area summed onto the nearest of the four facades
+  getScheduleAreaByFacade(schedule) {
+    const by_facade = Object.fromEntries(Object.keys(ORIENTATION_AZIMUTH).map(facade => [facade, 0]));
+    schedule.forEach(window => { by_facade[bearingToFacade(window.bearing)] += window.area; });
+    return by_facade;
+  }
+
+  // Solar heat gain (Btu/hr) through each scheduled window at a clock hour
+  getWindowSolarGains(solar, clock_hour) {
+    return this.components.windows.schedule.map(window => ({
+      id: window.id,
+      gain: window.area * window.SHGC * solar.getVerticalIrradiance(clock_hour, window.azimuth)
+    }));
+  }
+
+  // Solar heat gain through all windows (Btu/hr) at a clock hour
+  getSolarHeatGain(solar, clock_hour) {
+    const { SHGC, by_orientation, schedule } = this.components.windows;
+    if (schedule) {
+      return this.getWindowSolarGains(solar, clock_hour).reduce((total, window) => total + window.gain, 0);
+    }
+    
+    return Object.entries(by_orientation).reduce((total, [facade, area]) => {
+      const irradiance = solar.getVerticalIrradiance(clock_hour, ORIENTATION_AZIMUTH[facade]);
+      return total + area * SHGC * irradiance;
+    }, 0);
+  }
+
   getEffectiveUFactor() {
     const { walls, windows, doors, roof, floor, total_area } = this.components;
 
@@ -254,7 +1210,61 @@ class BuildingEnvelope {
     return U_eff;
   }
 
-  getComponentHeatTransfer(T_indoor, T_outdoor) {
+  getConductionUA() {
+    return this.getEffectiveUFactor() * this.components.total_area;
+  }
+
+  getInfiltrationUA() {
+    return this.components.infiltration.UA;
+  }
+
+  getVentilationUA() {
+    return this.components.ventilation.UA;
+  }
+
+  // Conduction plus infiltration and mechanical ventilation (Btu/hr·°F)
+  getTotalUA() {
+    return this.getConductionUA() + this.getInfiltrationUA() + this.getVentilationUA();
+  }
+
+  // Air temperature of the space holding the ducts: the attic node, the crawlspace
+  // or basement buffer zone when modeled (else midway to outdoor), or outdoors for a garage
+  getDuctSpaceTemp(duct_location, T_indoor, T_outdoor, roof_irradiance = 0) {
+    if (duct_location === 'attic') {
+      return this.getAtticTemp(T_indoor, T_outdoor, roof_irradiance) ?? this.getSolAirTemp(T_outdoor, roof_irradiance);
+    }
+    if (duct_location === 'crawlspace' || duct_location === 'basement') {
+      const foundation = this.components.floor.foundation;
+      if (foundation?.type === 'conditioned_basement') return T_indoor;
+      if (foundation?.UA_space) {
+        const { UA_floor, UA_space } = foundation;
+        return (UA_floor * T_indoor + UA_space * this.getFloorBoundaryTemp(T_outdoor)) / (UA_floor + UA_space);
+      }
+      return (T_indoor + T_outdoor) / 2;
+    }
+    return T_outdoor;
+  }
+
+  // Floor heat flow ends partly at ground temperature (see calculateFoundation)
+  getFloorBoundaryTemp(T_outdoor) {
+    const { floor } = this.components;
+    if (!floor.ground_weight) return T_outdoor;
+    return T_outdoor + floor.ground_weight * (floor.ground_temp - T_outdoor);
+  }
+
+  // Single outdoor temperature that drives the same heat flow through the total UA
+  // as the actual mix of outdoor air, attic and ground boundaries
+  getEquivalentOutdoorTemp(T_outdoor, roof_irradiance = 0) {
+    const { floor, roof } = this.components;
+    const UA_floor = floor.U_factor * floor.area;
+    const UA_roof = roof.U_factor * roof.area;
+    return T_outdoor + (
+      UA_floor * (this.getFloorBoundaryTemp(T_outdoor) - T_outdoor) +
+      UA_roof * (this.getRoofBoundaryTemp(T_outdoor, roof_irradiance) - T_outdoor)
+    ) / this.getTotalUA();
+  }
+
+  getComponentHeatTransfer(T_indoor, T_outdoor, roof_irradiance = 0) {
     const { walls, windows, doors, roof, floor } = this.components;
     const deltaT = T_outdoor - T_indoor;
 
@@ -262,269 +1272,1554 @@ class BuildingEnvelope {
       walls: walls.U_factor * walls.area * deltaT,
       windows: windows.U_factor * windows.area * deltaT,
       doors: doors.U_factor * doors.area * deltaT,
-      roof: roof.U_factor * roof.area * deltaT,
-      floor: floor.U_factor * floor.area * deltaT,
-      total: this.getEffectiveUFactor() * this.components.total_area * deltaT
+      roof: roof.U_factor * roof.area * (this.getRoofBoundaryTemp(T_outdoor, roof_irradiance) - T_indoor),
+      floor: floor.U_factor * floor.area * (this.getFloorBoundaryTemp(T_outdoor) - T_indoor),
+      infiltration: this.getInfiltrationUA() * deltaT,
+      ventilation: this.getVentilationUA() * deltaT,
+      total: this.getTotalUA() * (this.getEquivalentOutdoorTemp(T_outdoor, roof_irradiance) - T_indoor)
     };
   }
+
+  // Latent gain from infiltration (Btu/hr, + when outdoor air is more humid than indoor)
+  getInfiltrationLatentLoad(W_indoor) {
+    const W_outdoor = this.airProps?.W;
+    if (W_outdoor === undefined) return 0;
+
+    const { latent } = this.getHeatTransferConstants();
+    return latent * this.components.infiltration.cfm * (W_outdoor - W_indoor) * 7000;
+  }
+
+  // Latent gain from ventilation air not dried by an ERV core (Btu/hr)
+  getVentilationLatentLoad(W_indoor) {
+    const W_outdoor = this.airProps?.W;
+    if (W_outdoor === undefined) return 0;
+
+    const { latent } = this.getHeatTransferConstants();
+    return latent * this.components.ventilation.cfm_latent * (W_outdoor - W_indoor) * 7000;
+  }
 }
 
 // ============================================================================
-// MODULE 4: THERMAL MASS & TIME CONSTANT (CORRECTED)
+// MODULE 3A: CLEAR-SKY SOLAR RADIATION (ASHRAE Chapter 14)
 // ============================================================================
 
-class ThermalMassModel {
-  constructor(buildingInputs, envelope) {
-    this.inputs = buildingInputs;
-    this.envelope = envelope;
-    this.thermalCapacitance = this.calculateThermalCapacitance();
-    this.thermalResistance = this.calculateThermalResistance();
-    this.timeConstant = this.thermalResistance * this.thermalCapacitance;
+// ASHRAE clear-sky constants by month: apparent solar irradiation A (Btu/hr·ft²),
+// atmospheric extinction B and diffuse ratio C
+const CLEAR_SKY_CONSTANTS = [
+  { A: 390, B: 0.142, C: 0.058 }, // Jan
+  { A: 385, B: 0.144, C: 0.060 }, // Feb
+  { A: 376, B: 0.156, C: 0.071 }, // Mar
+  { A: 360, B: 0.180, C: 0.097 }, // Apr
+  { A: 350, B: 0.196, C: 0.121 }, // May
+  { A: 345, B: 0.205, C: 0.134 }, // Jun
+  { A: 344, B: 0.207, C: 0.136 }, // Jul
+  { A: 351, B: 0.201, C: 0.122 }, // Aug
+  { A: 365, B: 0.177, C: 0.092 }, // Sep
+  { A: 378, B: 0.160, C: 0.073 }, // Oct
+  { A: 387, B: 0.149, C: 0.063 }, // Nov
+  { A: 391, B: 0.142, C: 0.057 }  // Dec
+];
+
+const GROUND_REFLECTANCE = 0.2;
+
+class SolarModel {
+  // measured: { global_horizontal, direct_normal }, 8760 hourly Btu/hr·ft² from
+  // midnight January 1 standard time (weather-file hour ending), replaces the clear sky
+  constructor(location, date, measured = null) {
+    this.latitude = location.latitude;
+    this.longitude = location.longitude;
+    this.standardMeridian = location.standard_meridian;
+    this.date = date;
+    
+    const start_of_year = Date.UTC(date.getUTCFullYear(), 0, 0);
+    this.dayOfYear = Math.floor((date.getTime() - start_of_year) / 86400000);
+    this.constants = CLEAR_SKY_CONSTANTS[date.getUTCMonth()];
+    this.dstOffset = location.observes_dst !== false && isDaylightSavingTime(date) ? 1 : 0;
+    this.measured = measured;
+    // Weather years have no February 29
+    this.dayOfWeatherYear = Math.round((Date.UTC(2001, date.getUTCMonth(), date.getUTCDate()) - Date.UTC(2001, 0, 1)) / 86400000);
   }
 
-  calculateThermalCapacitance() {
-    const { construction_type = 'wood_frame', insulation_quality = 'average' } = this.inputs;
-    const { volume } = this.envelope.components;
+  getDeclination() {
+    return 23.45 * Math.sin(toRadians(360 * (284 + this.dayOfYear) / 365));
+  }
 
-    // CORRECTED: Use effective thermal mass with participation factor
-    // Only a fraction of building volume actively participates in thermal response
-    const effective_VHC = CONSTRUCTION_THERMAL_MASS[construction_type] || 0.35;
+  getEquationOfTime() {
+    const B = toRadians(360 * (this.dayOfYear - 81) / 364);
+    return 9.87 * Math.sin(2 * B) - 7.53 * Math.cos(B) - 1.5 * Math.sin(B); // minutes
+  }
+
+  // Solar altitude and azimuth (degrees from south, west positive) at a local clock hour
+  getPosition(clock_hour) {
+    const standard_time = clock_hour - this.dstOffset;
+    const solar_time = standard_time + this.getEquationOfTime() / 60 +
+                       (this.longitude - this.standardMeridian) / 15;
+    const H = toRadians(15 * (solar_time - 12));
+    const L = toRadians(this.latitude);
+    const delta = toRadians(this.getDeclination());
     
-    // Thermal participation factor: what fraction of volume is thermally active
-    const thermal_participation = 0.85; // 85% of volume is thermally active
+    const sin_beta = Math.cos(L) * Math.cos(delta) * Math.cos(H) + Math.sin(L) * Math.sin(delta);
+    const beta = Math.asin(Math.max(-1, Math.min(1, sin_beta)));
     
-    // Insulation quality affects thermal capacitance slightly
-    // Better insulation = more mass stays at conditioned temperature
-    const insulation_factor = {
-      'poor': 0.85,
-      'average': 1.0,
-      'good': 1.15,
-      'excellent': 1.30
-    }[insulation_quality] || 1.0;
+    const cos_phi = (Math.sin(beta) * Math.sin(L) - Math.sin(delta)) / (Math.cos(beta) * Math.cos(L));
+    const phi = Math.acos(Math.max(-1, Math.min(1, cos_phi))) * Math.sign(H || 1);
+    
+    return { altitude: toDegrees(beta), azimuth: toDegrees(phi) };
+  }
+
+  // Direct normal irradiance (Btu/hr·ft²) under a clear sky
+  getDirectNormal(altitude_deg) {
+    if (altitude_deg <= 0) return 0;
+    const { A, B } = this.constants;
+    return A / Math.exp(B / Math.sin(toRadians(altitude_deg)));
+  }
+
+  // Sun position with direct normal and diffuse horizontal irradiance (Btu/hr·ft²):
+  // the measured hour's DNI, and GHI less its beam part, or the clear-sky model
+  getIrradiance(clock_hour) {
+    const { altitude, azimuth } = this.getPosition(clock_hour);
+    if (altitude <= 0) return { altitude, azimuth, E_DN: 0, E_dh: 0 };
+    
+    if (this.measured) {
+      const standard_hour = Math.floor(((clock_hour - this.dstOffset) % 24 + 24) % 24);
+      const i = this.dayOfWeatherYear * 24 + standard_hour;
+      const E_DN = this.measured.direct_normal[i] || 0;
+      const E_dh = Math.max(0, (this.measured.global_horizontal[i] || 0) - E_DN * Math.sin(toRadians(altitude)));
+      return { altitude, azimuth, E_DN, E_dh };
+    }
+    
+    const E_DN = this.getDirectNormal(altitude);
+    return { altitude, azimuth, E_DN, E_dh: this.constants.C * E_DN };
+  }
+
+  // Total irradiance on a horizontal surface (Btu/hr·ft²): beam + sky diffuse
+  getHorizontalIrradiance(clock_hour) {
+    const { altitude, E_DN, E_dh } = this.getIrradiance(clock_hour);
+    if (altitude <= 0) return 0;
+    
+    return E_DN * Math.sin(toRadians(altitude)) + E_dh;
+  }
+
+  // Total irradiance on a vertical surface (Btu/hr·ft²): beam + sky diffuse + ground reflected
+  getVerticalIrradiance(clock_hour, surface_azimuth) {
+    const { altitude, azimuth, E_DN, E_dh } = this.getIrradiance(clock_hour);
+    if (altitude <= 0) return 0;
+    
+    const beta = toRadians(altitude);
+    const cos_theta = Math.cos(beta) * Math.cos(toRadians(azimuth - surface_azimuth));
+    
+    const E_beam = E_DN * Math.max(0, cos_theta);
+    const Y = Math.max(0.45, 0.55 + 0.437 * cos_theta + 0.313 * cos_theta * cos_theta);
+    const E_diffuse = Y * E_dh;
+    const E_reflected = (E_DN * Math.sin(beta) + E_dh) * GROUND_REFLECTANCE * 0.5;
+    
+    return E_beam + E_diffuse + E_reflected;
+  }
+}
+
+// ============================================================================
+// MODULE 3B: OUTDOOR TEMPERATURE PROFILE
+// ============================================================================
+
+// Diurnal swing: coolest around sunrise, warmest mid-afternoon
+const DIURNAL_MIN_HOUR = 5;
+const DIURNAL_MAX_HOUR = 15;
+
+class OutdoorTemperatureProfile {
+  // Hourly values start at the absence start; a daily high/low builds a
+  // diurnal curve on the clock; otherwise outdoor_temp holds all day
+  constructor(inputs, absenceStart = 8) {
+    const { outdoor_temp, outdoor_temp_hourly, outdoor_temp_high, outdoor_temp_low } = inputs;
+    this.absenceStart = absenceStart;
+    
+    if (Array.isArray(outdoor_temp_hourly) && outdoor_temp_hourly.length > 0) {
+      this.source = 'hourly';
+      this.hourly = outdoor_temp_hourly.map(Number);
+    } else if (isNumeric(outdoor_temp_high) && isNumeric(outdoor_temp_low)) {
+      this.source = 'diurnal';
+      this.high = Math.max(Number(outdoor_temp_high), Number(outdoor_temp_low));
+      this.low = Math.min(Number(outdoor_temp_high), Number(outdoor_temp_low));
+    } else {
+      this.source = 'constant';
+      this.constant = Number(outdoor_temp);
+    }
+    
+    this.varies = this.source !== 'constant';
+  }
+
+  // Temperature t hours into the absence
+  getTemperature(t) {
+    if (this.source === 'hourly') {
+      // Linear between hourly readings, held flat past either end
+      const last = this.hourly.length - 1;
+      const i = Math.max(0, Math.min(last, Math.floor(t)));
+      if (i === last || t <= 0) return this.hourly[i];
+      return this.hourly[i] + (t - i) * (this.hourly[i + 1] - this.hourly[i]);
+    }
+    
+    if (this.source === 'diurnal') {
+      const clock_hour = ((this.absenceStart + t) % 24 + 24) % 24;
+      const rise = DIURNAL_MAX_HOUR - DIURNAL_MIN_HOUR;
+      // Half cosine up from the low to the high, then a slower one back down
+      const phase = clock_hour >= DIURNAL_MIN_HOUR && clock_hour < DIURNAL_MAX_HOUR
+        ? Math.PI * (1 + (clock_hour - DIURNAL_MIN_HOUR) / rise)
+        : Math.PI * ((clock_hour - DIURNAL_MAX_HOUR + 24) % 24) / (24 - rise);
+      return this.low + (this.high - this.low) * (1 + Math.cos(phase)) / 2;
+    }
+    
+    return this.constant;
+  }
+
+  getHourly(hours) {
+    const temps = [];
+    for (let t = 0; t < hours; t++) {
+      temps.push(this.getTemperature(t));
+    }
+    return temps;
+  }
+
+  // Time-weighted mean and extremes over the first `hours`
+  getSummary(hours) {
+    const dt = 0.05;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    const steps = Math.max(1, Math.round(hours / dt));
+    
+    for (let i = 0; i < steps; i++) {
+      const T = this.getTemperature((i + 0.5) * hours / steps);
+      sum += T;
+      min = Math.min(min, T);
+      max = Math.max(max, T);
+    }
+    
+    return { mean: sum / steps, min, max };
+  }
+}
+
+// ============================================================================
+// MODULE 4: THERMAL MASS & TIME CONSTANT (CORRECTED)
+// ============================================================================
+
+class ThermalMassModel {
+  constructor(buildingInputs, envelope) {
+    this.inputs = buildingInputs;
+    this.envelope = envelope;
+    this.model = buildingInputs.thermal_model === '2R2C' ? '2R2C' : '1R1C';
+    this.thermalCapacitance = this.calculateThermalCapacitance();
+    this.thermalResistance = this.calculateThermalResistance();
+    this.timeConstant = this.thermalResistance * this.thermalCapacitance;
+    
+    if (this.model === '2R2C') {
+      this.initializeTwoNode();
+    }
+  }
+
+  calculateThermalCapacitance() {
+    const { construction_type = 'wood_frame', insulation_quality = 'average' } = this.inputs;
+    const { volume } = this.envelope.components;
+
+    // CORRECTED: Use effective thermal mass with participation factor
+    // Only a fraction of building volume actively participates in thermal response
+    const effective_VHC = CONSTRUCTION_THERMAL_MASS[construction_type] || 0.35;
+    
+    // Thermal participation factor: what fraction of volume is thermally active
+    const thermal_participation = 0.85; // 85% of volume is thermally active
+    
+    // Insulation quality affects thermal capacitance slightly
+    // Better insulation = more mass stays at conditioned temperature
+    const insulation_factor = {
+      'poor': 0.85,
+      'average': 1.0,
+      'good': 1.15,
+      'excellent': 1.30
+    }[insulation_quality] || 1.0;
+    
+    // Thermal capacitance = VHC × Active Volume × Insulation Factor
+    let C_total = effective_VHC * volume * thermal_participation * insulation_factor;
+
+    // A layered wall replaces the construction-type wall mass: start from the
+    // wood-frame baseline and add the assembly's interior capacity beyond it
+    const { assembly, area: wall_area } = this.envelope.components.walls;
+    if (assembly) {
+      const C_base = CONSTRUCTION_THERMAL_MASS.wood_frame * volume * thermal_participation * insulation_factor;
+      const reference = calculateWallAssembly(WALL_ASSEMBLIES.wood_frame).interior_heat_capacity;
+      const C_wall = WALL_MASS_PARTICIPATION * wall_area * (assembly.interior_heat_capacity - reference);
+      C_total = Math.max(C_base + C_wall, 0.5 * C_base);
+    }
+
+    // Slab or basement concrete in contact with the conditioned space
+    C_total += this.envelope.components.floor.heat_capacity || 0;
+
+    return C_total; // Btu/°F
+  }
+
+  calculateThermalResistance() {
+    // R_th = 1 / (U_eff × A_total + UA_infiltration + UA_ventilation) = (hr·°F)/Btu
+    const R_th = 1 / this.envelope.getTotalUA();
+
+    return R_th;
+  }
+
+  // 2R2C: outdoor --UA-- air (C_air) --H_am-- mass (C_mass)
+  // Steady-state UA is unchanged; only the transient response differs
+  initializeTwoNode() {
+    const { volume, total_area } = this.envelope.components;
+    const floor_area = this.envelope.inputs.floor_area || 0;
+    
+    // Air node: room air and furnishings, capped at half of the total capacitance
+    this.airCapacitance = Math.min(AIR_NODE_VHC * volume, 0.5 * this.thermalCapacitance);
+    this.massCapacitance = this.thermalCapacitance - this.airCapacitance;
+    
+    // Air-to-mass coupling through the interior face of the envelope plus partitions
+    const interior_surface_area = total_area + floor_area;
+    this.couplingConductance = INTERIOR_FILM_COEFFICIENT * interior_surface_area; // Btu/(hr·°F)
+    this.envelopeConductance = 1 / this.thermalResistance;
+    
+    // System matrix A for d[T_air, T_mass]/dt = A·[T_air, T_mass] + inputs
+    const K = this.envelopeConductance;
+    const H = this.couplingConductance;
+    this.A = [
+      [-(K + H) / this.airCapacitance, H / this.airCapacitance],
+      [H / this.massCapacitance, -H / this.massCapacitance]
+    ];
+    
+    const trace = this.A[0][0] + this.A[1][1];
+    const det = this.A[0][0] * this.A[1][1] - this.A[0][1] * this.A[1][0];
+    const disc = Math.sqrt(trace * trace - 4 * det);
+    this.eigenvalues = [(trace + disc) / 2, (trace - disc) / 2]; // slow, fast (both < 0)
+    
+    this.timeConstants = {
+      air: -1 / this.eigenvalues[1],
+      mass: -1 / this.eigenvalues[0]
+    };
+    
+    // The slow (mass) mode dominates drift and is what break-even is based on
+    this.timeConstant = this.timeConstants.mass;
+  }
+
+  getTimeConstant() {
+    // τ = R × C (hours), or the slow mode of the 2R2C model
+    return this.timeConstant;
+  }
+
+  getTimeConstants() {
+    if (this.model === '2R2C') return this.timeConstants;
+    return { air: this.timeConstant, mass: this.timeConstant };
+  }
+
+  getTemperatureAtTime(T_initial, T_outdoor, time_hours) {
+    if (this.model === '2R2C') {
+      return this.step(this.createState(T_initial), T_outdoor, 0, time_hours).T_air;
+    }
+    
+    const tau = this.timeConstant;
+    const T_t = T_outdoor + (T_initial - T_outdoor) * Math.exp(-time_hours / tau);
+    return T_t;
+  }
+
+  createState(T_initial) {
+    return { T_air: T_initial, T_mass: T_initial };
+  }
+
+  // Advance the RC network by dt hours with a constant heat input Q_in (Btu/hr, + heats the space)
+  step(state, T_outdoor, Q_in, dt) {
+    if (this.model === '2R2C') {
+      // Exact solution about the equilibrium: y(t) = e^(A·t)·y0
+      const T_eq = T_outdoor + Q_in / this.envelopeConductance;
+      const y0 = [state.T_air - T_eq, state.T_mass - T_eq];
+      const [l1, l2] = this.eigenvalues;
+      const e1 = Math.exp(l1 * dt);
+      const e2 = Math.exp(l2 * dt);
+      const A = this.A;
+      
+      // e^(A·t) = [e1·(A - l2·I) - e2·(A - l1·I)] / (l1 - l2)
+      const M = [
+        [(e1 * (A[0][0] - l2) - e2 * (A[0][0] - l1)) / (l1 - l2), (e1 - e2) * A[0][1] / (l1 - l2)],
+        [(e1 - e2) * A[1][0] / (l1 - l2), (e1 * (A[1][1] - l2) - e2 * (A[1][1] - l1)) / (l1 - l2)]
+      ];
+      
+      return {
+        T_air: T_eq + M[0][0] * y0[0] + M[0][1] * y0[1],
+        T_mass: T_eq + M[1][0] * y0[0] + M[1][1] * y0[1]
+      };
+    }
+    
+    const T_eq = T_outdoor + Q_in * this.thermalResistance;
+    const T_air = T_eq + (state.T_air - T_eq) * Math.exp(-dt / this.timeConstant);
+    return { T_air, T_mass: T_air };
+  }
+
+  // Hold the air at T_setpoint for dt hours; Q_hvac is the signed HVAC output required (+ heating)
+  hold(state, T_setpoint, T_outdoor, Q_gains, dt) {
+    if (this.model === '2R2C') {
+      // Mass relaxes toward the held air temperature; use its step-average for the load
+      const k = dt * this.couplingConductance / this.massCapacitance;
+      const decay = Math.exp(-k);
+      const T_mass_avg = T_setpoint + (state.T_mass - T_setpoint) * (1 - decay) / k;
+      const Q_hvac = this.envelopeConductance * (T_setpoint - T_outdoor) +
+                     this.couplingConductance * (T_setpoint - T_mass_avg) - Q_gains;
+      
+      return {
+        state: { T_air: T_setpoint, T_mass: T_setpoint + (state.T_mass - T_setpoint) * decay },
+        Q_hvac
+      };
+    }
+    
+    const Q_hvac = (T_setpoint - T_outdoor) / this.thermalResistance - Q_gains;
+    return { state: { T_air: T_setpoint, T_mass: T_setpoint }, Q_hvac };
+  }
+
+  // Heat (Btu, + heating) still needed to bring the whole building to T_setpoint
+  getStoredEnergyDeficit(state, T_setpoint) {
+    if (this.model === '2R2C') {
+      return this.airCapacitance * (T_setpoint - state.T_air) +
+             this.massCapacitance * (T_setpoint - state.T_mass);
+    }
+    return this.thermalCapacitance * (T_setpoint - state.T_air);
+  }
+
+  getTimeToReachTemperature(T_initial, T_target, T_outdoor) {
+    if (Math.abs(T_initial - T_outdoor) < 0.1) return 0;
+    
+    const ratio = (T_target - T_outdoor) / (T_initial - T_outdoor);
+    
+    if (ratio <= 0 || ratio >= 1) return Infinity;
+    
+    if (this.model === '2R2C') {
+      // Air temperature decays monotonically toward outdoor; bisect on time
+      const reached = t => (this.getTemperatureAtTime(T_initial, T_outdoor, t) - T_outdoor) /
+                           (T_initial - T_outdoor) <= ratio;
+      let lo = 0;
+      let hi = this.timeConstants.mass;
+      while (!reached(hi)) {
+        hi *= 2;
+        if (hi > 50 * this.timeConstants.mass) return Infinity;
+      }
+      for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (reached(mid)) hi = mid; else lo = mid;
+      }
+      return hi;
+    }
+    
+    const tau = this.timeConstant;
+    const time = -tau * Math.log(ratio);
+    
+    return time;
+  }
+}
+
+// ============================================================================
+// MODULE 5: HVAC PERFORMANCE
+// ============================================================================
+
+// Fuel heating values used to convert equipment input into billing units
+const FUEL_PROPERTIES = {
+  'electricity': { unit: 'kWh', btu_per_unit: 3412 },
+  'natural_gas': { unit: 'therm', btu_per_unit: 100000 },
+  'propane': { unit: 'gal', btu_per_unit: 91452 },
+  'heating_oil': { unit: 'gal', btu_per_unit: 138500 }
+};
+
+// Heating equipment: fuel burned and the rating that describes its efficiency
+const HEATING_SYSTEMS = {
+  'gas_furnace': { fuel: 'natural_gas', rating: 'afue', category: 'furnace' },
+  'oil_furnace': { fuel: 'heating_oil', rating: 'afue', category: 'furnace' },
+  'propane_furnace': { fuel: 'propane', rating: 'afue', category: 'furnace' },
+  'gas_boiler': { fuel: 'natural_gas', rating: 'afue', category: 'boiler' },
+  'oil_boiler': { fuel: 'heating_oil', rating: 'afue', category: 'boiler' },
+  'propane_boiler': { fuel: 'propane', rating: 'afue', category: 'boiler' },
+  'heat_pump': { fuel: 'electricity', rating: 'hspf', category: 'heat_pump' },
+  // Heat pump with a furnace or boiler (backup_heating_type) below the switchover temperature
+  'dual_fuel': { fuel: 'electricity', rating: 'hspf', category: 'heat_pump' },
+  'electric_resistance': { fuel: 'electricity', rating: 'cop', category: 'resistance' }
+};
+
+// Performance curves by equipment class (AHRI 210/240 rating conditions)
+// capacity_ratio: capacity relative to nominal (95°F cooling, 47°F heating)
+// cop_ratio: COP relative to the rated COP (SEER-based at 82°F, COP47 for heating)
+const COOLING_CURVE_CENTRAL = [
+  { temp: 82, capacity_ratio: 1.07, cop_ratio: 1.00 },
+  { temp: 95, capacity_ratio: 1.00, cop_ratio: 0.875 }
+];
+
+const EQUIPMENT_CURVES = {
+  'central_ac': {
+    cooling: COOLING_CURVE_CENTRAL
+  },
+  'window_unit': {
+    cooling: [
+      { temp: 82, capacity_ratio: 1.05, cop_ratio: 1.00 },
+      { temp: 95, capacity_ratio: 1.00, cop_ratio: 0.85 }
+    ]
+  },
+  'standard_heat_pump': {
+    cooling: COOLING_CURVE_CENTRAL,
+    heating: [
+      { temp: 5, capacity_ratio: 0.48, cop_ratio: 0.52 },
+      { temp: 17, capacity_ratio: 0.62, cop_ratio: 0.65 },
+      { temp: 47, capacity_ratio: 1.00, cop_ratio: 1.00 }
+    ]
+  },
+  'cold_climate_heat_pump': {
+    cooling: COOLING_CURVE_CENTRAL,
+    heating: [
+      { temp: 5, capacity_ratio: 0.78, cop_ratio: 0.62 },
+      { temp: 17, capacity_ratio: 0.88, cop_ratio: 0.72 },
+      { temp: 47, capacity_ratio: 1.00, cop_ratio: 1.00 }
+    ]
+  },
+  'mini_split': {
+    cooling: COOLING_CURVE_CENTRAL,
+    heating: [
+      { temp: 5, capacity_ratio: 0.70, cop_ratio: 0.58 },
+      { temp: 17, capacity_ratio: 0.82, cop_ratio: 0.68 },
+      { temp: 47, capacity_ratio: 1.00, cop_ratio: 1.00 }
+    ]
+  }
+};
+
+// COP at 47°F relative to the HSPF seasonal average (HSPF / 3.412)
+const HSPF_TO_COP47 = 1.45;
+
+// Rated sensible heat ratio of the cooling coil by equipment class
+const SHR_BY_CLASS = {
+  'central_ac': 0.75,
+  'window_unit': 0.70,
+  'standard_heat_pump': 0.75,
+  'cold_climate_heat_pump': 0.75,
+  'mini_split': 0.80
+};
+
+// Rule-of-thumb sizing (Btu/hr per ft²) when the nameplate capacity is unknown
+const DEFAULT_SIZING_BTU_PER_SQFT = {
+  'cooling': 24, // ~1 ton per 500 ft²
+  'heating': 35  // Furnace/boiler output
+};
+
+// Duct distribution efficiency (ASHRAE Standard 152). Temperature change across
+// the equipment (°F) sets the supply flow; duct surface area is a fraction of floor
+// area; the regain factor is the share of duct losses that still reaches the house.
+const EQUIPMENT_TEMP_CHANGE = { cooling: 20, heat_pump: 25, furnace: 55, resistance: 40 };
+const COOLING_CFM_PER_TON = 400;
+const DUCT_AREA_FRACTION = {
+  supply: { one_story: 0.27, multi_story: 0.20 },
+  return: { one_story: 0.05, multi_story: 0.04 }
+};
+const DUCT_REGAIN_FACTOR = { attic: 0.10, crawlspace: 0.12, basement: 0.30, garage: 0.05 };
+const DUCT_FILM_R = 0.7; // Inside and outside air films of a duct wall
+const UNDUCTED_SYSTEMS = { cooling: ['window_unit', 'mini_split'], heating: ['boiler'] };
+
+// Part-load factor: delivered over steady-state efficiency at part-load ratio PLR.
+// Stages are operating points { capacity_ratio, cop_ratio } relative to nominal
+// capacity and rated COP. Below the lowest stage a unit cycles and loses
+// C_d·(1 − output/lowest stage); between stages it modulates continuously.
+const PART_LOAD_CURVES = {
+  'single_stage': {
+    stages: [{ capacity_ratio: 1.0, cop_ratio: 1.0 }],
+    degradation: 0.25
+  },
+  'two_stage': {
+    stages: [{ capacity_ratio: 0.65, cop_ratio: 1.10 }, { capacity_ratio: 1.0, cop_ratio: 1.0 }],
+    degradation: 0.15
+  },
+  'variable_speed': {
+    stages: [{ capacity_ratio: 0.30, cop_ratio: 1.25 }, { capacity_ratio: 1.0, cop_ratio: 1.0 }],
+    degradation: 0.10
+  }
+};
+// SEER and HSPF are seasonal ratings taken at about half load, so the factor is 1 there
+const RATED_PART_LOAD_RATIO = 0.5;
+// Inverter units run above rated speed (max_capacity_btu_hr) at reduced efficiency
+const BOOST_COP_RATIO = 0.90;
+// Recovery outputs, as fractions of full output, tried for variable-speed units
+const RECOVERY_SPEEDS = [0.4, 0.55, 0.7, 0.85];
+
+// Electric strip backup on ducted heat pumps: about 10 kW on a 3-ton unit, locked out
+// above aux_lockout_temp so it only helps when the compressor runs short
+const AUX_HEAT_KW_PER_TON = 3.3;
+const AUX_HEAT_LOCKOUT_TEMP = 40;
+const KW_TO_BTU_HR = 3412;
+
+// Dual fuel: backup when backup_heating_type is not a combustion system, and the
+// outdoor range (°F) searched for balance points
+const DEFAULT_BACKUP_HEATING = 'gas_furnace';
+const BALANCE_POINT_RANGE = [-20, 65];
+
+class HVACPerformance {
+  constructor(hvacInputs, airProps) {
+    this.inputs = hvacInputs;
+    this.airProps = airProps;
+  }
+
+  getEffectiveSEER() {
+    const { seer_rating = 14, hvac_age = '10_15', hvac_type = 'central_ac' } = this.inputs;
+    const { altitude_ft } = this.airProps;
+    
+    // SEER by age if not provided
+    const SEER_BY_AGE = {
+      'under_5': 16,
+      '5_10': 14,
+      '10_15': 13,
+      '15_plus': 10,
+      'unknown': 13
+    };
+
+    let base_seer = seer_rating;
+    if (!seer_rating || seer_rating === 0) {
+      base_seer = SEER_BY_AGE[hvac_age] || 13;
+      if (hvac_type === 'heat_pump') base_seer += 1;
+      if (hvac_type === 'mini_split') base_seer += 4;
+      if (hvac_type === 'window_unit') base_seer -= 2;
+    }
+    
+    // Altitude derating (4% per 1000 ft)
+    const altitude_factor = 1 - 0.04 * (altitude_ft / 1000);
+    const seer_effective = base_seer * altitude_factor;
+    
+    return Math.max(seer_effective, 8);
+  }
+
+  getHeatingSystemType() {
+    const { heating_type, hvac_type = 'central_ac' } = this.inputs;
+    if (HEATING_SYSTEMS[heating_type]) return heating_type;
+    
+    // Heat pumps heat with the same equipment; assume a gas furnace otherwise
+    return ['heat_pump', 'mini_split'].includes(hvac_type) ? 'heat_pump' : 'gas_furnace';
+  }
+
+  getAFUE() {
+    const { afue, hvac_age = '10_15' } = this.inputs;
+    
+    // Accept either a fraction (0.95) or a percentage (95)
+    if (afue) return afue > 1 ? afue / 100 : afue;
+    
+    // AFUE by age if not provided (DOE minimums and typical field values)
+    const AFUE_BY_AGE = {
+      'furnace': { 'under_5': 0.92, '5_10': 0.90, '10_15': 0.80, '15_plus': 0.72, 'unknown': 0.80 },
+      'boiler': { 'under_5': 0.87, '5_10': 0.85, '10_15': 0.82, '15_plus': 0.75, 'unknown': 0.82 }
+    };
+    
+    const system = this.isDualFuel() ? this.getBackupSystemType() : this.getHeatingSystemType();
+    return AFUE_BY_AGE[HEATING_SYSTEMS[system].category]?.[hvac_age] || 0.80;
+  }
+
+  getEffectiveHSPF() {
+    const { hspf_rating, hvac_age = '10_15', hvac_type } = this.inputs;
+    
+    // HSPF by age if not provided
+    const HSPF_BY_AGE = {
+      'under_5': 9.0,
+      '5_10': 8.5,
+      '10_15': 7.7,
+      '15_plus': 6.8,
+      'unknown': 7.7
+    };
+    
+    if (hspf_rating) return hspf_rating;
+    return (HSPF_BY_AGE[hvac_age] || 7.7) + (hvac_type === 'mini_split' ? 1.5 : 0);
+  }
+
+  getEquipmentClass() {
+    const { equipment_class, hvac_type = 'central_ac' } = this.inputs;
+    if (EQUIPMENT_CURVES[equipment_class]) return equipment_class;
+    if (hvac_type === 'heat_pump') return 'standard_heat_pump';
+    if (hvac_type === 'mini_split') return 'mini_split';
+    return EQUIPMENT_CURVES[hvac_type] ? hvac_type : 'central_ac';
+  }
+
+  // Rated points for this mode: user-supplied { temp, capacity_ratio, cop } or class defaults
+  getPerformanceCurve(mode = 'cooling') {
+    const { performance_curve } = this.inputs;
+    const custom = performance_curve?.[mode];
+    if (Array.isArray(custom) && custom.length > 0) {
+      return [...custom].sort((a, b) => a.temp - b.temp);
+    }
+    
+    const curves = EQUIPMENT_CURVES[this.getEquipmentClass()];
+    const points = curves[mode] || EQUIPMENT_CURVES.standard_heat_pump[mode];
+    const rated_cop = this.getRatedCOP(mode);
+    
+    return points.map(point => ({
+      temp: point.temp,
+      capacity_ratio: point.capacity_ratio,
+      cop: rated_cop * point.cop_ratio
+    }));
+  }
+
+  getRatedCOP(mode = 'cooling') {
+    if (mode === 'cooling') return this.getEffectiveSEER() / 3.412;
+    const { heating_cop } = this.inputs;
+    return heating_cop || this.getEffectiveHSPF() / 3.412 * HSPF_TO_COP47;
+  }
+
+  // Linear interpolation between rated points. Beyond the ends a value that would keep
+  // improving (cooling below 82°F, heating above 47°F) holds at the end point; one that
+  // keeps degrading (cooling above 95°F, heating below 5°F) follows the end segment.
+  getPerformanceAt(mode = 'cooling', T_outdoor = this.airProps.T_db) {
+    const points = this.getPerformanceCurve(mode);
+    if (points.length === 1) {
+      return { capacity_ratio: points[0].capacity_ratio, cop: points[0].cop };
+    }
+    
+    let i = 0;
+    while (i < points.length - 2 && T_outdoor > points[i + 1].temp) i++;
+    const p1 = points[i];
+    const p2 = points[i + 1];
+    const frac = (T_outdoor - p1.temp) / (p2.temp - p1.temp);
+    const along = key => {
+      if (frac < 0 && p1[key] >= p2[key]) return p1[key];
+      if (frac > 1 && p2[key] >= p1[key]) return p2[key];
+      return p1[key] + frac * (p2[key] - p1[key]);
+    };
+    
+    const capacity_ratio = along('capacity_ratio');
+    const cop = along('cop');
+    
+    // A vapor-compression unit never does worse than resistance heat or zero output
+    return {
+      capacity_ratio: Math.max(capacity_ratio, 0),
+      cop: Math.max(cop, 1.0)
+    };
+  }
+
+  usesPerformanceCurve(mode = 'cooling') {
+    return mode === 'cooling' || HEATING_SYSTEMS[this.getHeatingSystemType()].rating === 'hspf';
+  }
+
+  getCapacityRatio(mode = 'cooling', T_outdoor = this.airProps.T_db) {
+    if (!this.usesPerformanceCurve(mode)) return 1.0;
+    return this.getPerformanceAt(mode, T_outdoor).capacity_ratio;
+  }
+
+  // Nominal output: rated cooling (95°F) or heat pump (47°F) capacity, or furnace/boiler output
+  getNominalCapacity(mode = 'cooling') {
+    const { capacity_btu_hr, capacity_tons, floor_area = 2000 } = this.inputs;
+    
+    if (mode === 'heating' && !this.usesPerformanceCurve(mode)) return this.getFurnaceCapacity();
+    
+    if (capacity_btu_hr) return capacity_btu_hr;
+    if (capacity_tons) return capacity_tons * 12000;
+    return floor_area * DEFAULT_SIZING_BTU_PER_SQFT.cooling;
+  }
+
+  // Furnace or boiler output, also the backup of a dual-fuel heat pump
+  getFurnaceCapacity() {
+    const { heating_capacity_btu_hr, floor_area = 2000 } = this.inputs;
+    return heating_capacity_btu_hr || floor_area * DEFAULT_SIZING_BTU_PER_SQFT.heating;
+  }
+
+  // Output of the rated equipment at the outdoor temperature, at the highest stage
+  getCompressorCapacity(mode = 'cooling', T_outdoor = this.airProps.T_db) {
+    return this.getNominalCapacity(mode) * this.getCapacityRatio(mode, T_outdoor) * this.getMaxCapacityRatio(mode);
+  }
+
+  // Available output (Btu/hr) at the outdoor temperature
+  getCapacity(mode = 'cooling', T_outdoor = this.airProps.T_db) {
+    if (this.usesBackupHeat(mode, T_outdoor)) return this.getFurnaceCapacity();
+    return this.getCompressorCapacity(mode, T_outdoor);
+  }
+
+  getSensibleHeatRatio() {
+    const { sensible_heat_ratio } = this.inputs;
+    return sensible_heat_ratio || SHR_BY_CLASS[this.getEquipmentClass()] || 0.75;
+  }
+
+  // Part load: runtime follows the sensible load, and while running the coil can
+  // remove at most (1 - SHR) / SHR Btu of moisture per Btu of sensible cooling
+  splitCoilLoad(Q_sensible, Q_latent) {
+    const SHR = this.getSensibleHeatRatio();
+    const latent = Math.min(Q_latent, Q_sensible * (1 - SHR) / SHR);
+    return { sensible: Q_sensible, latent, unmet_latent: Q_latent - latent };
+  }
+
+  // Full output: a dry coil is all sensible, a wet coil gives up to (1 - SHR) to moisture
+  splitCapacity(capacity, Q_latent) {
+    const SHR = this.getSensibleHeatRatio();
+    const latent = Math.min(Q_latent, (1 - SHR) * capacity);
+    return { sensible: capacity - latent, latent };
+  }
+
+  getHeatingEfficiency(T_outdoor = this.airProps.T_db) {
+    const system = HEATING_SYSTEMS[this.getHeatingSystemType()];
+    
+    if (system.rating === 'afue' || this.usesBackupHeat('heating', T_outdoor)) return this.getAFUE();
+    if (system.rating === 'hspf') return this.getPerformanceAt('heating', T_outdoor).cop;
+    return 1.0; // Electric resistance
+  }
+
+  getFuelType(mode = 'cooling') {
+    if (mode === 'cooling') return 'electricity';
+    return HEATING_SYSTEMS[this.getHeatingSystemType()].fuel;
+  }
+
+  // Unit of E_total; a dual-fuel furnace's E_backup is in its own fuel's unit
+  getEnergyUnit(mode = 'cooling') {
+    return FUEL_PROPERTIES[this.getFuelType(mode)].unit;
+  }
+
+  // { fuel: energy in its own units } from E_total and a dual-fuel furnace's E_backup
+  getEnergyByFuel(mode, { E_total, E_backup = 0 }) {
+    const by_fuel = { [this.getFuelType(mode)]: E_total };
+    if (mode === 'heating' && this.isDualFuel()) {
+      by_fuel[HEATING_SYSTEMS[this.getBackupSystemType()].fuel] = E_backup;
+    }
+    return by_fuel;
+  }
+
+  // Dollars for an energy breakdown, each fuel at its own rate
+  getEnergyCost(mode, breakdown) {
+    this.energyRates ||= {};
+    return Object.entries(this.getEnergyByFuel(mode, breakdown)).reduce((cost, [fuel, E]) => {
+      this.energyRates[fuel] ??= getEnergyRate(this.inputs, fuel);
+      return cost + E * this.energyRates[fuel];
+    }, 0);
+  }
+
+  // Output/input ratio at the outdoor temperature: COP for electric equipment, AFUE for combustion
+  getCOP(mode = 'cooling', T_outdoor = this.airProps.T_db) {
+    if (mode === 'heating') return this.getHeatingEfficiency(T_outdoor);
+    return this.getPerformanceAt('cooling', T_outdoor).cop;
+  }
+
+  // 'single_stage', 'two_stage' or 'variable_speed'; mini-splits and cold-climate
+  // heat pumps are inverter units
+  getStaging() {
+    const { staging } = this.inputs;
+    if (PART_LOAD_CURVES[staging]) return staging;
+    return ['cold_climate_heat_pump', 'mini_split'].includes(this.getEquipmentClass()) ? 'variable_speed' : 'single_stage';
+  }
+
+  // Operating points lowest first. stages ([{ capacity_ratio, cop_ratio | cop }], or
+  // { cooling, heating } lists) replace the staging defaults; otherwise
+  // min_capacity_btu_hr moves the lowest stage and max_capacity_btu_hr adds a boost stage.
+  getStages(mode = 'cooling') {
+    const { stages, min_capacity_btu_hr, max_capacity_btu_hr } = this.inputs;
+    const custom = Array.isArray(stages) ? stages : stages?.[mode];
+    if (Array.isArray(custom) && custom.length > 0) {
+      const rated_cop = this.getRatedCOP(mode);
+      return custom
+        .map(stage => ({
+          capacity_ratio: Number(stage.capacity_ratio),
+          cop_ratio: isNumeric(stage.cop) ? Number(stage.cop) / rated_cop : Number(stage.cop_ratio ?? 1)
+        }))
+        .sort((a, b) => a.capacity_ratio - b.capacity_ratio);
+    }
+
+    const nominal = this.getNominalCapacity(mode);
+    const points = PART_LOAD_CURVES[this.getStaging()].stages.map(stage => ({ ...stage }));
+    if (points.length > 1 && isNumeric(min_capacity_btu_hr)) {
+      points[0].capacity_ratio = Math.min(Number(min_capacity_btu_hr) / nominal, 1);
+    }
+    if (isNumeric(max_capacity_btu_hr) && Number(max_capacity_btu_hr) > nominal) {
+      points.push({ capacity_ratio: Number(max_capacity_btu_hr) / nominal, cop_ratio: BOOST_COP_RATIO });
+    }
+    return points;
+  }
+
+  // Highest stage over nominal: full output at any outdoor temperature
+  getMaxCapacityRatio(mode = 'cooling') {
+    if (!this.usesPerformanceCurve(mode)) return 1;
+    const stages = this.getStages(mode);
+    return stages[stages.length - 1].capacity_ratio;
+  }
+
+  // Compressor equipment only: AFUE already carries a furnace's cycling losses.
+  // part_load_ratio is output over full output (see getCapacity).
+  getPartLoadFactor(mode = 'cooling', part_load_ratio = RATED_PART_LOAD_RATIO) {
+    if (!this.usesPerformanceCurve(mode)) return 1;
+
+    const stages = this.getStages(mode);
+    const { cycling_degradation } = this.inputs;
+    const C_d = isNumeric(cycling_degradation)
+      ? Number(cycling_degradation)
+      : PART_LOAD_CURVES[this.getStaging()].degradation;
+    const lowest = stages[0];
+    const table = stages.map(stage => [stage.capacity_ratio, stage.cop_ratio]);
+    // q is output over nominal capacity
+    const factorAt = q => {
+      if (q < lowest.capacity_ratio) return lowest.cop_ratio * (1 - C_d * (1 - q / lowest.capacity_ratio));
+      return interpolate(table, q);
+    };
+
+    const PLR = Math.min(1, Math.max(0, part_load_ratio));
+    return factorAt(PLR * this.getMaxCapacityRatio(mode)) / factorAt(RATED_PART_LOAD_RATIO);
+  }
+
+  // Output fractions a setback recovery can run at: full output for single-stage
+  // units, each stage for multi-stage units and a range of speeds for variable-speed units
+  getRecoverySpeeds(mode = 'cooling') {
+    if (!this.usesPerformanceCurve(mode)) return [1];
+    const stages = this.getStages(mode);
+    const top = this.getMaxCapacityRatio(mode);
+    const lowest = stages[0].capacity_ratio / top;
+    const speeds = stages.map(stage => Number((stage.capacity_ratio / top).toFixed(3)));
+    if (this.getStaging() === 'variable_speed') {
+      RECOVERY_SPEEDS
+        .filter(speed => speed >= lowest && speeds.every(stage => Math.abs(stage - speed) >= 0.05))
+        .forEach(speed => speeds.push(speed));
+    }
+    return speeds.sort((a, b) => b - a);
+  }
+
+  // Strip heat capacity (kW): aux_heat_kw, else sized from a central heat pump's tonnage
+  getAuxHeatKW() {
+    const { aux_heat_kw, hvac_type } = this.inputs;
+    if (HEATING_SYSTEMS[this.getHeatingSystemType()].category !== 'heat_pump' || this.isDualFuel()) return 0;
+    if (isNumeric(aux_heat_kw)) return Number(aux_heat_kw);
+    if (hvac_type === 'mini_split') return 0;
+    return this.getNominalCapacity('heating') / 12000 * AUX_HEAT_KW_PER_TON;
+  }
+
+  hasAuxHeat(mode = 'heating') {
+    return mode === 'heating' && this.getAuxHeatKW() > 0;
+  }
+
+  // Strips may run at or below the lockout temperature
+  canUseAuxHeat(T_outdoor) {
+    const { aux_lockout_temp = AUX_HEAT_LOCKOUT_TEMP } = this.inputs;
+    return this.hasAuxHeat('heating') && T_outdoor <= Number(aux_lockout_temp);
+  }
+
+  isDualFuel() {
+    return this.getHeatingSystemType() === 'dual_fuel';
+  }
+
+  getBackupSystemType() {
+    const { backup_heating_type } = this.inputs;
+    return HEATING_SYSTEMS[backup_heating_type]?.rating === 'afue' ? backup_heating_type : DEFAULT_BACKUP_HEATING;
+  }
+
+  // Backup fuel price over the electric rate: kWh that cost the same as one unit of backup fuel.
+  // Only sets the economic balance point; energy stays in each fuel's own units.
+  getBackupPriceRatio() {
+    if (this.backupPriceRatio === undefined) {
+      const fuel = HEATING_SYSTEMS[this.getBackupSystemType()].fuel;
+      this.backupPriceRatio = getEnergyRate(this.inputs, fuel) / getElectricityRate(this.inputs);
+    }
+    return this.backupPriceRatio;
+  }
+
+  // Outdoor temperature where a delivered Btu costs the same from either source:
+  // heat pump COP = (fuel Btu per kWh of equal cost) × AFUE / 3412. The COP falls
+  // with the outdoor temperature, so the furnace is cheaper below this point.
+  getEconomicBalancePoint() {
+    if (this.economicBalancePoint !== undefined) return this.economicBalancePoint;
+    
+    const { btu_per_unit } = FUEL_PROPERTIES[HEATING_SYSTEMS[this.getBackupSystemType()].fuel];
+    const break_even_cop = btu_per_unit / this.getBackupPriceRatio() * this.getAFUE() / FUEL_PROPERTIES.electricity.btu_per_unit;
+    const copAt = T => this.getPerformanceAt('heating', T).cop;
+    let [lo, hi] = BALANCE_POINT_RANGE;
+    
+    if (copAt(hi) < break_even_cop) {
+      lo = hi;
+    } else if (copAt(lo) < break_even_cop) {
+      for (let i = 0; i < 40; i++) {
+        const mid = (lo + hi) / 2;
+        if (copAt(mid) < break_even_cop) lo = mid; else hi = mid;
+      }
+    }
+    this.economicBalancePoint = lo;
+    return lo;
+  }
+
+  // Outdoor temperature below which the heat pump alone cannot carry the house,
+  // from EnergyModel.getCapacityBalancePoint
+  setCapacityBalancePoint(T_balance) {
+    this.capacityBalancePoint = T_balance;
+  }
+
+  // Cheapest switchover the heat pump can carry: the higher of the two balance points
+  getBestSwitchoverTemp() {
+    return Math.max(this.getEconomicBalancePoint(), this.capacityBalancePoint ?? -Infinity);
+  }
+
+  getSwitchoverTemp() {
+    const { switchover_temp } = this.inputs;
+    return isNumeric(switchover_temp) ? Number(switchover_temp) : this.getBestSwitchoverTemp();
+  }
+
+  // Dual fuel: the furnace heats, in place of the heat pump, below the switchover temperature
+  usesBackupHeat(mode, T_outdoor = this.airProps.T_db) {
+    return mode === 'heating' && this.isDualFuel() && T_outdoor < this.getSwitchoverTemp();
+  }
+
+  // Above the switchover a dual-fuel furnace also takes over whenever the heat pump
+  // cannot deliver Q_output_btu_hr; there are no strips to make up the difference
+  needsBackupHeat(mode, T_outdoor, Q_output_btu_hr) {
+    return this.usesBackupHeat(mode, T_outdoor) ||
+      (mode === 'heating' && this.isDualFuel() && Q_output_btu_hr > this.getCompressorCapacity(mode, T_outdoor));
+  }
+
+  // Dual-fuel furnace input in its own fuel units per hour (therm/hr or gal/hr)
+  getBackupConsumption(Q_output_btu_hr) {
+    const { btu_per_unit } = FUEL_PROPERTIES[HEATING_SYSTEMS[this.getBackupSystemType()].fuel];
+    return Q_output_btu_hr / this.getAFUE() / btu_per_unit;
+  }
+
+  // Equipment input rate in fuel units per hour (kW, therm/hr or gal/hr) to deliver
+  // Q_load_btu_hr to the rooms through ducts of the given distribution efficiency.
+  // The part-load ratio defaults to this output over the capacity at T_outdoor.
+  // Below the switchover a dual-fuel system burns its furnace's fuel.
+  getPowerConsumption(Q_load_btu_hr, mode = 'cooling', T_outdoor = this.airProps.T_db, distribution_efficiency = 1, part_load_ratio = null) {
+    const Q_output_btu_hr = Q_load_btu_hr / distribution_efficiency;
+    if (this.usesBackupHeat(mode, T_outdoor)) return this.getBackupConsumption(Q_output_btu_hr);
+    
+    const COP = this.getCOP(mode, T_outdoor);
+    const { btu_per_unit } = FUEL_PROPERTIES[this.getFuelType(mode)];
+    const capacity = this.getCapacity(mode, T_outdoor);
+    const PLR = part_load_ratio ?? (capacity > 0 ? Q_output_btu_hr / capacity : 1);
+    const Q_input_btu_hr = Q_output_btu_hr / (COP * this.getPartLoadFactor(mode, PLR));
+    return Q_input_btu_hr / btu_per_unit;
+  }
+
+  // Ducts outside the conditioned space: duct_location 'attic', 'crawlspace',
+  // 'basement' or 'garage'; 'conditioned' (the default) when the ducts are inside
+  hasDuctLosses(mode = 'cooling') {
+    const { duct_location, hvac_type = 'central_ac' } = this.inputs;
+    if (!DUCT_REGAIN_FACTOR[duct_location]) return false;
+    if (mode === 'cooling') return !UNDUCTED_SYSTEMS.cooling.includes(hvac_type);
+    const { category } = HEATING_SYSTEMS[this.getHeatingSystemType()];
+    // Heat pumps heat through the same indoor units they cool with
+    if (category === 'heat_pump') return !UNDUCTED_SYSTEMS.cooling.includes(hvac_type);
+    return !UNDUCTED_SYSTEMS.heating.includes(category);
+  }
+
+  // ASHRAE 152 delivery effectiveness with thermal regain, for the house at T_indoor
+  // and the duct space at T_duct_space:
+  // DE = a_s·B_s − a_s·B_s·(1 − B_r·a_r)·ΔT_r/ΔT_e − a_s·(1 − B_s)·ΔT_s/ΔT_e
+  getDistributionEfficiency(mode, T_indoor, T_duct_space) {
+    if (!this.hasDuctLosses(mode)) return 1;
+
+    const {
+      duct_location,
+      duct_r_value = 6,
+      supply_leakage_percent = 10,
+      return_leakage_percent = 10,
+      duct_supply_area,
+      duct_return_area,
+      floor_area = 2000,
+      num_floors = 1
+    } = this.inputs;
+    const stories = num_floors > 1 ? 'multi_story' : 'one_story';
+    const A_supply = duct_supply_area || DUCT_AREA_FRACTION.supply[stories] * floor_area;
+    const A_return = duct_return_area || DUCT_AREA_FRACTION.return[stories] * floor_area;
+
+    const category = mode === 'cooling' ? 'cooling' : HEATING_SYSTEMS[this.getHeatingSystemType()].category;
+    const dT_equipment = EQUIPMENT_TEMP_CHANGE[category] || EQUIPMENT_TEMP_CHANGE.furnace;
+    // Air-side sensible factor 60·ρ·c_p (≈ 1.08 Btu/hr·°F per cfm for standard air)
+    const sensible = 60 * (this.airProps.rho ?? 0.075) * (this.airProps.c_p ?? 0.24);
+    const cfm = mode === 'cooling'
+      ? this.getNominalCapacity('cooling') / 12000 * COOLING_CFM_PER_TON
+      : this.getNominalCapacity('heating') / (sensible * dT_equipment);
+    const flow_conductance = sensible * cfm;
+
+    const R_duct = duct_r_value + DUCT_FILM_R;
+    const B_s = Math.exp(-A_supply / (flow_conductance * R_duct));
+    const B_r = Math.exp(-A_return / (flow_conductance * R_duct));
+    const a_s = 1 - supply_leakage_percent / 100;
+    const a_r = 1 - return_leakage_percent / 100;
+
+    // Temperature differences that work against the equipment (positive when adverse)
+    const dT_space = mode === 'cooling' ? T_duct_space - T_indoor : T_indoor - T_duct_space;
+    const DE = a_s * B_s -
+               a_s * B_s * (1 - B_r * a_r) * dT_space / dT_equipment -
+               a_s * (1 - B_s) * dT_space / dT_equipment;
+
+    const regain = DUCT_REGAIN_FACTOR[duct_location];
+    return Math.min(1, Math.max(0.2, DE + regain * (1 - DE)));
+  }
+}
+
+// ============================================================================
+// MODULE 6: ENERGY CALCULATIONS (CORRECTED)
+// ============================================================================
+
+// Gains per person, seated / light activity (ASHRAE Fundamentals Ch. 18)
+const OCCUPANT_SENSIBLE_BTU_HR = 230;
+const OCCUPANT_LATENT_BTU_HR = 200;
+
+// Typical occupied-home appliance and lighting gains (Btu/hr), after the
+// ANSI/RESNET 301 reference home, and the fraction left running while away
+// (refrigerator, electronics on standby)
+const INTERNAL_GAIN_DEFAULTS = {
+  appliances: { base: 700, per_sqft: 0.3, standby_fraction: 0.4 },
+  lighting: { base: 0, per_sqft: 0.5, standby_fraction: 0 }
+};
+
+class EnergyModel {
+  constructor(inputs, psychrometrics, envelope, thermalMass, hvac, solar = null, outdoor = null) {
+    this.inputs = inputs;
+    this.psychro = psychrometrics;
+    this.envelope = envelope;
+    this.thermalMass = thermalMass;
+    this.hvac = hvac;
+    this.solar = solar;
+    this.outdoor = outdoor;
+    this.absenceStart = parseTime(inputs.absence_start_time || '8:00 AM');
+    this.gainCache = new Map();
+    this.roofCache = new Map();
+    this.internalGains = this.getInternalGainSchedule();
+  }
+
+  // Occupied and standby sensible gains (Btu/hr) by source; explicit inputs override the defaults
+  getInternalGainSchedule() {
+    const {
+      floor_area,
+      occupants = Math.max(1, Math.round(floor_area / 800)),
+      occupants_during_absence = 0,
+      appliance_gains_btu_hr,
+      lighting_gains_btu_hr,
+      standby_gains_btu_hr
+    } = this.inputs;
+    const { appliances, lighting } = INTERNAL_GAIN_DEFAULTS;
+    
+    const occupied = {
+      people: occupants * OCCUPANT_SENSIBLE_BTU_HR,
+      appliances: appliance_gains_btu_hr ?? appliances.base + appliances.per_sqft * floor_area,
+      lighting: lighting_gains_btu_hr ?? lighting.base + lighting.per_sqft * floor_area
+    };
+    occupied.total = occupied.people + occupied.appliances + occupied.lighting;
+    
+    const standby = {
+      people: occupants_during_absence * OCCUPANT_SENSIBLE_BTU_HR,
+      appliances: occupied.appliances * appliances.standby_fraction,
+      lighting: occupied.lighting * lighting.standby_fraction
+    };
+    if (standby_gains_btu_hr !== undefined && standby_gains_btu_hr !== null) {
+      standby.appliances = standby_gains_btu_hr;
+      standby.lighting = 0;
+    }
+    standby.total = standby.people + standby.appliances + standby.lighting;
+    
+    return { occupants, occupied, standby };
+  }
+
+  // Internal gains drop to standby while the house is empty
+  getInternalGains(t) {
+    const { absence_duration = 0 } = this.inputs;
+    const away = t >= 0 && t < absence_duration;
+    return away ? this.internalGains.standby.total : this.internalGains.occupied.total;
+  }
+
+  // Solar gain (Btu/hr) through the windows t hours into the absence
+  getSolarGain(t) {
+    if (!this.solar) return 0;
+    
+    const key = Math.round(t * 600); // 6 second resolution
+    if (!this.gainCache.has(key)) {
+      const clock_hour = (this.absenceStart + t) % 24;
+      this.gainCache.set(key, this.envelope.getSolarHeatGain(this.solar, clock_hour));
+    }
+    return this.gainCache.get(key);
+  }
+
+  // Horizontal irradiance (Btu/hr·ft²) on the roof t hours into the absence
+  getRoofIrradiance(t) {
+    if (!this.solar) return 0;
     
-    // Thermal capacitance = VHC × Active Volume × Insulation Factor
-    const C_total = effective_VHC * volume * thermal_participation * insulation_factor;
+    const key = Math.round(t * 600);
+    if (!this.roofCache.has(key)) {
+      this.roofCache.set(key, this.solar.getHorizontalIrradiance((this.absenceStart + t) % 24));
+    }
+    return this.roofCache.get(key);
+  }
 
-    return C_total; // Btu/°F
+  // Outdoor temperature the RC network sees t hours into the absence, with the
+  // attic and ground boundaries folded in (see BuildingEnvelope.getEquivalentOutdoorTemp)
+  getDrivingTemp(t, T_out) {
+    return this.envelope.getEquivalentOutdoorTemp(T_out, this.getRoofIrradiance(t));
   }
 
-  calculateThermalResistance() {
-    const U_eff = this.envelope.getEffectiveUFactor();
-    const A_total = this.envelope.components.total_area;
+  // Solar heat (Btu) through each scheduled window over the absence, by window id
+  getWindowSolarTotals(absence_hours) {
+    const totals = {};
+    if (!this.solar || !this.envelope.components.windows.schedule) return totals;
 
-    // R_th = 1 / (U_eff × A_total) = (hr·°F)/Btu
-    const R_th = 1 / (U_eff * A_total);
+    for (let t = 0; t < absence_hours; t++) {
+      const clock_hour = (this.absenceStart + t + 0.5) % 24;
+      this.envelope.getWindowSolarGains(this.solar, clock_hour).forEach(({ id, gain }) => {
+        totals[id] = (totals[id] || 0) + gain;
+      });
+    }
+    return totals;
+  }
 
-    return R_th;
+  // Sensible heat gains (Btu/hr) t hours into the absence: solar plus internal
+  getHeatGains(t) {
+    return this.getSolarGain(t) + this.getInternalGains(t);
   }
 
-  getTimeConstant() {
-    // τ = R × C (hours)
-    return this.timeConstant;
+  getHourlyHeatGains(absence_hours, gainAt = t => this.getHeatGains(t)) {
+    const gains = [];
+    for (let t = 0; t < absence_hours; t++) {
+      gains.push(Math.round(gainAt(t + 0.5)));
+    }
+    return gains;
   }
 
-  getTemperatureAtTime(T_initial, T_outdoor, time_hours) {
-    const tau = this.timeConstant;
-    const T_t = T_outdoor + (T_initial - T_outdoor) * Math.exp(-time_hours / tau);
-    return T_t;
+  // Attic air temperature at mid-hour over the absence with the house held at T_indoor
+  getHourlyAtticTemps(absence_hours, T_indoor, T_outdoor) {
+    const temps = [];
+    for (let t = 0.5; t < absence_hours; t++) {
+      const T_attic = this.envelope.getAtticTemp(T_indoor, this.getOutdoorTemp(t, T_outdoor), this.getRoofIrradiance(t));
+      temps.push(T_attic === null ? null : Number(T_attic.toFixed(1)));
+    }
+    return temps;
   }
 
-  getTimeToReachTemperature(T_initial, T_target, T_outdoor) {
-    if (Math.abs(T_initial - T_outdoor) < 0.1) return 0;
-    
-    const ratio = (T_target - T_outdoor) / (T_initial - T_outdoor);
-    
-    if (ratio <= 0 || ratio >= 1) return Infinity;
-    
-    const tau = this.timeConstant;
-    const time = -tau * Math.log(ratio);
-    
-    return time;
+  getHourlyDistributionEfficiency(absence_hours, T_indoor, T_outdoor, mode) {
+    const efficiencies = [];
+    for (let t = 0.5; t < absence_hours; t++) {
+      const eta = this.getDistributionEfficiency(t, T_indoor, this.getOutdoorTemp(t, T_outdoor), mode);
+      efficiencies.push(Number(eta.toFixed(3)));
+    }
+    return efficiencies;
   }
-}
 
-// ============================================================================
-// MODULE 5: HVAC PERFORMANCE
-// ============================================================================
+  // Outdoor temperature t hours into the absence; T_outdoor when there is no varying profile
+  getOutdoorTemp(t, T_outdoor) {
+    return this.outdoor?.varies ? this.outdoor.getTemperature(t) : T_outdoor;
+  }
 
-class HVACPerformance {
-  constructor(hvacInputs, airProps) {
-    this.inputs = hvacInputs;
-    this.airProps = airProps;
+  getOutdoorRange(T_outdoor, hours) {
+    if (!this.outdoor?.varies) return { min: T_outdoor, max: T_outdoor };
+    const { min, max } = this.outdoor.getSummary(hours);
+    return { min, max };
   }
 
-  getEffectiveSEER() {
-    const { seer_rating = 14, hvac_age = '10_15', hvac_type = 'central_ac' } = this.inputs;
-    const { altitude_ft } = this.airProps;
-    
-    // SEER by age if not provided
-    const SEER_BY_AGE = {
-      'under_5': 16,
-      '5_10': 14,
-      '10_15': 13,
-      '15_plus': 10,
-      'unknown': 13
-    };
+  getMode(T_desired, T_outdoor) {
+    return T_outdoor > T_desired ? 'cooling' : 'heating';
+  }
 
-    let base_seer = seer_rating;
-    if (!seer_rating || seer_rating === 0) {
-      base_seer = SEER_BY_AGE[hvac_age] || 13;
-      if (hvac_type === 'heat_pump') base_seer += 1;
-      if (hvac_type === 'window_unit') base_seer -= 2;
-    }
-    
-    // Altitude derating (4% per 1000 ft)
-    const altitude_factor = 1 - 0.04 * (altitude_ft / 1000);
-    const seer_effective = base_seer * altitude_factor;
+  // Outdoor temperature where the heat pump's full output just meets the steady
+  // heat loss of the house at T_desired, less the standby gains
+  getCapacityBalancePoint(T_desired) {
+    const UA = this.envelope.getTotalUA();
+    const surplus = T => this.hvac.getCompressorCapacity('heating', T) -
+      (UA * (T_desired - T) - this.internalGains.standby.total);
+    let lo = BALANCE_POINT_RANGE[0];
+    let hi = Math.min(BALANCE_POINT_RANGE[1], T_desired);
     
-    return Math.max(seer_effective, 8);
+    if (surplus(lo) >= 0) return lo;
+    if (surplus(hi) < 0) return hi;
+    for (let i = 0; i < 40; i++) {
+      const mid = (lo + hi) / 2;
+      if (surplus(mid) < 0) lo = mid; else hi = mid;
+    }
+    return hi;
   }
 
-  getCOP() {
-    const seer_eff = this.getEffectiveSEER();
-    return seer_eff / 3.412;
+  getIndoorHumidityRatio() {
+    const { desired_temp, indoor_humidity = 50 } = this.inputs;
+    const P_atm = this.envelope.airProps?.P_atm ?? this.psychro.getAtmosphericPressure(0);
+    return this.psychro.getHumidityRatio(desired_temp, indoor_humidity, P_atm);
   }
 
-  getPowerConsumption(Q_load_btu_hr) {
-    const COP = this.getCOP();
-    const Q_load_kW = Q_load_btu_hr / 3412;
-    const P_kW = Q_load_kW / COP;
-    return P_kW;
+  // Moisture the cooling coil must remove (Btu/hr) from infiltration and anyone home
+  // during the absence; no humidification is modeled in heating
+  getLatentLoad(mode) {
+    if (mode !== 'cooling') return 0;
+    const { occupants_during_absence = 0 } = this.inputs;
+    const W_indoor = this.getIndoorHumidityRatio();
+    const Q_infiltration = Math.max(0, this.envelope.getInfiltrationLatentLoad(W_indoor));
+    const Q_ventilation = Math.max(0, this.envelope.getVentilationLatentLoad(W_indoor));
+    return Q_infiltration + Q_ventilation + occupants_during_absence * OCCUPANT_LATENT_BTU_HR;
   }
-}
 
-// ============================================================================
-// MODULE 6: ENERGY CALCULATIONS (CORRECTED)
-// ============================================================================
+  // Duct distribution efficiency t hours into the absence with the house at T_indoor
+  getDistributionEfficiency(t, T_indoor, T_out, mode) {
+    if (!this.hvac.hasDuctLosses(mode)) return 1;
+    const T_duct_space = this.envelope.getDuctSpaceTemp(this.inputs.duct_location, T_indoor, T_out, this.getRoofIrradiance(t));
+    return this.hvac.getDistributionEfficiency(mode, T_indoor, T_duct_space);
+  }
 
-class EnergyModel {
-  constructor(inputs, psychrometrics, envelope, thermalMass, hvac) {
-    this.inputs = inputs;
-    this.psychro = psychrometrics;
-    this.envelope = envelope;
-    this.thermalMass = thermalMass;
-    this.hvac = hvac;
+  // Energy in fuel units for a sensible load plus the latent part the coil removes with it;
+  // duct losses raise the sensible input, the latent load is removed at the coil.
+  // Both parts run at the part-load ratio of the combined coil output.
+  // E_backup is a dual-fuel furnace's fuel, kept out of the heat pump's E_sensible.
+  getLoadEnergy(Q_sensible, Q_latent, mode, T_outdoor, hours, distribution_efficiency = 1) {
+    if (mode !== 'cooling') {
+      const Q_output = Q_sensible / distribution_efficiency;
+      if (this.hvac.needsBackupHeat(mode, T_outdoor, Q_output)) {
+        return { E_sensible: 0, E_latent: 0, E_backup: this.hvac.getBackupConsumption(Q_output) * hours };
+      }
+      const E = this.hvac.getPowerConsumption(Q_sensible, mode, T_outdoor, distribution_efficiency) * hours;
+      return { E_sensible: E, E_latent: 0, E_backup: 0 };
+    }
+    const coil = this.hvac.splitCoilLoad(Q_sensible, Q_latent);
+    const capacity = this.hvac.getCapacity(mode, T_outdoor);
+    const PLR = capacity > 0 ? (coil.sensible / distribution_efficiency + coil.latent) / capacity : 1;
+    return {
+      E_sensible: this.hvac.getPowerConsumption(coil.sensible, mode, T_outdoor, distribution_efficiency, PLR) * hours,
+      E_latent: this.hvac.getPowerConsumption(coil.latent, mode, T_outdoor, 1, PLR) * hours,
+      E_backup: 0
+    };
   }
 
-  energyToMaintain(T_desired, T_outdoor, duration_hours) {
-    const Q_rate = this.envelope.getComponentHeatTransfer(T_desired, T_outdoor).total;
-    const Q_load_abs = Math.abs(Q_rate);
-    const P_hvac = this.hvac.getPowerConsumption(Q_load_abs);
-    const E_total = P_hvac * duration_hours;
-    return E_total;
+  // Energy in the equipment's fuel units (kWh, therms or gallons)
+  energyToMaintain(T_desired, T_outdoor, duration_hours, mode = this.getMode(T_desired, T_outdoor)) {
+    return this.energyToMaintainBreakdown(T_desired, T_outdoor, duration_hours, mode).E_total;
   }
 
-  energyWithSetback(T_desired, T_setback, T_outdoor, absence_hours) {
-    const tau = this.thermalMass.getTimeConstant();
-    const dt = 0.1; // 6 minute time steps (balance speed vs accuracy)
+  // Integrated over the absence so time-of-day gains are counted at each step
+  energyToMaintainBreakdown(T_desired, T_outdoor, duration_hours, mode = this.getMode(T_desired, T_outdoor)) {
+    const dt = 0.05; // 3 minute time steps
+    const Q_latent = this.getLatentLoad(mode);
+    let E_sensible = 0;
+    let E_latent = 0;
+    let E_backup = 0;
+    
+    for (let t = 0; t < duration_hours; t += dt) {
+      const step = Math.min(dt, duration_hours - t);
+      const T_out = this.getOutdoorTemp(t + step / 2, T_outdoor);
+      const Q_conduction = this.envelope.getComponentHeatTransfer(T_desired, T_out, this.getRoofIrradiance(t + step / 2)).total;
+      // Positive Q_rate is heat flowing in: a cooling load, or no heating load
+      const Q_rate = Q_conduction + this.getHeatGains(t + step / 2);
+      const Q_sensible = mode === 'cooling' ? Math.max(0, Q_rate) : Math.max(0, -Q_rate);
+      const eta = this.getDistributionEfficiency(t + step / 2, T_desired, T_out, mode);
+      const E_step = this.getLoadEnergy(Q_sensible, Q_latent, mode, T_out, step, eta);
+      E_sensible += E_step.E_sensible;
+      E_latent += E_step.E_latent;
+      E_backup += E_step.E_backup;
+    }
     
-    const is_cooling = T_outdoor > T_desired;
+    return { E_total: E_sensible + E_latent, E_sensible, E_latent, E_backup };
+  }
+
+  energyWithSetback(T_desired, T_setback, T_outdoor, absence_hours, recovery_speed = 1) {
+    const dt = 0.05; // 3 minute time steps
+    const steps = Math.round(absence_hours / dt);
     
-    // PHASE 1: Natural drift to setback (HVAC OFF)
-    let drift_time = 0;
-    let E_cooldown = 0;
+    const mode = this.getMode(T_desired, T_outdoor);
+    const is_cooling = mode === 'cooling';
+    const passedSetback = T => is_cooling ? T >= T_setback : T <= T_setback;
+    const Q_latent = this.getLatentLoad(mode);
     
-    // Calculate how long to let building naturally drift
-    const natural_drift_time = this.thermalMass.getTimeToReachTemperature(
-      T_desired,
-      T_setback,
-      T_outdoor
-    );
+    // PHASE 1 + 2: HVAC off while the house drifts to setback, then hold it there.
+    // Record the trajectory so recovery can start from the actual state at any step.
+    const trajectory = [this.thermalMass.createState(T_desired)];
+    const E_cumulative = [{ E_sensible: 0, E_latent: 0, E_backup: 0 }];
+    let drift_steps = null;
     
-    // Use natural drift if possible (saves energy)
-    if (natural_drift_time < absence_hours * 0.4) {
-      drift_time = Math.min(natural_drift_time, absence_hours * 0.4);
-      // E_cooldown = 0 (HVAC is off during natural drift)
-    } else {
-      // Need active conditioning to reach setback quickly
-      const max_drift = Math.min(tau * 2, absence_hours * 0.3);
+    for (let i = 0; i < steps; i++) {
+      const Q_gains = this.getHeatGains((i + 0.5) * dt);
+      const T_out = this.getOutdoorTemp((i + 0.5) * dt, T_outdoor);
+      const T_drive = this.getDrivingTemp((i + 0.5) * dt, T_out);
+      let state = this.thermalMass.step(trajectory[i], T_drive, Q_gains, dt);
+      let E_step = { E_sensible: 0, E_latent: 0, E_backup: 0 };
       
-      for (let t = 0; t < max_drift; t += dt) {
-        const T_t = this.thermalMass.getTemperatureAtTime(T_desired, T_outdoor, t);
-        
-        // Check if we've reached setback
-        if ((is_cooling && T_t >= T_setback) || (!is_cooling && T_t <= T_setback)) {
-          drift_time = t;
-          break;
-        }
-        
-        // If still conditioning actively
-        if ((is_cooling && T_t < T_setback) || (!is_cooling && T_t > T_setback)) {
-          const Q_t = Math.abs(this.envelope.getComponentHeatTransfer(T_t, T_outdoor).total);
-          const P_t = this.hvac.getPowerConsumption(Q_t);
-          E_cooldown += P_t * dt;
-        }
+      if (passedSetback(state.T_air)) {
+        if (drift_steps === null) drift_steps = i + 1;
+        const held = this.thermalMass.hold(trajectory[i], T_setback, T_drive, Q_gains, dt);
+        const Q_sensible = is_cooling ? Math.max(0, -held.Q_hvac) : Math.max(0, held.Q_hvac);
+        const eta = this.getDistributionEfficiency((i + 0.5) * dt, T_setback, T_out, mode);
+        E_step = this.getLoadEnergy(Q_sensible, Q_latent, mode, T_out, dt, eta);
+        state = held.state;
       }
       
-      if (drift_time === 0) drift_time = max_drift;
+      trajectory.push(state);
+      E_cumulative.push({
+        E_sensible: E_cumulative[i].E_sensible + E_step.E_sensible,
+        E_latent: E_cumulative[i].E_latent + E_step.E_latent,
+        E_backup: E_cumulative[i].E_backup + E_step.E_backup
+      });
     }
     
-    // PHASE 2: Maintain at setback temperature
-    // Recovery time calculation needs to account for ACTIVE HVAC, not passive drift
-    // Estimate based on HVAC capacity and building thermal mass
-    let recovery_time;
-    // tau already declared above
-    
-    if (is_cooling) {
-      // Cooling from setback down to desired
-      if (T_setback <= T_desired) {
-        recovery_time = 0; // Already at or below desired
-      } else {
-        // Estimate: roughly 1-2 time constants to actively condition
-        // More accurate than passive drift (which assumes HVAC off)
-        const temp_diff = Math.abs(T_setback - T_desired);
-        recovery_time = tau * Math.log(1 + temp_diff / 5) * 0.8; // Empirical factor
-        recovery_time = Math.max(0.25, Math.min(recovery_time, absence_hours * 0.4));
+    // PHASE 3: latest restart step whose capacity-limited recovery still
+    // reaches T_desired by the return time (earlier restarts always recover sooner)
+    const latestRestart = use_aux => {
+      const recoveryFrom = k => this.simulateRecovery(
+        trajectory[k].T_air, T_desired, T_outdoor, mode, absence_hours - k * dt, trajectory[k], Q_latent, k * dt, recovery_speed, use_aux
+      );
+      let recovery = recoveryFrom(0);
+      if (!recovery.reached) return null;
+      
+      let lo = 0;
+      let hi = steps;
+      while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        const candidate = recoveryFrom(mid);
+        if (candidate.reached) {
+          lo = mid;
+          recovery = candidate;
+        } else {
+          hi = mid - 1;
+        }
       }
-    } else {
-      // Heating from setback up to desired
-      if (T_setback >= T_desired) {
-        recovery_time = 0;
-      } else {
-        const temp_diff = Math.abs(T_desired - T_setback);
-        recovery_time = tau * Math.log(1 + temp_diff / 5) * 0.8;
-        recovery_time = Math.max(0.25, Math.min(recovery_time, absence_hours * 0.4));
+      return { restart_step: lo, recovery };
+    };
+    
+    const totals = ({ restart_step, recovery }) => {
+      const recovery_time = absence_hours - restart_step * dt;
+      const drift_time = Math.min(drift_steps ?? restart_step, restart_step) * dt;
+      const time_at_setback = Math.max(0, restart_step * dt - drift_time);
+      const E_held = E_cumulative[restart_step];
+      const E_maintain_setback = E_held.E_sensible + E_held.E_latent;
+      
+      // Mass still short of T_desired at return keeps drawing on the HVAC afterwards (2R2C rebound),
+      // spread over the following hours at about the rated part load
+      const deficit_btu = this.thermalMass.getStoredEnergyDeficit(recovery.state, T_desired);
+      const rebound_btu = is_cooling ? Math.max(0, -deficit_btu) : Math.max(0, deficit_btu);
+      const T_out_return = this.getOutdoorTemp(absence_hours, T_outdoor);
+      const E_rebound = this.hvac.getPowerConsumption(rebound_btu, mode, T_out_return,
+        this.getDistributionEfficiency(absence_hours, T_desired, T_out_return, mode), RATED_PART_LOAD_RATIO);
+      const rebound_backup = this.hvac.usesBackupHeat(mode, T_out_return);
+      
+      return {
+        E_total: E_maintain_setback + recovery.E_recovery + (rebound_backup ? 0 : E_rebound),
+        E_sensible: E_held.E_sensible + recovery.E_sensible + (rebound_backup ? 0 : E_rebound),
+        E_latent: E_held.E_latent + recovery.E_latent,
+        E_maintain_setback,
+        E_recovery: recovery.E_recovery,
+        E_rebound,
+        E_backup: E_held.E_backup + recovery.E_backup + (rebound_backup ? E_rebound : 0),
+        E_aux: recovery.E_aux,
+        aux_time: recovery.aux_time,
+        time_at_setback,
+        recovery_time,
+        recovery_speed,
+        drift_time,
+        restart_temp: trajectory[restart_step].T_air
+      };
+    };
+    
+    const heat_pump_only = latestRestart(false);
+    if (!heat_pump_only) {
+      return {
+        E_total: Infinity,
+        E_sensible: Infinity,
+        E_latent: 0,
+        E_maintain_setback: 0,
+        E_recovery: 0,
+        E_rebound: 0,
+        E_backup: 0,
+        E_aux: 0,
+        aux_time: 0,
+        time_at_setback: 0,
+        recovery_time: Infinity,
+        drift_time: 0
+      };
+    }
+    const results = totals(heat_pump_only);
+    
+    // Strips, or a dual-fuel furnace, let a heat pump restart later (or recover at all from
+    // a deep setback); keep whichever recovery costs less, and what the compressor alone would manage
+    if (recovery_speed === 1 && (this.hvac.hasAuxHeat(mode) || (mode === 'heating' && this.hvac.isDualFuel()))) {
+      const with_aux = totals(latestRestart(true));
+      const boosted = with_aux.E_aux > 0 || with_aux.E_backup > results.E_backup;
+      if (boosted && (results.time_at_setback < 0.5 ||
+          this.hvac.getEnergyCost(mode, with_aux) < this.hvac.getEnergyCost(mode, results))) {
+        return { ...with_aux, heat_pump_only: results };
       }
     }
+    return results;
+  }
+
+  // Time-stepped RC recovery with HVAC output capped at its capacity at the outdoor temperature.
+  // Returns Infinity for recovery_time when the equipment cannot reach T_desired in max_hours.
+  // In cooling, the part of capacity spent on Q_latent is not available to pull the temperature down.
+  // t_start is the hours into the absence when recovery begins, for time-of-day gains;
+  // output_fraction runs a modulating unit below full output. With use_aux, heat pump
+  // strips join in whenever the compressor alone would not reach T_desired by max_hours;
+  // a dual-fuel furnace takes over from the compressor instead.
+  simulateRecovery(T_start, T_desired, T_outdoor, mode, max_hours, initialState = null, Q_latent = 0, t_start = 0, output_fraction = 1, use_aux = false) {
+    const dt = 1 / 60; // 1 minute time steps
+    const is_cooling = mode === 'cooling';
     
-    const time_at_setback = Math.max(0, absence_hours - drift_time - recovery_time - 0.25);
+    if (is_cooling ? T_start <= T_desired : T_start >= T_desired) {
+      const state = initialState || this.thermalMass.createState(T_start);
+      return { recovery_time: 0, E_recovery: 0, E_sensible: 0, E_latent: 0, E_backup: 0, E_aux: 0, aux_time: 0, reached: true, state };
+    }
+    const aux_kw = use_aux ? this.hvac.getAuxHeatKW() : 0;
     
-    const E_maintain_setback = this.energyToMaintain(T_setback, T_outdoor, time_at_setback);
+    // Capacity, input power and the latent share all follow the outdoor temperature
+    const atOutdoor = T_out => {
+      const capacity = this.hvac.getCapacity(mode, T_out) * output_fraction;
+      const split = is_cooling
+        ? this.hvac.splitCapacity(capacity, Q_latent)
+        : { sensible: capacity, latent: 0 };
+      return {
+        Q_hvac: is_cooling ? -split.sensible : split.sensible,
+        P_hvac: this.hvac.getPowerConsumption(capacity, mode, T_out, 1, output_fraction),
+        backup: this.hvac.usesBackupHeat(mode, T_out),
+        latent_fraction: capacity > 0 ? split.latent / capacity : 0
+      };
+    };
+    const fixed = this.outdoor?.varies ? null : atOutdoor(T_outdoor);
+    const furnace_capacity = this.hvac.getFurnaceCapacity();
+    const furnace = use_aux && mode === 'heating' && this.hvac.isDualFuel()
+      ? { Q_hvac: furnace_capacity, P_hvac: this.hvac.getBackupConsumption(furnace_capacity), backup: true, latent_fraction: 0 }
+      : null;
     
-    // PHASE 3: Recovery to desired temperature
+    let state = initialState || this.thermalMass.createState(T_start);
     let E_recovery = 0;
-    const actual_recovery_time = Math.min(recovery_time, absence_hours - drift_time);
+    let E_latent = 0;
+    let E_backup = 0;
+    let E_aux = 0;
+    let aux_time = 0;
+    const result = (fields) => ({ ...fields, E_recovery, E_sensible: E_recovery - E_latent, E_latent, E_backup, E_aux, aux_time });
     
-    for (let t = 0; t < actual_recovery_time; t += dt) {
-      const T_t = this.thermalMass.getTemperatureAtTime(T_setback, T_desired, t);
+    for (let t = 0; t < max_hours; t += dt) {
+      const Q_gains = this.getHeatGains(t_start + t + dt / 2);
+      const T_out = this.getOutdoorTemp(t_start + t + dt / 2, T_outdoor);
+      const T_drive = this.getDrivingTemp(t_start + t + dt / 2, T_out);
+      let { Q_hvac, P_hvac, backup, latent_fraction } = fixed || atOutdoor(T_out);
+      // Duct losses cut what reaches the rooms; the equipment still draws full power
+      const eta = this.getDistributionEfficiency(t_start + t + dt / 2, state.T_air, T_out, mode);
+      let next = this.thermalMass.step(state, T_drive, Q_hvac * eta + Q_gains, dt);
+      // Behind schedule when the compressor's current rate of rise would miss the deadline
+      const behind = (next.T_air - state.T_air) / dt * (max_hours - t) < T_desired - state.T_air;
+      let P_aux = 0;
+      if (behind && aux_kw > 0 && this.hvac.canUseAuxHeat(T_out)) {
+        P_aux = aux_kw;
+        next = this.thermalMass.step(state, T_drive, (Q_hvac + aux_kw * KW_TO_BTU_HR) * eta + Q_gains, dt);
+      } else if (behind && furnace && !backup) {
+        ({ Q_hvac, P_hvac, backup, latent_fraction } = furnace);
+        next = this.thermalMass.step(state, T_drive, Q_hvac * eta + Q_gains, dt);
+      }
+      const reached = is_cooling ? next.T_air <= T_desired : next.T_air >= T_desired;
+      // Interpolate within the step for the crossing time
+      const frac = reached ? (T_desired - state.T_air) / (next.T_air - state.T_air) : 1;
+      if (backup) {
+        E_backup += P_hvac * dt * frac;
+      } else {
+        E_recovery += P_hvac * dt * frac;
+        E_latent += P_hvac * dt * frac * latent_fraction;
+      }
+      E_recovery += P_aux * dt * frac;
+      E_aux += P_aux * dt * frac;
+      if (P_aux > 0) aux_time += dt * frac;
+      
+      if (reached) {
+        const final_state = {
+          T_air: T_desired,
+          T_mass: state.T_mass + frac * (next.T_mass - state.T_mass)
+        };
+        return result({ recovery_time: t + dt * frac, reached: true, state: final_state });
+      }
       
-      const Q_t = Math.abs(this.envelope.getComponentHeatTransfer(T_t, T_outdoor).total);
-      const P_t = this.hvac.getPowerConsumption(Q_t);
-      E_recovery += P_t * dt;
+      state = next;
     }
     
-    return {
-      E_total: E_cooldown + E_maintain_setback + E_recovery,
-      E_cooldown,
-      E_maintain_setback,
-      E_recovery,
-      time_at_setback,
-      recovery_time: actual_recovery_time,
-      drift_time
-    };
+    return result({ recovery_time: Infinity, reached: false, state });
   }
 
-  findOptimalSetback(T_desired, T_outdoor, absence_hours) {
-    const is_cooling = T_outdoor > T_desired;
+  // recovery_speeds narrows the search to given output fractions, e.g. one found on a similar day
+  findOptimalSetback(T_desired, T_outdoor, absence_hours, recovery_speeds = null) {
+    const mode = this.getMode(T_desired, T_outdoor);
+    const is_cooling = mode === 'cooling';
     
-    // Define search range
+    // Define search range; the house can drift as far as the outdoor extreme
+    const outdoor_range = this.getOutdoorRange(T_outdoor, absence_hours);
     let search_min, search_max;
     if (is_cooling) {
       search_min = T_desired + 2; // At least 2°F setback
-      search_max = Math.min(T_outdoor - 2, T_desired + 15);
+      search_max = Math.min(outdoor_range.max - 2, T_desired + 15);
     } else {
       search_max = T_desired - 2;
-      search_min = Math.max(T_outdoor + 2, T_desired - 15);
+      search_min = Math.max(outdoor_range.min + 2, T_desired - 15);
     }
     
     // Debug
@@ -534,41 +2829,55 @@ class EnergyModel {
       console.log(`Cooling mode: ${is_cooling}`);
     }
     
-    // Baseline: maintain
-    const E_maintain = this.energyToMaintain(T_desired, T_outdoor, absence_hours);
+    // Baseline: maintain. Candidates are compared in dollars so a dual-fuel
+    // system's electricity and furnace fuel are each priced in their own units.
+    const costOf = breakdown => this.hvac.getEnergyCost(mode, breakdown);
+    const maintain = this.energyToMaintainBreakdown(T_desired, T_outdoor, absence_hours);
+    const cost_maintain = costOf(maintain);
     
     if (process.env.DEBUG) {
-      console.log(`Baseline (maintain at ${T_desired}°F): ${E_maintain.toFixed(2)} kWh`);
+      console.log(`Baseline (maintain at ${T_desired}°F): ${maintain.E_total.toFixed(2)} ${this.hvac.getEnergyUnit(mode)}, $${cost_maintain.toFixed(2)}`);
     }
     
     let optimal_setback = T_desired;
-    let min_energy = E_maintain;
+    let min_cost = cost_maintain;
     let optimal_results = null;
     let search_count = 0;
+    // Setbacks whose strip-heat recovery costs more than maintaining
+    const aux_loss_setbacks = [];
+    
+    // Modulating equipment can recover early at a low, efficient speed instead of at full output
+    recovery_speeds ||= this.hvac.getRecoverySpeeds(mode);
     
     // Search in 2°F increments (faster while still accurate enough)
     const step = 2.0;
-    for (let T_setback = search_min; 
+    // Cooling searches upward from the shallowest setback, heating downward
+    for (let T_setback = is_cooling ? search_min : search_max; 
          is_cooling ? T_setback <= search_max : T_setback >= search_min; 
          T_setback += is_cooling ? step : -step) {
-      
-      search_count++;
-      const results = this.energyWithSetback(T_desired, T_setback, T_outdoor, absence_hours);
-      
-      if (process.env.DEBUG && search_count <= 5) {
-        console.log(`  Try ${T_setback}°F: E=${results.E_total.toFixed(2)} kWh, recovery=${results.recovery_time.toFixed(2)}hr, time_at_setback=${results.time_at_setback.toFixed(2)}hr`);
-      }
-      
-      // Constraints
-      if (results.recovery_time > absence_hours - results.drift_time - 0.25) continue;
-      if (results.time_at_setback < 0.5) continue; // Need at least 30 min at setback
-      
-      if (results.E_total < min_energy) {
-        min_energy = results.E_total;
-        optimal_setback = T_setback;
-        optimal_results = results;
-        if (process.env.DEBUG) {
-          console.log(`  ✓ New best: ${T_setback}°F, savings: ${((E_maintain - results.E_total) / E_maintain * 100).toFixed(1)}%`);
+      for (const recovery_speed of recovery_speeds) {
+        search_count++;
+        const results = this.energyWithSetback(T_desired, T_setback, T_outdoor, absence_hours, recovery_speed);
+        
+        if (process.env.DEBUG && search_count <= 5) {
+          console.log(`  Try ${T_setback}°F at ${(recovery_speed * 100).toFixed(0)}% output: E=${results.E_total.toFixed(2)} ${this.hvac.getEnergyUnit(mode)}, recovery=${results.recovery_time.toFixed(2)}hr, time_at_setback=${results.time_at_setback.toFixed(2)}hr`);
+        }
+        
+        // Constraints
+        if (!isFinite(results.recovery_time)) continue;
+        if (results.time_at_setback < 0.5) continue; // Need at least 30 min at setback
+        const cost = costOf(results);
+        if (results.E_aux > 0 && cost >= cost_maintain && !aux_loss_setbacks.includes(T_setback)) {
+          aux_loss_setbacks.push(T_setback);
+        }
+        
+        if (cost < min_cost) {
+          min_cost = cost;
+          optimal_setback = T_setback;
+          optimal_results = results;
+          if (process.env.DEBUG) {
+            console.log(`  ✓ New best: ${T_setback}°F, savings: ${((cost_maintain - cost) / cost_maintain * 100).toFixed(1)}%`);
+          }
         }
       }
     }
@@ -576,50 +2885,259 @@ class EnergyModel {
     if (process.env.DEBUG) {
       console.log(`Searched ${search_count} setpoints`);
       if (optimal_results) {
-        console.log(`Best: ${optimal_setback}°F, E=${min_energy.toFixed(2)} kWh`);
+        console.log(`Best: ${optimal_setback}°F, E=${optimal_results.E_total.toFixed(2)} ${this.hvac.getEnergyUnit(mode)}, $${min_cost.toFixed(2)}`);
       } else {
         console.log(`No valid setback found`);
       }
     }
     
     // Calculate savings percentage
-    const savings_pct = optimal_results ? ((E_maintain - optimal_results.E_total) / E_maintain * 100) : 0;
+    const savings_pct = optimal_results ? ((cost_maintain - min_cost) / cost_maintain * 100) : 0;
+    
+    // Warn about the shallowest of those beyond the recommended setback
+    const warnings = [];
+    const savings_found = optimal_results && savings_pct >= 3;
+    const aux_loss_setback = aux_loss_setbacks.find(T => !savings_found || (is_cooling ? T > optimal_setback : T < optimal_setback));
+    if (aux_loss_setback !== undefined) {
+      warnings.push(`Setting back to ${aux_loss_setback}°F would need strip heat to recover ` +
+                    `and use more energy than holding ${T_desired}°F.`);
+    }
     
     // Only recommend setback if savings > 3%
-    if (!optimal_results || savings_pct < 3) {
+    if (!savings_found) {
       return {
         action: 'MAINTAIN',
         setback_temp: T_desired,
         restart_time: null,
         recovery_time: 0,
         energy_breakdown: null,
+        warnings,
         reason: savings_pct > 0 && savings_pct < 3
           ? `Potential savings (${savings_pct.toFixed(1)}%) too small to justify setback`
           : 'Absence duration too short for beneficial setback'
       };
     }
     
-    const restart_time = absence_hours - optimal_results.recovery_time - 0.25;
+    if (optimal_results.E_aux > 0) {
+      warnings.push(`Recovery runs strip heat for ${Math.round(optimal_results.aux_time * 60)} min ` +
+                    `(${optimal_results.E_aux.toFixed(1)} kWh); the setback still saves energy.`);
+    }
+    
+    // Start recovery so the setpoint is reached exactly at the return time
+    const restart_time = absence_hours - optimal_results.recovery_time;
     
     return {
       action: 'SETBACK',
       setback_temp: optimal_setback,
       restart_time,
       recovery_time: optimal_results.recovery_time,
+      recovery_speed: optimal_results.recovery_speed,
       energy_breakdown: optimal_results,
+      warnings,
       savings_percentage: savings_pct
     };
   }
 }
 
+// ============================================================================
+// MODULE 6A: ANNUAL SIMULATION
+// ============================================================================
+
+const HOURS_PER_YEAR = 8760;
+// Days whose mean outdoor temperature falls in the same bin reuse the recovery speed
+// the first of them chose, so modulating equipment is searched once per bin, not daily.
+// recovery_speed_bin_f: 0 searches every day.
+const RECOVERY_SPEED_BIN_F = 5;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class AnnualSimulation {
+  constructor(inputs) {
+    const { outdoor_temp_annual } = inputs;
+    if (!Array.isArray(outdoor_temp_annual) || outdoor_temp_annual.length < HOURS_PER_YEAR) {
+      throw new Error(`Annual simulation requires outdoor_temp_annual with ${HOURS_PER_YEAR} hourly values`);
+    }
+    
+    this.inputs = inputs;
+    this.temps = outdoor_temp_annual.slice(0, HOURS_PER_YEAR).map(Number);
+    this.year = parseAnalysisDate(inputs.analysis_date).getUTCFullYear();
+    this.absenceStart = parseTime(inputs.absence_start_time || '8:00 AM');
+    this.recoverySpeedBin = inputs.recovery_speed_bin_f ?? RECOVERY_SPEED_BIN_F;
+    this.recoverySpeeds = {};
+  }
+
+  // Hour 0 is midnight January 1; linear between readings, wrapping at year end
+  getTemperatureAt(hour_of_year) {
+    const h = ((hour_of_year % HOURS_PER_YEAR) + HOURS_PER_YEAR) % HOURS_PER_YEAR;
+    const i = Math.floor(h);
+    const next = this.temps[(i + 1) % HOURS_PER_YEAR];
+    return this.temps[i] + (h - i) * (next - this.temps[i]);
+  }
+
+  // Hourly temperatures over one day's absence, from the absence start
+  getAbsenceProfile(day) {
+    const t0 = day * 24 + this.absenceStart;
+    const hours = Math.ceil(this.inputs.absence_duration);
+    const temps = [];
+    for (let i = 0; i <= hours; i++) {
+      temps.push(this.getTemperatureAt(t0 + i));
+    }
+    return temps;
+  }
+
+  // days_per_week absences starting Monday; weeks_per_year spread evenly over the year
+  isScheduled(date, day) {
+    const { days_per_week = 5, weeks_per_year = 52 } = this.inputs;
+    const weekday = (date.getUTCDay() + 6) % 7; // Monday = 0
+    const week = Math.min(51, Math.floor(day / 7));
+    const weekIncluded = Math.floor((week + 1) * weeks_per_year / 52) > Math.floor(week * weeks_per_year / 52);
+    return weekday < days_per_week && weekIncluded;
+  }
+
+  getRate(fuel_type) {
+    return getEnergyRate(this.inputs, fuel_type);
+  }
+
+  simulateDay(day, date, buildModels) {
+    const { desired_temp, absence_duration } = this.inputs;
+    const dayInputs = {
+      ...this.inputs,
+      outdoor_temp_hourly: this.getAbsenceProfile(day),
+      analysis_date: date.toISOString().substring(0, 10)
+    };
+    const outdoor = new OutdoorTemperatureProfile(dayInputs, this.absenceStart);
+    dayInputs.outdoor_temp = outdoor.getSummary(absence_duration).mean;
+    
+    const { energyModel, hvac } = buildModels(dayInputs, date, outdoor);
+    const mode = energyModel.getMode(desired_temp, dayInputs.outdoor_temp);
+    const maintain = energyModel.energyToMaintainBreakdown(desired_temp, dayInputs.outdoor_temp, absence_duration);
+    
+    // No load to save on a mild day
+    let setback = maintain;
+    let action = 'MAINTAIN';
+    if (hvac.getEnergyCost(mode, maintain) > 0) {
+      const bin = this.recoverySpeedBin > 0
+        ? `${mode}:${Math.round(dayInputs.outdoor_temp / this.recoverySpeedBin)}`
+        : null;
+      const optimal = energyModel.findOptimalSetback(desired_temp, dayInputs.outdoor_temp, absence_duration, bin && this.recoverySpeeds[bin]);
+      if (optimal.action === 'SETBACK') {
+        setback = optimal.energy_breakdown;
+        action = 'SETBACK';
+        if (bin) this.recoverySpeeds[bin] ||= [optimal.recovery_speed];
+      }
+    }
+    
+    return {
+      mode,
+      action,
+      E_maintain: hvac.getEnergyByFuel(mode, maintain),
+      E_setback: hvac.getEnergyByFuel(mode, setback)
+    };
+  }
+
+  // How the run differs from simulating every absence independently
+  getMethodology() {
+    const notes = ['Each scheduled absence is simulated against its own hourly outdoor temperatures.'];
+    notes.push(this.recoverySpeedBin > 0
+      ? `Recovery speed is searched on the first setback day in each ${this.recoverySpeedBin}°F outdoor-temperature ` +
+        'bin and reused for the rest of that bin. Against a daily search this is an approximation: on the ' +
+        'test year it moves annual savings by under 2%.'
+      : 'Recovery speed is searched every day.');
+    return { recovery_speed_bin_f: this.recoverySpeedBin, notes };
+  }
+
+  // buildModels(dayInputs, date, outdoor) returns the day's { energyModel, hvac }
+  run(buildModels) {
+    const newTotals = () => ({
+      scheduled_days: 0,
+      heating_days: 0,
+      cooling_days: 0,
+      setback_days: 0,
+      energy: {},
+      cost_maintain: 0,
+      cost_setback: 0
+    });
+    const months = MONTH_NAMES.map(() => newTotals());
+    const annual = newTotals();
+    
+    for (let day = 0; day < 365; day++) {
+      const date = new Date(Date.UTC(this.year, 0, 1 + day));
+      if (!this.isScheduled(date, day)) continue;
+      
+      const result = this.simulateDay(day, date, buildModels);
+      
+      for (const totals of [months[date.getUTCMonth()], annual]) {
+        totals.scheduled_days++;
+        totals[`${result.mode}_days`]++;
+        if (result.action === 'SETBACK') totals.setback_days++;
+        
+        Object.keys(result.E_maintain).forEach(fuel_type => {
+          const rate = this.getRate(fuel_type);
+          const fuel = totals.energy[fuel_type] ||= { unit: FUEL_PROPERTIES[fuel_type].unit, maintain: 0, setback: 0, cost_saved: 0 };
+          fuel.maintain += result.E_maintain[fuel_type];
+          fuel.setback += result.E_setback[fuel_type];
+          fuel.cost_saved += (result.E_maintain[fuel_type] - result.E_setback[fuel_type]) * rate;
+          totals.cost_maintain += result.E_maintain[fuel_type] * rate;
+          totals.cost_setback += result.E_setback[fuel_type] * rate;
+        });
+      }
+    }
+    
+    const format = totals => ({
+      ...totals,
+      energy: Object.fromEntries(Object.entries(totals.energy).map(([fuel, E]) => [fuel, {
+        unit: E.unit,
+        maintain: Number(E.maintain.toFixed(2)),
+        setback: Number(E.setback.toFixed(2)),
+        saved: Number((E.maintain - E.setback).toFixed(2)),
+        cost_saved: Number(E.cost_saved.toFixed(2))
+      }])),
+      cost_maintain: Number(totals.cost_maintain.toFixed(2)),
+      cost_setback: Number(totals.cost_setback.toFixed(2)),
+      cost_saved: Number((totals.cost_maintain - totals.cost_setback).toFixed(2)),
+      percent_saved: totals.cost_maintain > 0
+        ? Number(((totals.cost_maintain - totals.cost_setback) / totals.cost_maintain * 100).toFixed(1))
+        : 0
+    });
+    
+    return {
+      year: this.year,
+      methodology: this.getMethodology(),
+      monthly: months.map((totals, i) => ({ month: MONTH_NAMES[i], ...format(totals) })),
+      annual: format(annual)
+    };
+  }
+}
+
 // ============================================================================
 // MODULE 7: MASTER CALCULATION FUNCTION
 // ============================================================================
 
+// Steps 2-6 of the analysis for one set of inputs, shared with the annual simulation
+function buildEnergyModel(inputs, { psychro, altitude_ft, location, date, outdoor }) {
+  const airProps = psychro.getAirProperties(inputs.outdoor_temp, inputs.humidity, altitude_ft);
+  const envelope = new BuildingEnvelope(inputs, airProps);
+  const thermalMass = new ThermalMassModel(inputs, envelope);
+  const hvac = new HVACPerformance(inputs, airProps);
+  const solar = new SolarModel(location, date, getMeasuredSolar(inputs));
+  const energyModel = new EnergyModel(inputs, psychro, envelope, thermalMass, hvac, solar, outdoor);
+  if (hvac.isDualFuel()) {
+    hvac.setCapacityBalancePoint(energyModel.getCapacityBalancePoint(inputs.desired_temp));
+  }
+  return { airProps, envelope, thermalMass, hvac, solar, energyModel };
+}
+
 async function analyzeThermalStrategy(userInputs) {
   // Validate required inputs
   const required = ['floor_area', 'desired_temp', 'outdoor_temp', 'absence_duration'];
-  const missing = required.filter(field => !userInputs[field]);
+  // An hourly array, a daily high/low or a year of weather can stand in for a single outdoor temperature
+  const hasDailyProfile = (Array.isArray(userInputs.outdoor_temp_hourly) && userInputs.outdoor_temp_hourly.length > 0) ||
+    (isNumeric(userInputs.outdoor_temp_high) && isNumeric(userInputs.outdoor_temp_low));
+  const hasOutdoorProfile = hasDailyProfile || Array.isArray(userInputs.outdoor_temp_annual);
+  // 0 is a valid temperature, so only reject absent or non-numeric values
+  const missing = required.filter(field => {
+    if (field === 'outdoor_temp' && hasOutdoorProfile) return false;
+    return !isNumeric(userInputs[field]);
+  });
   if (missing.length > 0) {
     throw new Error(`Missing required fields: ${missing.join(', ')}`);
   }
@@ -633,36 +3151,57 @@ async function analyzeThermalStrategy(userInputs) {
     construction_type: 'wood_frame',
     construction_era: '1980_2000',
     insulation_quality: 'average',
+    thermal_model: '1R1C',
     window_type: 'double_pane',
     hvac_type: 'central_ac',
     hvac_age: '10_15',
     seer_rating: 14,
     humidity: 50,
+    indoor_humidity: 50,
+    occupants_during_absence: 0,
     days_per_week: 5,
     weeks_per_year: 52,
     zip_code: '02134',
     ...userInputs
   };
 
-  // Step 1: Get altitude
+  // Step 1: Outdoor temperature over the absence; a varying profile sets
+  // outdoor_temp to its mean, which picks the mode and the design-point properties.
+  // With a year of weather and no temperature given, the analysis date's absence is used.
+  const annualSimulation = inputs.annual_simulation || Array.isArray(inputs.outdoor_temp_annual)
+    ? new AnnualSimulation(inputs)
+    : null;
+  if (annualSimulation && !isNumeric(userInputs.outdoor_temp) && !hasDailyProfile) {
+    const analysis_day = Math.floor((parseAnalysisDate(inputs.analysis_date) - Date.UTC(annualSimulation.year, 0, 1)) / 86400000);
+    inputs.outdoor_temp_hourly = annualSimulation.getAbsenceProfile(analysis_day);
+  }
+  const outdoor = new OutdoorTemperatureProfile(inputs, parseTime(inputs.absence_start_time || '8:00 AM'));
+  const outdoor_summary = outdoor.getSummary(inputs.absence_duration);
+  if (outdoor.varies) {
+    inputs.outdoor_temp = Number(outdoor_summary.mean.toFixed(1));
+  }
+  
+  // Step 1a: Get altitude, location and the IECC climate zone for code defaults
   const altitude_ft = await getAltitudeFromZip(inputs.zip_code);
+  inputs.climate_zone = inputs.climate_zone || lookupZip(inputs.zip_code)?.climate_zone || '4A';
+  const location = {
+    ...(await getLocationFromZip(inputs.zip_code)),
+    ...(inputs.latitude !== undefined && { latitude: inputs.latitude }),
+    ...(inputs.longitude !== undefined && { longitude: inputs.longitude })
+  };
   
-  // Step 2: Psychrometric properties
+  // Steps 2-6: Psychrometric properties, building envelope, thermal mass,
+  // HVAC performance, solar for the analysis date (clear sky unless a weather
+  // file supplies measured irradiance), energy model
   const psychro = new Psychrometrics();
-  const airProps = psychro.getAirProperties(inputs.outdoor_temp, inputs.humidity, altitude_ft);
-  
-  // Step 3: Building envelope
-  const envelope = new BuildingEnvelope(inputs);
-  
-  // Step 4: Thermal mass and time constant
-  const thermalMass = new ThermalMassModel(inputs, envelope);
+  const analysis_date = parseAnalysisDate(inputs.analysis_date);
+  const { airProps, envelope, thermalMass, hvac, solar, energyModel } = buildEnergyModel(inputs, {
+    psychro, altitude_ft, location, date: analysis_date, outdoor
+  });
   const tau = thermalMass.getTimeConstant();
-  
-  // Step 5: HVAC performance
-  const hvac = new HVACPerformance(inputs, airProps);
-  
-  // Step 6: Energy model and optimization
-  const energyModel = new EnergyModel(inputs, psychro, envelope, thermalMass, hvac);
+  const time_constants = thermalMass.getTimeConstants();
+  const window_schedule = envelope.components.windows.schedule;
+  const window_solar = window_schedule ? energyModel.getWindowSolarTotals(inputs.absence_duration) : null;
   
   // Calculate break-even time for reference
   const t_breakeven = 2.5 * tau;
@@ -686,7 +3225,8 @@ async function analyzeThermalStrategy(userInputs) {
                (inputs.absence_duration < t_breakeven 
                  ? `Your ${inputs.absence_duration}hr absence is shorter than break-even time (${t_breakeven.toFixed(1)}hr).`
                  : 'Setback not beneficial for your building characteristics.'),
-      reason: optimal.reason
+      reason: optimal.reason,
+      warnings: optimal.warnings
     };
   } else {
     const absence_start = parseTime(inputs.absence_start_time || '8:00 AM');
@@ -700,79 +3240,267 @@ async function analyzeThermalStrategy(userInputs) {
       restart_time: formatTime(restart_clock),
       return_time: formatTime(return_clock),
       recovery_time: optimal.recovery_time.toFixed(1),
+      recovery_speed: optimal.recovery_speed,
       message: `Set to ${Math.round(optimal.setback_temp)}°F when you leave. ` +
                `HVAC will restart at ${formatTime(restart_clock)} ` +
-               `(${Math.round(optimal.recovery_time * 60)} min before you return). ` +
+               `(${Math.round(optimal.recovery_time * 60)} min before you return` +
+               (optimal.recovery_speed < 1 ? `, at ${Math.round(optimal.recovery_speed * 100)}% output). ` : '). ') +
                `Expected savings: ${optimal.savings_percentage.toFixed(1)}%`,
       energy_breakdown: optimal.energy_breakdown,
+      warnings: optimal.warnings,
       savings_percentage: optimal.savings_percentage
     };
   }
   
-  // Step 8: Calculate savings
-  const electricity_rate = getElectricityRate(inputs);
+  // Step 8: Calculate savings in the fuel the equipment burns for this mode; a dual-fuel
+  // furnace's fuel is reported separately in by_fuel and the two meet only in dollars
+  const mode = energyModel.getMode(inputs.desired_temp, inputs.outdoor_temp);
+  const fuel_type = hvac.getFuelType(mode);
+  const energy_unit = hvac.getEnergyUnit(mode);
+  const energy_rate = getEnergyRate(inputs, fuel_type);
   
-  const E_maintain = energyModel.energyToMaintain(
+  const maintain_breakdown = energyModel.energyToMaintainBreakdown(
     inputs.desired_temp,
     inputs.outdoor_temp,
     inputs.absence_duration
   );
+  const E_maintain = maintain_breakdown.E_total;
+  const cost_maintain = hvac.getEnergyCost(mode, maintain_breakdown);
+  
+  // Each fuel in its own units and at its own price
+  const setback_breakdown = recommendation.energy_breakdown || maintain_breakdown;
+  const maintain_by_fuel = hvac.getEnergyByFuel(mode, maintain_breakdown);
+  const setback_by_fuel = hvac.getEnergyByFuel(mode, setback_breakdown);
+  const by_fuel = Object.fromEntries(Object.keys(maintain_by_fuel).map(fuel => {
+    const rate = getEnergyRate(inputs, fuel);
+    const saved = maintain_by_fuel[fuel] - setback_by_fuel[fuel];
+    return [fuel, {
+      unit: FUEL_PROPERTIES[fuel].unit,
+      maintain: maintain_by_fuel[fuel].toFixed(2),
+      setback: setback_by_fuel[fuel].toFixed(2),
+      saved: saved.toFixed(2),
+      rate: rate.toFixed(3),
+      cost_saved_per_occurrence: (saved * rate).toFixed(2),
+      cost_saved_annual: Math.round(saved * rate * inputs.days_per_week * inputs.weeks_per_year)
+    }];
+  }));
   
   let savings;
   if (recommendation.action === 'MAINTAIN') {
     savings = {
       action: 'no_setback',
+      mode,
+      fuel_type,
+      energy_unit,
+      energy_saved: 0,
       energy_saved_kwh: 0,
+      energy_sensible_maintain: maintain_breakdown.E_sensible.toFixed(2),
+      energy_latent_maintain: maintain_breakdown.E_latent.toFixed(2),
       cost_saved_per_occurrence: 0,
       cost_saved_monthly: 0,
       cost_saved_annual: 0,
       percent_saved: 0,
-      baseline_cost: (E_maintain * electricity_rate).toFixed(2),
+      baseline_cost: cost_maintain.toFixed(2),
       message: recommendation.reason || 'Absence too short for savings.'
     };
   } else {
     const setback_results = recommendation.energy_breakdown;
-    const E_saved = Math.max(0, E_maintain - setback_results.E_total);
-    const cost_saved = E_saved * electricity_rate;
+    // A dual-fuel setback can trade furnace fuel for heat pump electricity, so only
+    // single-fuel energy savings are floored at zero
+    const E_saved = hvac.isDualFuel() && mode === 'heating'
+      ? E_maintain - setback_results.E_total
+      : Math.max(0, E_maintain - setback_results.E_total);
+    const cost_saved = Math.max(0, cost_maintain - hvac.getEnergyCost(mode, setback_results));
     
     const occurrences_per_week = inputs.days_per_week;
     const cost_saved_monthly = cost_saved * occurrences_per_week * 4.33;
     const cost_saved_annual = cost_saved * occurrences_per_week * inputs.weeks_per_year;
     
-    const percent_saved = (E_saved / E_maintain) * 100;
+    const percent_saved = (cost_saved / cost_maintain) * 100;
+    const energy_saved_text = Object.values(by_fuel)
+      .filter(E => Number(E.saved) > 0)
+      .map(E => `${E.saved} ${E.unit}`)
+      .join(' and ');
     
     savings = {
       action: 'setback',
-      energy_saved_kwh: E_saved.toFixed(2),
-      energy_maintain_kwh: E_maintain.toFixed(2),
-      energy_setback_kwh: setback_results.E_total.toFixed(2),
+      mode,
+      fuel_type,
+      energy_unit,
+      energy_saved: E_saved.toFixed(2),
+      energy_maintain: E_maintain.toFixed(2),
+      energy_setback: setback_results.E_total.toFixed(2),
+      energy_sensible_maintain: maintain_breakdown.E_sensible.toFixed(2),
+      energy_latent_maintain: maintain_breakdown.E_latent.toFixed(2),
+      energy_sensible_setback: setback_results.E_sensible.toFixed(2),
+      energy_latent_setback: setback_results.E_latent.toFixed(2),
+      energy_sensible_saved: (maintain_breakdown.E_sensible - setback_results.E_sensible).toFixed(2),
+      energy_latent_saved: (maintain_breakdown.E_latent - setback_results.E_latent).toFixed(2),
       cost_saved_per_occurrence: cost_saved.toFixed(2),
       cost_saved_monthly: cost_saved_monthly.toFixed(2),
       cost_saved_annual: Math.round(cost_saved_annual),
       percent_saved: percent_saved.toFixed(1),
-      electricity_rate: electricity_rate.toFixed(3),
-      message: `Save $${cost_saved.toFixed(2)} per occurrence, $${cost_saved_monthly.toFixed(0)}/month, or $${Math.round(cost_saved_annual)}/year.`
+      energy_rate: energy_rate.toFixed(3),
+      message: `Save ${energy_saved_text} ($${cost_saved.toFixed(2)}) per occurrence, $${cost_saved_monthly.toFixed(0)}/month, or $${Math.round(cost_saved_annual)}/year.`
+    };
+    
+    // Keep the kWh fields for electric equipment
+    if (energy_unit === 'kWh') {
+      savings.energy_saved_kwh = savings.energy_saved;
+      savings.energy_maintain_kwh = savings.energy_maintain;
+      savings.energy_setback_kwh = savings.energy_setback;
+      savings.electricity_rate = savings.energy_rate;
+    }
+  }
+  savings.by_fuel = by_fuel;
+  
+  let dual_fuel = null;
+  if (hvac.isDualFuel()) {
+    dual_fuel = {
+      backup_heating_type: hvac.getBackupSystemType(),
+      backup_afue: hvac.getAFUE().toFixed(2),
+      economic_balance_point: hvac.getEconomicBalancePoint().toFixed(1),
+      capacity_balance_point: energyModel.getCapacityBalancePoint(inputs.desired_temp).toFixed(1),
+      best_switchover_temp: hvac.getBestSwitchoverTemp().toFixed(1),
+      switchover_temp: hvac.getSwitchoverTemp().toFixed(1)
     };
   }
   
+  // Step 8a: Annual mode replaces the weekly multiplier with every scheduled
+  // absence simulated against the year's hourly weather
+  let annual = null;
+  if (inputs.annual_simulation) {
+    annual = annualSimulation.run((dayInputs, date, dayOutdoor) => buildEnergyModel(dayInputs, {
+      psychro, altitude_ft, location, date, outdoor: dayOutdoor
+    }));
+    savings.annual_method = 'hourly_simulation';
+    savings.cost_saved_annual = Math.round(annual.annual.cost_saved);
+    savings.cost_saved_monthly = (annual.annual.cost_saved / 12).toFixed(2);
+    savings.percent_saved_annual = annual.annual.percent_saved.toFixed(1);
+    Object.entries(annual.annual.energy).forEach(([fuel, E]) => {
+      savings.by_fuel[fuel] = {
+        unit: E.unit,
+        rate: getEnergyRate(inputs, fuel).toFixed(3),
+        ...savings.by_fuel[fuel],
+        cost_saved_annual: Math.round(E.cost_saved)
+      };
+    });
+    savings.message = `Simulated over ${annual.annual.scheduled_days} scheduled absences in ${annual.year}: ` +
+      `save $${savings.cost_saved_annual}/year (${savings.percent_saved_annual}% of the HVAC cost while away).`;
+  } else {
+    savings.annual_method = 'weekly_multiplier';
+  }
+  
   // Step 9: Return complete analysis
   return {
     recommendation,
     savings,
+    annual_simulation: annual,
     building_physics: {
+      thermal_model: thermalMass.model,
       thermal_time_constant_hours: tau.toFixed(2),
+      air_time_constant_hours: time_constants.air.toFixed(2),
+      mass_time_constant_hours: time_constants.mass.toFixed(2),
       break_even_time_hours: t_breakeven.toFixed(2),
       building_volume_cuft: envelope.components.volume.toFixed(0),
       surface_area_sqft: envelope.components.total_area.toFixed(0),
       thermal_capacitance_btu_per_f: thermalMass.thermalCapacitance.toFixed(0),
       thermal_resistance_hr_f_per_btu: thermalMass.thermalResistance.toFixed(6),
       effective_u_factor: envelope.getEffectiveUFactor().toFixed(4),
+      conduction_ua_btu_hr_f: envelope.getConductionUA().toFixed(1),
+      infiltration_ua_btu_hr_f: envelope.getInfiltrationUA().toFixed(1),
+      total_ua_btu_hr_f: envelope.getTotalUA().toFixed(1),
+      infiltration_ach50: envelope.components.infiltration.ach50.toFixed(1),
+      infiltration_ach_natural: envelope.components.infiltration.ach_natural.toFixed(2),
+      infiltration_cfm: envelope.components.infiltration.cfm.toFixed(0),
+      infiltration_source: envelope.components.infiltration.source,
+      infiltration_sensible_btu_hr: (envelope.getInfiltrationUA() * (inputs.outdoor_temp - inputs.desired_temp)).toFixed(0),
+      infiltration_latent_btu_hr: (mode === 'cooling'
+        ? Math.max(0, envelope.getInfiltrationLatentLoad(energyModel.getIndoorHumidityRatio()))
+        : 0).toFixed(0),
+      ventilation_type: envelope.components.ventilation.type,
+      ventilation_cfm: envelope.components.ventilation.cfm.toFixed(0),
+      ventilation_run_fraction: envelope.components.ventilation.run_fraction.toFixed(2),
+      ventilation_ua_btu_hr_f: envelope.getVentilationUA().toFixed(1),
+      ventilation_sensible_btu_hr: (envelope.getVentilationUA() * (inputs.outdoor_temp - inputs.desired_temp)).toFixed(0),
+      ventilation_latent_btu_hr: (mode === 'cooling'
+        ? Math.max(0, envelope.getVentilationLatentLoad(energyModel.getIndoorHumidityRatio()))
+        : 0).toFixed(0),
+      latent_load_btu_hr: energyModel.getLatentLoad(mode).toFixed(0),
+      indoor_humidity_ratio: energyModel.getIndoorHumidityRatio().toFixed(5),
+      outdoor_humidity_ratio: airProps.W.toFixed(5),
       altitude_ft: altitude_ft.toFixed(0)
     },
+    location: lookupZip(inputs.zip_code),
+    solar: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      analysis_date: analysis_date.toISOString().substring(0, 10),
+      irradiance_source: solar.measured ? 'weather_file' : 'clear_sky',
+      window_shgc: envelope.components.windows.SHGC,
+      window_area_by_orientation: envelope.components.windows.by_orientation,
+      hourly_solar_gain_btu_hr: energyModel.getHourlyHeatGains(inputs.absence_duration, t => energyModel.getSolarGain(t))
+    },
+    window_schedule: window_schedule && window_schedule.map(window => ({
+      id: window.id,
+      bearing: window.bearing,
+      area: window.area.toFixed(1),
+      glazing: window.glazing,
+      frame: window.frame,
+      U_factor: window.U_factor.toFixed(2),
+      SHGC: window.SHGC.toFixed(2),
+      source: window.source,
+      conduction_btu_hr: (window.UA * (inputs.outdoor_temp - inputs.desired_temp)).toFixed(0),
+      absence_solar_gain_btu: window_solar[window.id].toFixed(0)
+    })),
+    outdoor_temperature: {
+      source: outdoor.source,
+      mean: outdoor_summary.mean.toFixed(1),
+      min: outdoor_summary.min.toFixed(1),
+      max: outdoor_summary.max.toFixed(1),
+      hourly: outdoor.getHourly(inputs.absence_duration).map(T => Number(T.toFixed(1)))
+    },
+    attic: {
+      ...envelope.components.roof.attic,
+      UA: envelope.components.roof.attic.UA.toFixed(1),
+      hourly_temp: envelope.components.roof.attic.type === 'attic'
+        ? energyModel.getHourlyAtticTemps(inputs.absence_duration, inputs.desired_temp, inputs.outdoor_temp)
+        : null
+    },
+    dual_fuel,
+    distribution: {
+      duct_location: inputs.duct_location || 'conditioned',
+      ducted: hvac.hasDuctLosses(mode),
+      hourly_efficiency: energyModel.getHourlyDistributionEfficiency(inputs.absence_duration, inputs.desired_temp, inputs.outdoor_temp, mode)
+    },
+    internal_gains: {
+      occupants: energyModel.internalGains.occupants,
+      occupants_during_absence: inputs.occupants_during_absence,
+      occupied_btu_hr: roundValues(energyModel.internalGains.occupied),
+      standby_btu_hr: roundValues(energyModel.internalGains.standby),
+      hourly_total_gain_btu_hr: energyModel.getHourlyHeatGains(inputs.absence_duration)
+    },
     hvac_performance: {
+      mode,
       effective_seer: hvac.getEffectiveSEER().toFixed(1),
-      cop: hvac.getCOP().toFixed(2)
+      cop: hvac.getCOP().toFixed(2),
+      equipment_class: hvac.getEquipmentClass(),
+      staging: hvac.getStaging(),
+      stages: hvac.usesPerformanceCurve(mode) ? hvac.getStages(mode) : null,
+      recovery_speeds: hvac.getRecoverySpeeds(mode),
+      part_load_factor_full_output: hvac.getPartLoadFactor(mode, 1).toFixed(3),
+      aux_heat_kw: hvac.getAuxHeatKW().toFixed(1),
+      aux_lockout_temp: hvac.hasAuxHeat() ? (inputs.aux_lockout_temp ?? AUX_HEAT_LOCKOUT_TEMP) : null,
+      heating_system: hvac.getHeatingSystemType(),
+      heating_efficiency: hvac.getHeatingEfficiency().toFixed(2),
+      capacity_ratio: hvac.getCapacityRatio(mode).toFixed(2),
+      sensible_heat_ratio: hvac.getSensibleHeatRatio().toFixed(2),
+      nominal_capacity_btu_hr: Math.round(hvac.getNominalCapacity(mode)),
+      available_capacity_btu_hr: Math.round(hvac.getCapacity(mode)),
+      performance_curve: hvac.usesPerformanceCurve(mode) ? hvac.getPerformanceCurve(mode) : null,
+      energy_unit
     },
+    envelope_defaults: envelope.components.assumed_defaults,
     envelope_breakdown: envelope.components,
     inputs_used: inputs
   };
@@ -783,60 +3511,180 @@ async function analyzeThermalStrategy(userInputs) {
 // ============================================================================
 
 async function getAltitudeFromZip(zip_code) {
-  const ALTITUDE_LOOKUP = {
-    '80': 5280, '84': 4500, '87': 5000,
-    '33': 0, '90': 0, '98': 0, '02': 20, '10': 50,
-    '75': 500, '30': 1000, '85': 1100
+  const record = lookupZip(zip_code);
+  return record ? record.elevation_ft : 500;
+}
+
+// Latitude, longitude and time zone meridian for solar geometry; Boston if the ZIP is unknown
+async function getLocationFromZip(zip_code) {
+  const record = lookupZip(zip_code) || lookupZip('02134');
+  return {
+    latitude: record.latitude,
+    longitude: record.longitude,
+    standard_meridian: record.utc_offset * 15,
+    observes_dst: record.observes_dst
   };
-  
-  const prefix = String(zip_code).substring(0, 2);
-  return ALTITUDE_LOOKUP[prefix] || 500;
 }
 
-function getElectricityRate(inputs) {
-  if (inputs.electricity_rate_manual) {
-    return inputs.electricity_rate_manual;
+// Price inputs and defaults by fuel ($/kWh, $/therm, $/gal): a manual rate, a monthly
+// bill divided by its usage (or by annual-average monthly use for homes under 1200 ft²,
+// under 2500 ft² and larger), then state and national residential averages.
+// state_rates list only states whose average sits well away from the national one
+// (or, for propane and heating oil, where those fuels heat a meaningful share of
+// homes); any other state, an unknown ZIP or no ZIP at all is priced at national_rate.
+const ENERGY_PRICING = {
+  'electricity': {
+    manual: 'electricity_rate_manual',
+    bill: 'monthly_electric_bill',
+    usage: 'monthly_kwh_usage',
+    typical_usage: [600, 900, 1200],
+    state_rates: {
+      'MA': 0.22, 'CT': 0.21, 'NH': 0.20, 'RI': 0.20, 'CA': 0.19,
+      'HI': 0.28, 'AK': 0.23, 'NY': 0.18, 'VT': 0.18,
+      'FL': 0.12, 'TX': 0.12, 'LA': 0.10, 'WA': 0.10,
+      'ID': 0.10, 'UT': 0.11, 'WY': 0.11, 'OR': 0.11
+    },
+    national_rate: 0.13
+  },
+  'natural_gas': {
+    manual: 'gas_rate_manual',
+    bill: 'monthly_gas_bill',
+    usage: 'monthly_gas_therms',
+    typical_usage: [40, 60, 85],
+    state_rates: {
+      'MA': 2.05, 'CT': 1.95, 'NH': 2.00, 'RI': 2.00, 'CA': 2.05,
+      'HI': 4.80, 'AK': 1.30, 'NY': 1.75, 'VT': 1.75, 'ME': 2.10,
+      'FL': 2.40, 'TX': 1.45, 'LA': 1.50, 'WA': 1.55,
+      'ID': 1.05, 'UT': 1.10, 'WY': 1.10, 'OR': 1.60,
+      'IL': 1.20, 'MI': 1.15, 'MN': 1.10, 'OH': 1.35, 'PA': 1.55, 'CO': 1.20
+    },
+    national_rate: 1.45
+  },
+  'propane': {
+    manual: 'propane_rate_manual',
+    bill: 'monthly_propane_bill',
+    usage: 'monthly_propane_gallons',
+    typical_usage: [40, 60, 85],
+    state_rates: {
+      'MA': 3.60, 'CT': 3.70, 'NH': 3.40, 'RI': 3.70, 'NY': 3.30,
+      'VT': 3.30, 'ME': 3.40, 'PA': 3.10, 'CA': 3.40, 'FL': 3.70,
+      'TX': 2.60, 'MI': 2.30, 'MN': 2.10, 'WI': 2.20, 'IA': 1.90
+    },
+    national_rate: 2.80
+  },
+  'heating_oil': {
+    manual: 'oil_rate_manual',
+    bill: 'monthly_oil_bill',
+    usage: 'monthly_oil_gallons',
+    typical_usage: [30, 45, 60],
+    state_rates: {
+      'MA': 4.00, 'CT': 4.10, 'NH': 3.90, 'RI': 4.00, 'NY': 4.20,
+      'VT': 3.90, 'ME': 3.80, 'PA': 3.90, 'NJ': 4.10, 'MD': 4.20, 'DE': 4.10
+    },
+    national_rate: 3.90
   }
+};
+
+function getEnergyRate(inputs, fuel_type) {
+  const pricing = ENERGY_PRICING[fuel_type];
+  if (!pricing) return 0;
   
-  if (inputs.monthly_electric_bill && inputs.monthly_kwh_usage) {
-    return inputs.monthly_electric_bill / inputs.monthly_kwh_usage;
+  if (inputs[pricing.manual]) {
+    return inputs[pricing.manual];
   }
   
-  if (inputs.monthly_electric_bill) {
-    const typical_kwh = inputs.floor_area < 1200 ? 600 
-                      : inputs.floor_area < 2500 ? 900 
-                      : 1200;
-    return inputs.monthly_electric_bill / typical_kwh;
+  // fuel_rate_manual prices whichever fossil fuel the house burns
+  if (fuel_type !== 'electricity' && inputs.fuel_rate_manual) {
+    return inputs.fuel_rate_manual;
   }
   
-  const STATE_RATES = {
-    'MA': 0.22, 'CT': 0.21, 'NH': 0.20, 'RI': 0.20, 'CA': 0.19,
-    'HI': 0.28, 'AK': 0.23, 'NY': 0.18, 'VT': 0.18,
-    'FL': 0.12, 'TX': 0.12, 'LA': 0.10, 'WA': 0.10,
-    'ID': 0.10, 'UT': 0.11, 'WY': 0.11, 'OR': 0.11
-  };
+  const bill = inputs[pricing.bill];
+  if (bill && inputs[pricing.usage]) {
+    return bill / inputs[pricing.usage];
+  }
+  
+  if (bill) {
+    const [small, medium, large] = pricing.typical_usage;
+    const typical_usage = inputs.floor_area < 1200 ? small 
+                        : inputs.floor_area < 2500 ? medium 
+                        : large;
+    return bill / typical_usage;
+  }
   
   const state = zipToState(inputs.zip_code);
-  return STATE_RATES[state] || 0.13;
+  return pricing.state_rates[state] || pricing.national_rate;
+}
+
+function getElectricityRate(inputs) {
+  return getEnergyRate(inputs, 'electricity');
+}
+
+// Measured hourly irradiance (Btu/hr·ft²) from a weather file's solar_ghi_annual and
+// solar_dni_annual; null leaves SolarModel on the clear sky
+function getMeasuredSolar({ solar_ghi_annual, solar_dni_annual }) {
+  const isYear = series => Array.isArray(series) && series.length >= HOURS_PER_YEAR;
+  if (!isYear(solar_ghi_annual) || !isYear(solar_dni_annual)) return null;
+  return { global_horizontal: solar_ghi_annual, direct_normal: solar_dni_annual };
 }
 
 function zipToState(zip) {
-  const prefix = parseInt(String(zip).substring(0, 2));
-  
-  if (prefix >= 1 && prefix <= 2) return 'MA';
-  if (prefix >= 3 && prefix <= 14) return 'NY';
-  if (prefix >= 15 && prefix <= 19) return 'PA';
-  if (prefix >= 20 && prefix <= 22) return 'VA';
-  if (prefix >= 30 && prefix <= 31) return 'GA';
-  if (prefix >= 32 && prefix <= 34) return 'FL';
-  if (prefix >= 60 && prefix <= 62) return 'IL';
-  if (prefix >= 75 && prefix <= 79) return 'TX';
-  if (prefix >= 80 && prefix <= 81) return 'CO';
-  if (prefix >= 85 && prefix <= 86) return 'AZ';
-  if (prefix >= 90 && prefix <= 96) return 'CA';
-  if (prefix >= 98 && prefix <= 99) return 'WA';
-  
-  return 'US';
+  const record = lookupZip(zip);
+  return record ? record.state : 'US';
+}
+
+// Numbers and numeric strings; 0 counts, '' and null do not
+function isNumeric(value) {
+  return value !== undefined && value !== null && value !== '' && !isNaN(Number(value));
+}
+
+// Nearest of the four facades to a compass bearing
+function bearingToFacade(bearing) {
+  return ['north', 'east', 'south', 'west'][Math.round((((bearing % 360) + 360) % 360) / 90) % 4];
+}
+
+// Linear interpolation in [[x, y], ...] sorted by x, clamped at the ends
+function interpolate(table, x) {
+  if (x <= table[0][0]) return table[0][1];
+  for (let i = 1; i < table.length; i++) {
+    const [x1, y1] = table[i];
+    if (x <= x1) {
+      const [x0, y0] = table[i - 1];
+      return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+    }
+  }
+  return table[table.length - 1][1];
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+function toDegrees(radians) {
+  return radians * 180 / Math.PI;
+}
+
+// US daylight saving: second Sunday of March through first Sunday of November
+function isDaylightSavingTime(date) {
+  const year = date.getUTCFullYear();
+  const nthSunday = (month, n) => {
+    const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return 1 + ((7 - first) % 7) + 7 * (n - 1);
+  };
+  const start = Date.UTC(year, 2, nthSunday(2, 2));
+  const end = Date.UTC(year, 10, nthSunday(10, 1));
+  const t = Date.UTC(year, date.getUTCMonth(), date.getUTCDate());
+  return t >= start && t < end;
+}
+
+// 'YYYY-MM-DD' (or a Date) as a UTC calendar date; today if absent or invalid
+function parseAnalysisDate(value) {
+  const date = value ? new Date(value) : new Date();
+  const valid = isNaN(date.getTime()) ? new Date() : date;
+  return new Date(Date.UTC(valid.getUTCFullYear(), valid.getUTCMonth(), valid.getUTCDate()));
+}
+
+function roundValues(obj) {
+  return Object.fromEntries(Object.entries(obj).map(([key, value]) => [key, Math.round(value)]));
 }
 
 function parseTime(timeStr) {
@@ -942,6 +3790,12 @@ module.exports = {
   ThermalMassModel,
   HVACPerformance,
   EnergyModel,
+  SolarModel,
+  OutdoorTemperatureProfile,
+  AnnualSimulation,
+  calculateWallAssembly,
+  getLocationFromZip,
+  getEnergyRate,
   runTests,
   TEST_CASES
 };
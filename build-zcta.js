@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Build data/zcta.csv from GeoNames postal codes and populated places
+ *
+ * Sources, both GeoNames, Creative Commons Attribution 4.0:
+ *   https://download.geonames.org/export/zip/US.zip (US.txt inside): ZIP, state,
+ *     county and centroid
+ *   https://download.geonames.org/export/dump/cities1000.zip (cities1000.txt):
+ *     every place of 1,000+ people with its SRTM ground elevation and time zone
+ *
+ * Elevation and time zone are the nearest populated place's to the ZIP centroid.
+ * The IECC climate zone is the county's, from data/ieccCountyZones.js.
+ *
+ * Run:
+ *   curl -O https://download.geonames.org/export/zip/US.zip && unzip US.zip US.txt
+ *   curl -O https://download.geonames.org/export/dump/cities1000.zip && unzip cities1000.zip
+ *   node build-zcta.js US.txt cities1000.txt
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATES } = require('./data/zipPrefixes');
+const { getCountyClimateZone } = require('./data/ieccCountyZones');
+
+const OUTPUT_FILE = path.join(__dirname, 'data', 'zcta.csv');
+const COLUMNS = ['zip', 'state', 'county', 'latitude', 'longitude', 'elevation_ft', 'climate_zone', 'time_zone'];
+const FT_PER_M = 3.28084;
+
+// GeoNames tab-separated columns
+const POSTAL = { zip: 1, state: 4, county: 5, latitude: 9, longitude: 10 };
+const PLACE = { latitude: 4, longitude: 5, country: 8, elevation: 15, dem: 16, time_zone: 17 };
+
+function readTsv(file) {
+  return fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line !== '').map(line => line.split('\t'));
+}
+
+// US places in one-degree cells, for a nearest-place search around each ZIP
+function indexPlaces(placesFile) {
+  const cells = new Map();
+  readTsv(placesFile).forEach(fields => {
+    if (fields[PLACE.country] !== 'US') return;
+    // SRTM elevation (m); the surveyed elevation where SRTM has no value
+    const dem = parseInt(fields[PLACE.dem], 10);
+    const place = {
+      latitude: Number(fields[PLACE.latitude]),
+      longitude: Number(fields[PLACE.longitude]),
+      elevation_m: dem > -9999 ? dem : Number(fields[PLACE.elevation]) || 0,
+      time_zone: fields[PLACE.time_zone]
+    };
+    const key = `${Math.floor(place.latitude)}:${Math.floor(place.longitude)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(place);
+  });
+  return cells;
+}
+
+function nearestPlace(cells, latitude, longitude) {
+  const cos_lat = Math.cos(latitude * Math.PI / 180);
+  let best = null;
+  let bestDistance = Infinity;
+  // Widen the ring of cells until a place turns up, then one ring more for a closer one across a cell edge
+  for (let ring = 0, found = -1; ring < 20 && (found < 0 || ring <= found + 1); ring++) {
+    for (let dLat = -ring; dLat <= ring; dLat++) {
+      for (let dLon = -ring; dLon <= ring; dLon++) {
+        if (Math.max(Math.abs(dLat), Math.abs(dLon)) !== ring) continue;
+        const cell = cells.get(`${Math.floor(latitude) + dLat}:${Math.floor(longitude) + dLon}`) || [];
+        cell.forEach(place => {
+          const distance = (place.latitude - latitude) ** 2 + ((place.longitude - longitude) * cos_lat) ** 2;
+          if (distance < bestDistance) {
+            best = place;
+            bestDistance = distance;
+            if (found < 0) found = ring;
+          }
+        });
+      }
+    }
+  }
+  return best;
+}
+
+function buildZcta(postalFile, placesFile) {
+  const cells = indexPlaces(placesFile);
+  const rows = new Map();
+
+  readTsv(postalFile).forEach(fields => {
+    const zip = fields[POSTAL.zip];
+    const state = fields[POSTAL.state];
+    // Skip military (APO/FPO) and territories the prefix data does not cover
+    if (!zip || !STATES[state] || rows.has(zip)) return;
+
+    const county = fields[POSTAL.county].replace(/,/g, '');
+    const latitude = Number(fields[POSTAL.latitude]);
+    const longitude = Number(fields[POSTAL.longitude]);
+    const place = nearestPlace(cells, latitude, longitude);
+    rows.set(zip, [
+      zip,
+      state,
+      county,
+      latitude.toFixed(4),
+      longitude.toFixed(4),
+      place ? Math.round(place.elevation_m * FT_PER_M) : STATES[state].elevation_ft,
+      getCountyClimateZone(state, county),
+      place ? place.time_zone : STATES[state].time_zone
+    ]);
+  });
+
+  const sorted = [...rows.keys()].sort().map(zip => rows.get(zip).join(','));
+  fs.writeFileSync(OUTPUT_FILE, [COLUMNS.join(','), ...sorted].join('\n') + '\n');
+  return rows.size;
+}
+
+const [postalFile, placesFile] = process.argv.slice(2);
+if (!postalFile || !placesFile) {
+  console.error('Usage: node build-zcta.js <GeoNames US.txt> <GeoNames cities1000.txt>');
+  process.exit(1);
+}
+
+const count = buildZcta(postalFile, placesFile);
+console.log(`Wrote ${count} ZIP codes to ${OUTPUT_FILE}`);
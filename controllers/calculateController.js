@@ -17,7 +17,16 @@ async function calculateHVACStrategy(formData, roomData = {}) {
       'floorArea'
     ];
 
-    const missingFields = requiredFields.filter(field => !formData[field]);
+    const isMissing = value => value === undefined || value === null || value === '';
+    // An hourly profile, a daily high/low or a year of weather can replace the single outdoor temperature
+    const hasOutdoorProfile = (Array.isArray(formData.outdoorTempHourly) && formData.outdoorTempHourly.length > 0) ||
+      (!isMissing(formData.outdoorTempHigh) && !isMissing(formData.outdoorTempLow)) ||
+      Array.isArray(formData.outdoorTempAnnual) || formData.useLocalWeather === true || formData.annualSimulation === true;
+
+    // 0 is a valid outdoor temperature, so only reject absent values
+    const missingFields = requiredFields.filter(field =>
+      !(field === 'outdoorTemp' && hasOutdoorProfile) && isMissing(formData[field])
+    );
     if (missingFields.length > 0) {
       throw new Error(`Missing required fields: ${missingFields.join(', ')}`);
     }
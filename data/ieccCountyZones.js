@@ -0,0 +1,252 @@
+/**
+ * IECC climate zones by county
+ *
+ * IECC Table R301.1 county assignments (unchanged from the 2009 through 2018
+ * editions), used by build-zcta.js to give every ZIP its county's zone. Each
+ * state lists its most common zone and the counties in any other zone.
+ * Independent cities and boroughs not listed take the state zone.
+ */
+
+// State: [zone of unlisted counties, { zone: [counties] }]
+const IECC_COUNTY_ZONES = {
+  AL: ['3A', { '2A': ['Baldwin', 'Mobile'] }],
+  AK: ['7', {
+    '8': ['Bethel', 'Dillingham', 'Fairbanks North Star', 'Kusilvak', 'Nome', 'North Slope',
+      'Northwest Arctic', 'Southeast Fairbanks', 'Yukon-Koyukuk']
+  }],
+  AZ: ['2B', {
+    '3B': ['Cochise', 'Graham', 'Greenlee', 'Mohave', 'Santa Cruz'],
+    '4B': ['Gila', 'Yavapai'],
+    '5B': ['Apache', 'Coconino', 'Navajo']
+  }],
+  AR: ['3A', {
+    '4A': ['Baxter', 'Benton', 'Boone', 'Carroll', 'Fulton', 'Izard', 'Madison', 'Marion', 'Newton', 'Searcy',
+      'Stone', 'Washington']
+  }],
+  CA: ['3B', {
+    '2B': ['Imperial'],
+    '3C': ['Alameda', 'Contra Costa', 'Marin', 'Mendocino', 'Monterey', 'Napa', 'San Benito', 'San Francisco',
+      'San Luis Obispo', 'San Mateo', 'Santa Barbara', 'Santa Clara', 'Santa Cruz', 'Sonoma', 'Ventura'],
+    '4B': ['Amador', 'Calaveras', 'El Dorado', 'Inyo', 'Lake', 'Mariposa', 'Trinity', 'Tuolumne'],
+    '4C': ['Del Norte', 'Humboldt'],
+    '5B': ['Lassen', 'Modoc', 'Nevada', 'Plumas', 'Sierra', 'Siskiyou'],
+    '6B': ['Alpine', 'Mono']
+  }],
+  CO: ['5B', {
+    '4B': ['Baca', 'Las Animas', 'Otero'],
+    '6B': ['Alamosa', 'Archuleta', 'Chaffee', 'Conejos', 'Costilla', 'Custer', 'Dolores', 'Eagle', 'Moffat',
+      'Ouray', 'Rio Blanco', 'Saguache', 'San Miguel'],
+    '7': ['Clear Creek', 'Grand', 'Gunnison', 'Hinsdale', 'Jackson', 'Lake', 'Mineral', 'Park', 'Pitkin',
+      'Rio Grande', 'Routt', 'San Juan', 'Summit']
+  }],
+  CT: ['5A', {}],
+  DE: ['4A', {}],
+  DC: ['4A', {}],
+  FL: ['2A', { '1A': ['Broward', 'Miami-Dade', 'Monroe'] }],
+  GA: ['3A', {
+    '2A': ['Appling', 'Atkinson', 'Bacon', 'Baker', 'Berrien', 'Brantley', 'Brooks', 'Bryan', 'Camden', 'Charlton',
+      'Chatham', 'Clinch', 'Colquitt', 'Cook', 'Decatur', 'Echols', 'Effingham', 'Evans', 'Glynn', 'Grady',
+      'Jeff Davis', 'Lanier', 'Liberty', 'Long', 'Lowndes', 'McIntosh', 'Miller', 'Mitchell', 'Pierce',
+      'Seminole', 'Tattnall', 'Thomas', 'Toombs', 'Ware', 'Wayne'],
+    '4A': ['Banks', 'Catoosa', 'Chattooga', 'Dade', 'Dawson', 'Fannin', 'Floyd', 'Franklin', 'Gilmer', 'Gordon',
+      'Habersham', 'Hall', 'Lumpkin', 'Murray', 'Pickens', 'Rabun', 'Stephens', 'Towns', 'Union', 'Walker',
+      'White', 'Whitfield']
+  }],
+  HI: ['1A', {}],
+  ID: ['6B', {
+    '5B': ['Ada', 'Benewah', 'Canyon', 'Cassia', 'Clearwater', 'Elmore', 'Gem', 'Gooding', 'Idaho', 'Jerome',
+      'Kootenai', 'Latah', 'Lewis', 'Lincoln', 'Minidoka', 'Nez Perce', 'Owyhee', 'Payette', 'Power',
+      'Shoshone', 'Twin Falls', 'Washington']
+  }],
+  IL: ['5A', {
+    '4A': ['Alexander', 'Bond', 'Calhoun', 'Christian', 'Clark', 'Clay', 'Clinton', 'Coles', 'Crawford',
+      'Cumberland', 'Edwards', 'Effingham', 'Fayette', 'Franklin', 'Gallatin', 'Greene', 'Hamilton', 'Hardin',
+      'Jackson', 'Jasper', 'Jefferson', 'Jersey', 'Johnson', 'Lawrence', 'Macon', 'Macoupin', 'Madison',
+      'Marion', 'Massac', 'Monroe', 'Montgomery', 'Perry', 'Pope', 'Pulaski', 'Randolph', 'Richland', 'Saline',
+      'Shelby', 'St. Clair', 'Union', 'Wabash', 'Washington', 'Wayne', 'White', 'Williamson']
+  }],
+  IN: ['5A', {
+    '4A': ['Brown', 'Clark', 'Crawford', 'Daviess', 'Dearborn', 'Dubois', 'Floyd', 'Gibson', 'Greene',
+      'Harrison', 'Jackson', 'Jefferson', 'Jennings', 'Knox', 'Lawrence', 'Martin', 'Monroe', 'Ohio', 'Orange',
+      'Perry', 'Pike', 'Posey', 'Ripley', 'Scott', 'Spencer', 'Sullivan', 'Switzerland', 'Vanderburgh',
+      'Warrick', 'Washington']
+  }],
+  IA: ['5A', {
+    '6A': ['Allamakee', 'Black Hawk', 'Bremer', 'Buchanan', 'Buena Vista', 'Butler', 'Calhoun', 'Cerro Gordo',
+      'Cherokee', 'Chickasaw', 'Clay', 'Clayton', 'Delaware', 'Dickinson', 'Emmet', 'Fayette', 'Floyd',
+      'Franklin', 'Grundy', 'Hamilton', 'Hancock', 'Hardin', 'Howard', 'Humboldt', 'Ida', 'Kossuth', 'Lyon',
+      'Mitchell', "O'Brien", 'Osceola', 'Palo Alto', 'Plymouth', 'Pocahontas', 'Sac', 'Sioux', 'Webster',
+      'Winnebago', 'Winneshiek', 'Worth', 'Wright']
+  }],
+  KS: ['4A', {
+    '5A': ['Cheyenne', 'Cloud', 'Decatur', 'Ellis', 'Gove', 'Graham', 'Greeley', 'Hamilton', 'Jewell', 'Lane',
+      'Logan', 'Mitchell', 'Ness', 'Norton', 'Osborne', 'Phillips', 'Rawlins', 'Republic', 'Rooks', 'Scott',
+      'Sheridan', 'Sherman', 'Smith', 'Thomas', 'Trego', 'Wallace', 'Wichita']
+  }],
+  KY: ['4A', {}],
+  LA: ['2A', {
+    '3A': ['Bienville', 'Bossier', 'Caddo', 'Caldwell', 'Catahoula', 'Claiborne', 'Concordia', 'De Soto',
+      'East Carroll', 'Franklin', 'Grant', 'Jackson', 'La Salle', 'Lincoln', 'Madison', 'Morehouse',
+      'Natchitoches', 'Ouachita', 'Red River', 'Richland', 'Sabine', 'Tensas', 'Union', 'Webster',
+      'West Carroll', 'Winn']
+  }],
+  ME: ['6A', { '7': ['Aroostook'] }],
+  MD: ['4A', { '5A': ['Garrett'] }],
+  MA: ['5A', {}],
+  MI: ['6A', {
+    '5A': ['Allegan', 'Barry', 'Bay', 'Berrien', 'Branch', 'Calhoun', 'Cass', 'Clinton', 'Eaton', 'Genesee',
+      'Gratiot', 'Hillsdale', 'Ingham', 'Ionia', 'Jackson', 'Kalamazoo', 'Kent', 'Lapeer', 'Lenawee',
+      'Livingston', 'Macomb', 'Midland', 'Monroe', 'Muskegon', 'Oakland', 'Ottawa', 'Saginaw', 'Shiawassee',
+      'St. Clair', 'St. Joseph', 'Tuscola', 'Van Buren', 'Washtenaw', 'Wayne'],
+    '7': ['Baraga', 'Chippewa', 'Gogebic', 'Houghton', 'Iron', 'Keweenaw', 'Luce', 'Mackinac', 'Ontonagon',
+      'Schoolcraft']
+  }],
+  MN: ['6A', {
+    '7': ['Aitkin', 'Becker', 'Beltrami', 'Carlton', 'Cass', 'Clay', 'Clearwater', 'Cook', 'Crow Wing', 'Grant',
+      'Hubbard', 'Itasca', 'Kanabec', 'Kittson', 'Koochiching', 'Lake', 'Lake of the Woods', 'Mahnomen',
+      'Marshall', 'Mille Lacs', 'Norman', 'Otter Tail', 'Pennington', 'Pine', 'Polk', 'Red Lake', 'Roseau',
+      'St. Louis', 'Wadena', 'Wilkin']
+  }],
+  MS: ['3A', {
+    '2A': ['Amite', 'Forrest', 'George', 'Greene', 'Hancock', 'Harrison', 'Jackson', 'Lamar', 'Marion',
+      'Pearl River', 'Perry', 'Pike', 'Stone', 'Walthall', 'Wilkinson']
+  }],
+  MO: ['4A', {
+    '5A': ['Adair', 'Andrew', 'Atchison', 'Buchanan', 'Caldwell', 'Chariton', 'Clark', 'Clinton', 'Daviess',
+      'DeKalb', 'Gentry', 'Grundy', 'Harrison', 'Holt', 'Knox', 'Lewis', 'Linn', 'Livingston', 'Macon',
+      'Marion', 'Mercer', 'Nodaway', 'Pike', 'Putnam', 'Ralls', 'Schuyler', 'Scotland', 'Shelby', 'Sullivan',
+      'Worth']
+  }],
+  MT: ['6B', {}],
+  NE: ['5A', {}],
+  NV: ['5B', { '3B': ['Clark'] }],
+  NH: ['6A', { '5A': ['Cheshire', 'Hillsborough', 'Rockingham', 'Strafford'] }],
+  NJ: ['4A', { '5A': ['Bergen', 'Hunterdon', 'Mercer', 'Morris', 'Passaic', 'Somerset', 'Sussex', 'Warren'] }],
+  NM: ['5B', {
+    '3B': ['Chaves', 'Dona Ana', 'Eddy', 'Hidalgo', 'Lea', 'Luna', 'Otero'],
+    '4B': ['Bernalillo', 'Cibola', 'Curry', 'De Baca', 'Grant', 'Guadalupe', 'Lincoln', 'Quay', 'Roosevelt',
+      'Sierra', 'Socorro', 'Union', 'Valencia']
+  }],
+  NY: ['5A', {
+    '4A': ['Bronx', 'Kings', 'Nassau', 'New York', 'Queens', 'Richmond', 'Suffolk', 'Westchester'],
+    '6A': ['Allegany', 'Cattaraugus', 'Chenango', 'Clinton', 'Delaware', 'Essex', 'Franklin', 'Fulton',
+      'Hamilton', 'Herkimer', 'Jefferson', 'Lewis', 'Madison', 'Montgomery', 'Oneida', 'Otsego', 'Schoharie',
+      'Schuyler', 'St. Lawrence', 'Steuben', 'Sullivan', 'Warren', 'Wyoming']
+  }],
+  NC: ['4A', {
+    '3A': ['Anson', 'Beaufort', 'Bladen', 'Brunswick', 'Cabarrus', 'Camden', 'Carteret', 'Chowan', 'Columbus',
+      'Craven', 'Cumberland', 'Currituck', 'Dare', 'Davidson', 'Duplin', 'Edgecombe', 'Gaston', 'Greene', 'Hoke',
+      'Hyde', 'Johnston', 'Jones', 'Lenoir', 'Martin', 'Mecklenburg', 'Montgomery', 'Moore', 'New Hanover',
+      'Onslow', 'Pamlico', 'Pasquotank', 'Pender', 'Perquimans', 'Pitt', 'Randolph', 'Richmond', 'Robeson',
+      'Rowan', 'Sampson', 'Scotland', 'Stanly', 'Tyrrell', 'Union', 'Washington', 'Wayne', 'Wilson'],
+    '5A': ['Alleghany', 'Ashe', 'Avery', 'Mitchell', 'Watauga', 'Yancey']
+  }],
+  ND: ['7', {
+    '6A': ['Adams', 'Billings', 'Bowman', 'Burleigh', 'Dickey', 'Dunn', 'Emmons', 'Golden Valley', 'Grant',
+      'Hettinger', 'LaMoure', 'Logan', 'McIntosh', 'McKenzie', 'Mercer', 'Morton', 'Oliver', 'Ransom',
+      'Richland', 'Sargent', 'Sioux', 'Slope', 'Stark']
+  }],
+  OH: ['5A', { '4A': ['Adams', 'Brown', 'Clermont', 'Gallia', 'Hamilton', 'Lawrence', 'Pike', 'Scioto', 'Washington'] }],
+  OK: ['3A', { '4B': ['Beaver', 'Cimarron', 'Texas'] }],
+  OR: ['4C', {
+    '5B': ['Baker', 'Crook', 'Deschutes', 'Gilliam', 'Grant', 'Harney', 'Hood River', 'Jefferson', 'Klamath',
+      'Lake', 'Malheur', 'Morrow', 'Sherman', 'Umatilla', 'Union', 'Wallowa', 'Wasco', 'Wheeler']
+  }],
+  PA: ['5A', {
+    '4A': ['Bucks', 'Chester', 'Delaware', 'Montgomery', 'Philadelphia'],
+    '6A': ['Cameron', 'Clearfield', 'Elk', 'McKean', 'Potter', 'Susquehanna', 'Tioga', 'Wayne']
+  }],
+  RI: ['5A', {}],
+  SC: ['3A', {}],
+  SD: ['6A', {
+    '5A': ['Bennett', 'Bon Homme', 'Charles Mix', 'Clay', 'Douglas', 'Gregory', 'Hutchinson', 'Jackson',
+      'Mellette', 'Oglala Lakota', 'Todd', 'Tripp', 'Union', 'Yankton']
+  }],
+  TN: ['4A', {
+    '3A': ['Chester', 'Crockett', 'Dyer', 'Fayette', 'Hardeman', 'Hardin', 'Haywood', 'Henderson', 'Lake',
+      'Lauderdale', 'Madison', 'McNairy', 'Shelby', 'Tipton']
+  }],
+  TX: ['2A', {
+    '2B': ['Dimmit', 'Edwards', 'Frio', 'Kinney', 'La Salle', 'Maverick', 'Real', 'Uvalde', 'Val Verde', 'Webb',
+      'Zapata', 'Zavala'],
+    '3A': ['Archer', 'Blanco', 'Bowie', 'Brown', 'Burnet', 'Camp', 'Cass', 'Clay', 'Collin', 'Comanche', 'Cooke',
+      'Dallas', 'Delta', 'Denton', 'Eastland', 'Ellis', 'Erath', 'Fannin', 'Franklin', 'Gillespie', 'Grayson',
+      'Gregg', 'Hamilton', 'Harrison', 'Henderson', 'Hood', 'Hopkins', 'Hunt', 'Jack', 'Johnson', 'Kaufman',
+      'Kendall', 'Lamar', 'Lampasas', 'Llano', 'Marion', 'Mills', 'Montague', 'Morris', 'Nacogdoches',
+      'Palo Pinto', 'Panola', 'Parker', 'Rains', 'Red River', 'Rockwall', 'Rusk', 'Sabine', 'San Augustine',
+      'San Saba', 'Shelby', 'Smith', 'Somervell', 'Stephens', 'Tarrant', 'Titus', 'Upshur', 'Van Zandt',
+      'Wichita', 'Wise', 'Wood', 'Young'],
+    '3B': ['Andrews', 'Baylor', 'Borden', 'Brewster', 'Callahan', 'Childress', 'Coke', 'Coleman',
+      'Collingsworth', 'Concho', 'Cottle', 'Crane', 'Crockett', 'Crosby', 'Culberson', 'Dawson', 'Dickens',
+      'Ector', 'El Paso', 'Fisher', 'Foard', 'Gaines', 'Garza', 'Glasscock', 'Hall', 'Hardeman', 'Haskell',
+      'Howard', 'Hudspeth', 'Irion', 'Jeff Davis', 'Jones', 'Kent', 'Kerr', 'Kimble', 'King', 'Knox', 'Loving',
+      'Lubbock', 'Lynn', 'Martin', 'Mason', 'McCulloch', 'Menard', 'Midland', 'Mitchell', 'Motley', 'Nolan',
+      'Pecos', 'Presidio', 'Reagan', 'Reeves', 'Runnels', 'Schleicher', 'Scurry', 'Shackelford', 'Sterling',
+      'Stonewall', 'Sutton', 'Taylor', 'Terrell', 'Terry', 'Throckmorton', 'Tom Green', 'Upton', 'Ward',
+      'Wilbarger', 'Winkler'],
+    '4B': ['Armstrong', 'Bailey', 'Briscoe', 'Carson', 'Castro', 'Cochran', 'Dallam', 'Deaf Smith', 'Donley',
+      'Floyd', 'Gray', 'Hale', 'Hansford', 'Hartley', 'Hemphill', 'Hockley', 'Hutchinson', 'Lamb', 'Lipscomb',
+      'Moore', 'Ochiltree', 'Oldham', 'Parmer', 'Potter', 'Randall', 'Roberts', 'Sherman', 'Swisher',
+      'Wheeler', 'Yoakum']
+  }],
+  UT: ['5B', {
+    '3B': ['Washington'],
+    '6B': ['Box Elder', 'Cache', 'Carbon', 'Daggett', 'Duchesne', 'Morgan', 'Rich', 'Summit', 'Uintah',
+      'Wasatch']
+  }],
+  VT: ['6A', {}],
+  VA: ['4A', {}],
+  WA: ['4C', {
+    '5B': ['Adams', 'Asotin', 'Benton', 'Chelan', 'Columbia', 'Douglas', 'Franklin', 'Garfield', 'Grant',
+      'Kittitas', 'Klickitat', 'Lincoln', 'Skamania', 'Spokane', 'Walla Walla', 'Whitman', 'Yakima'],
+    '6B': ['Ferry', 'Okanogan', 'Pend Oreille', 'Stevens']
+  }],
+  WV: ['5A', {
+    '4A': ['Berkeley', 'Boone', 'Braxton', 'Cabell', 'Calhoun', 'Clay', 'Gilmer', 'Jackson', 'Jefferson',
+      'Kanawha', 'Lincoln', 'Logan', 'Mason', 'McDowell', 'Mercer', 'Mingo', 'Monroe', 'Morgan', 'Pleasants',
+      'Putnam', 'Ritchie', 'Roane', 'Tyler', 'Wayne', 'Wirt', 'Wood', 'Wyoming']
+  }],
+  WI: ['6A', {
+    '7': ['Ashland', 'Bayfield', 'Burnett', 'Florence', 'Forest', 'Iron', 'Langlade', 'Lincoln', 'Oneida',
+      'Price', 'Sawyer', 'Taylor', 'Vilas', 'Washburn']
+  }],
+  WY: ['6B', { '5B': ['Goshen', 'Platte'], '7': ['Lincoln', 'Sublette', 'Teton'] }],
+  PR: ['1A', {}],
+  VI: ['1A', {}]
+};
+
+// County names compared without case, accents, punctuation, "Saint" spelled out,
+// or the county, parish, borough or census-area suffix
+function normalizeCountyName(county) {
+  return String(county)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\(ca\)|\(city\)/g, '')
+    .replace(/\b(city and (borough|county) of|city and borough|census area|municipality|borough|county|parish)\b/g, '')
+    .replace(/\bsaint\b/g, 'st')
+    .replace(/[^a-z]/g, '');
+}
+
+const COUNTY_INDEX = Object.fromEntries(Object.entries(IECC_COUNTY_ZONES).map(([state, [, zones]]) => [
+  state,
+  new Map(Object.entries(zones).flatMap(([zone, counties]) => counties.map(county => [normalizeCountyName(county), zone])))
+]));
+
+/**
+ * IECC climate zone for a county
+ *
+ * @param {string} state - State abbreviation
+ * @param {string} county - County name
+ * @returns {string|null} Climate zone such as '5A' or '7', or null for an unknown state
+ */
+function getCountyClimateZone(state, county) {
+  const entry = IECC_COUNTY_ZONES[state];
+  if (!entry) return null;
+  return COUNTY_INDEX[state].get(normalizeCountyName(county)) || entry[0];
+}
+
+module.exports = {
+  IECC_COUNTY_ZONES,
+  getCountyClimateZone,
+  normalizeCountyName
+};
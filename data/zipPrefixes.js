@@ -0,0 +1,140 @@
+/**
+ * ZIP prefix reference data
+ *
+ * Fallback for ZIP codes missing from the ZCTA file (data/zcta.csv). Every
+ * three-digit prefix range maps to its state (USPS sectional center
+ * assignments). Locations are each state's population center, or the
+ * metro a prefix range serves where one is listed. Elevations are for the
+ * populated area, not the state mean. Climate zones are IECC 2021.
+ */
+
+// State: population center, typical populated elevation, IECC zone, time zone
+const STATES = {
+  AL: { name: 'Alabama', latitude: 33.0, longitude: -86.8, elevation_ft: 500, climate_zone: '3A', time_zone: 'America/Chicago' },
+  AK: { name: 'Alaska', latitude: 61.2, longitude: -149.9, elevation_ft: 100, climate_zone: '7', time_zone: 'America/Anchorage' },
+  AZ: { name: 'Arizona', latitude: 33.4, longitude: -112.0, elevation_ft: 1100, climate_zone: '2B', time_zone: 'America/Phoenix' },
+  AR: { name: 'Arkansas', latitude: 34.9, longitude: -92.4, elevation_ft: 350, climate_zone: '3A', time_zone: 'America/Chicago' },
+  CA: { name: 'California', latitude: 35.5, longitude: -119.4, elevation_ft: 300, climate_zone: '3B', time_zone: 'America/Los_Angeles' },
+  CO: { name: 'Colorado', latitude: 39.7, longitude: -105.0, elevation_ft: 5300, climate_zone: '5B', time_zone: 'America/Denver' },
+  CT: { name: 'Connecticut', latitude: 41.6, longitude: -72.7, elevation_ft: 200, climate_zone: '5A', time_zone: 'America/New_York' },
+  DE: { name: 'Delaware', latitude: 39.4, longitude: -75.6, elevation_ft: 50, climate_zone: '4A', time_zone: 'America/New_York' },
+  DC: { name: 'District of Columbia', latitude: 38.9, longitude: -77.0, elevation_ft: 150, climate_zone: '4A', time_zone: 'America/New_York' },
+  FL: { name: 'Florida', latitude: 27.8, longitude: -81.6, elevation_ft: 50, climate_zone: '2A', time_zone: 'America/New_York' },
+  GA: { name: 'Georgia', latitude: 33.6, longitude: -84.2, elevation_ft: 900, climate_zone: '3A', time_zone: 'America/New_York' },
+  HI: { name: 'Hawaii', latitude: 21.3, longitude: -157.9, elevation_ft: 50, climate_zone: '1A', time_zone: 'Pacific/Honolulu' },
+  ID: { name: 'Idaho', latitude: 43.6, longitude: -115.5, elevation_ft: 2700, climate_zone: '5B', time_zone: 'America/Boise' },
+  IL: { name: 'Illinois', latitude: 41.3, longitude: -88.4, elevation_ft: 650, climate_zone: '5A', time_zone: 'America/Chicago' },
+  IN: { name: 'Indiana', latitude: 39.9, longitude: -86.3, elevation_ft: 750, climate_zone: '5A', time_zone: 'America/Indiana/Indianapolis' },
+  IA: { name: 'Iowa', latitude: 41.9, longitude: -93.0, elevation_ft: 950, climate_zone: '5A', time_zone: 'America/Chicago' },
+  KS: { name: 'Kansas', latitude: 38.4, longitude: -97.0, elevation_ft: 1200, climate_zone: '4A', time_zone: 'America/Chicago' },
+  KY: { name: 'Kentucky', latitude: 37.8, longitude: -85.4, elevation_ft: 700, climate_zone: '4A', time_zone: 'America/New_York' },
+  LA: { name: 'Louisiana', latitude: 30.7, longitude: -91.5, elevation_ft: 50, climate_zone: '2A', time_zone: 'America/Chicago' },
+  ME: { name: 'Maine', latitude: 44.3, longitude: -69.8, elevation_ft: 300, climate_zone: '6A', time_zone: 'America/New_York' },
+  MD: { name: 'Maryland', latitude: 39.1, longitude: -76.8, elevation_ft: 200, climate_zone: '4A', time_zone: 'America/New_York' },
+  MA: { name: 'Massachusetts', latitude: 42.3, longitude: -71.4, elevation_ft: 150, climate_zone: '5A', time_zone: 'America/New_York' },
+  MI: { name: 'Michigan', latitude: 42.9, longitude: -84.2, elevation_ft: 800, climate_zone: '5A', time_zone: 'America/Detroit' },
+  MN: { name: 'Minnesota', latitude: 45.2, longitude: -93.6, elevation_ft: 900, climate_zone: '6A', time_zone: 'America/Chicago' },
+  MS: { name: 'Mississippi', latitude: 32.6, longitude: -89.6, elevation_ft: 300, climate_zone: '3A', time_zone: 'America/Chicago' },
+  MO: { name: 'Missouri', latitude: 38.4, longitude: -92.2, elevation_ft: 700, climate_zone: '4A', time_zone: 'America/Chicago' },
+  MT: { name: 'Montana', latitude: 46.6, longitude: -110.9, elevation_ft: 3700, climate_zone: '6B', time_zone: 'America/Denver' },
+  NE: { name: 'Nebraska', latitude: 41.3, longitude: -97.4, elevation_ft: 1200, climate_zone: '5A', time_zone: 'America/Chicago' },
+  NV: { name: 'Nevada', latitude: 36.5, longitude: -115.4, elevation_ft: 2100, climate_zone: '3B', time_zone: 'America/Los_Angeles' },
+  NH: { name: 'New Hampshire', latitude: 43.0, longitude: -71.5, elevation_ft: 400, climate_zone: '5A', time_zone: 'America/New_York' },
+  NJ: { name: 'New Jersey', latitude: 40.4, longitude: -74.4, elevation_ft: 100, climate_zone: '4A', time_zone: 'America/New_York' },
+  NM: { name: 'New Mexico', latitude: 34.6, longitude: -106.4, elevation_ft: 5000, climate_zone: '4B', time_zone: 'America/Denver' },
+  NY: { name: 'New York', latitude: 41.6, longitude: -74.6, elevation_ft: 300, climate_zone: '4A', time_zone: 'America/New_York' },
+  NC: { name: 'North Carolina', latitude: 35.6, longitude: -79.6, elevation_ft: 700, climate_zone: '4A', time_zone: 'America/New_York' },
+  ND: { name: 'North Dakota', latitude: 47.2, longitude: -98.8, elevation_ft: 1400, climate_zone: '6A', time_zone: 'America/Chicago' },
+  OH: { name: 'Ohio', latitude: 40.5, longitude: -82.7, elevation_ft: 850, climate_zone: '5A', time_zone: 'America/New_York' },
+  OK: { name: 'Oklahoma', latitude: 35.6, longitude: -97.1, elevation_ft: 1200, climate_zone: '3A', time_zone: 'America/Chicago' },
+  OR: { name: 'Oregon', latitude: 44.7, longitude: -122.9, elevation_ft: 300, climate_zone: '4C', time_zone: 'America/Los_Angeles' },
+  PA: { name: 'Pennsylvania', latitude: 40.5, longitude: -77.2, elevation_ft: 600, climate_zone: '5A', time_zone: 'America/New_York' },
+  RI: { name: 'Rhode Island', latitude: 41.8, longitude: -71.4, elevation_ft: 100, climate_zone: '5A', time_zone: 'America/New_York' },
+  SC: { name: 'South Carolina', latitude: 34.0, longitude: -81.0, elevation_ft: 350, climate_zone: '3A', time_zone: 'America/New_York' },
+  SD: { name: 'South Dakota', latitude: 44.0, longitude: -98.4, elevation_ft: 1500, climate_zone: '6A', time_zone: 'America/Chicago' },
+  TN: { name: 'Tennessee', latitude: 35.8, longitude: -86.4, elevation_ft: 600, climate_zone: '4A', time_zone: 'America/Chicago' },
+  TX: { name: 'Texas', latitude: 30.9, longitude: -97.4, elevation_ft: 500, climate_zone: '2A', time_zone: 'America/Chicago' },
+  UT: { name: 'Utah', latitude: 40.6, longitude: -111.9, elevation_ft: 4300, climate_zone: '5B', time_zone: 'America/Denver' },
+  VT: { name: 'Vermont', latitude: 44.2, longitude: -72.9, elevation_ft: 600, climate_zone: '6A', time_zone: 'America/New_York' },
+  VA: { name: 'Virginia', latitude: 38.0, longitude: -77.8, elevation_ft: 400, climate_zone: '4A', time_zone: 'America/New_York' },
+  WA: { name: 'Washington', latitude: 47.4, longitude: -122.0, elevation_ft: 300, climate_zone: '4C', time_zone: 'America/Los_Angeles' },
+  WV: { name: 'West Virginia', latitude: 38.8, longitude: -80.9, elevation_ft: 900, climate_zone: '5A', time_zone: 'America/New_York' },
+  WI: { name: 'Wisconsin', latitude: 43.7, longitude: -89.0, elevation_ft: 900, climate_zone: '6A', time_zone: 'America/Chicago' },
+  WY: { name: 'Wyoming', latitude: 42.8, longitude: -107.3, elevation_ft: 5500, climate_zone: '6B', time_zone: 'America/Denver' },
+  PR: { name: 'Puerto Rico', latitude: 18.2, longitude: -66.5, elevation_ft: 200, climate_zone: '1A', time_zone: 'America/Puerto_Rico' },
+  VI: { name: 'U.S. Virgin Islands', latitude: 18.3, longitude: -64.9, elevation_ft: 100, climate_zone: '1A', time_zone: 'America/St_Thomas' }
+};
+
+// [first prefix, last prefix, state]
+const ZIP3_RANGES = [
+  [5, 5, 'NY'], [6, 7, 'PR'], [8, 8, 'VI'], [9, 9, 'PR'],
+  [10, 27, 'MA'], [28, 29, 'RI'], [30, 38, 'NH'], [39, 49, 'ME'],
+  [50, 54, 'VT'], [55, 55, 'MA'], [56, 59, 'VT'], [60, 69, 'CT'],
+  [70, 89, 'NJ'], [100, 149, 'NY'], [150, 196, 'PA'], [197, 199, 'DE'],
+  [200, 200, 'DC'], [201, 201, 'VA'], [202, 205, 'DC'], [206, 219, 'MD'],
+  [220, 246, 'VA'], [247, 268, 'WV'], [270, 289, 'NC'], [290, 299, 'SC'],
+  [300, 319, 'GA'], [320, 339, 'FL'], [341, 349, 'FL'], [350, 369, 'AL'],
+  [370, 385, 'TN'], [386, 397, 'MS'], [398, 399, 'GA'], [400, 427, 'KY'],
+  [430, 459, 'OH'], [460, 479, 'IN'], [480, 499, 'MI'], [500, 528, 'IA'],
+  [530, 549, 'WI'], [550, 567, 'MN'], [570, 577, 'SD'], [580, 588, 'ND'],
+  [590, 599, 'MT'], [600, 629, 'IL'], [630, 658, 'MO'], [660, 679, 'KS'],
+  [680, 693, 'NE'], [700, 714, 'LA'], [716, 729, 'AR'], [730, 732, 'OK'],
+  [733, 733, 'TX'], [734, 749, 'OK'], [750, 799, 'TX'], [800, 816, 'CO'],
+  [820, 831, 'WY'], [832, 838, 'ID'], [840, 847, 'UT'], [850, 865, 'AZ'],
+  [870, 884, 'NM'], [885, 885, 'TX'], [889, 898, 'NV'], [900, 961, 'CA'],
+  [967, 968, 'HI'], [970, 979, 'OR'], [980, 994, 'WA'], [995, 999, 'AK']
+];
+
+// [first prefix, last prefix, overrides] for metros and time-zone splits within a state
+const ZIP3_LOCATIONS = [
+  [21, 22, { place: 'Boston', latitude: 42.36, longitude: -71.06, elevation_ft: 20 }],
+  [100, 104, { place: 'New York', latitude: 40.71, longitude: -74.01, elevation_ft: 50 }],
+  [152, 152, { place: 'Pittsburgh', latitude: 40.44, longitude: -80.0, elevation_ft: 1000 }],
+  [190, 191, { place: 'Philadelphia', latitude: 39.95, longitude: -75.17, elevation_ft: 40, climate_zone: '4A' }],
+  [212, 212, { place: 'Baltimore', latitude: 39.29, longitude: -76.61, elevation_ft: 100 }],
+  [232, 232, { place: 'Richmond', latitude: 37.54, longitude: -77.44, elevation_ft: 150 }],
+  [276, 276, { place: 'Raleigh', latitude: 35.78, longitude: -78.64, elevation_ft: 300 }],
+  [282, 282, { place: 'Charlotte', latitude: 35.23, longitude: -80.84, elevation_ft: 750, climate_zone: '3A' }],
+  [303, 303, { place: 'Atlanta', latitude: 33.75, longitude: -84.39, elevation_ft: 1000 }],
+  [324, 325, { place: 'Pensacola', latitude: 30.42, longitude: -87.22, elevation_ft: 100, time_zone: 'America/Chicago' }],
+  [327, 329, { place: 'Orlando', latitude: 28.54, longitude: -81.38, elevation_ft: 100 }],
+  [331, 332, { place: 'Miami', latitude: 25.76, longitude: -80.19, elevation_ft: 10, climate_zone: '1A' }],
+  [336, 338, { place: 'Tampa', latitude: 27.95, longitude: -82.46, elevation_ft: 30 }],
+  [372, 372, { place: 'Nashville', latitude: 36.16, longitude: -86.78, elevation_ft: 550 }],
+  [373, 374, { place: 'Chattanooga', latitude: 35.05, longitude: -85.31, elevation_ft: 700, climate_zone: '3A', time_zone: 'America/New_York' }],
+  [376, 379, { place: 'Knoxville', latitude: 35.96, longitude: -83.92, elevation_ft: 900, time_zone: 'America/New_York' }],
+  [441, 441, { place: 'Cleveland', latitude: 41.5, longitude: -81.69, elevation_ft: 650 }],
+  [452, 452, { place: 'Cincinnati', latitude: 39.1, longitude: -84.51, elevation_ft: 500, climate_zone: '4A' }],
+  [481, 482, { place: 'Detroit', latitude: 42.33, longitude: -83.05, elevation_ft: 600 }],
+  [554, 555, { place: 'Minneapolis', latitude: 44.98, longitude: -93.27, elevation_ft: 830 }],
+  [606, 608, { place: 'Chicago', latitude: 41.88, longitude: -87.63, elevation_ft: 600 }],
+  [631, 631, { place: 'St. Louis', latitude: 38.63, longitude: -90.2, elevation_ft: 500 }],
+  [641, 641, { place: 'Kansas City', latitude: 39.1, longitude: -94.58, elevation_ft: 900 }],
+  [700, 701, { place: 'New Orleans', latitude: 29.95, longitude: -90.07, elevation_ft: 0 }],
+  [731, 731, { place: 'Oklahoma City', latitude: 35.47, longitude: -97.52, elevation_ft: 1200 }],
+  [750, 753, { place: 'Dallas', latitude: 32.78, longitude: -96.8, elevation_ft: 500, climate_zone: '3A' }],
+  [770, 775, { place: 'Houston', latitude: 29.76, longitude: -95.37, elevation_ft: 50 }],
+  [780, 782, { place: 'San Antonio', latitude: 29.42, longitude: -98.49, elevation_ft: 650 }],
+  [787, 787, { place: 'Austin', latitude: 30.27, longitude: -97.74, elevation_ft: 500 }],
+  [798, 799, { place: 'El Paso', latitude: 31.76, longitude: -106.49, elevation_ft: 3740, climate_zone: '3B', time_zone: 'America/Denver' }],
+  [800, 806, { place: 'Denver', latitude: 39.74, longitude: -104.99, elevation_ft: 5280 }],
+  [835, 838, { place: "Coeur d'Alene", latitude: 47.68, longitude: -116.78, elevation_ft: 2200, time_zone: 'America/Los_Angeles' }],
+  [840, 841, { place: 'Salt Lake City', latitude: 40.76, longitude: -111.89, elevation_ft: 4300 }],
+  [850, 853, { place: 'Phoenix', latitude: 33.45, longitude: -112.07, elevation_ft: 1100 }],
+  [857, 857, { place: 'Tucson', latitude: 32.22, longitude: -110.97, elevation_ft: 2400 }],
+  [870, 871, { place: 'Albuquerque', latitude: 35.08, longitude: -106.65, elevation_ft: 5000 }],
+  [885, 885, { place: 'El Paso', latitude: 31.76, longitude: -106.49, elevation_ft: 3740, climate_zone: '3B', time_zone: 'America/Denver' }],
+  [889, 891, { place: 'Las Vegas', latitude: 36.17, longitude: -115.14, elevation_ft: 2000 }],
+  [900, 908, { place: 'Los Angeles', latitude: 34.05, longitude: -118.24, elevation_ft: 100 }],
+  [919, 921, { place: 'San Diego', latitude: 32.72, longitude: -117.16, elevation_ft: 60 }],
+  [940, 941, { place: 'San Francisco', latitude: 37.77, longitude: -122.42, elevation_ft: 50, climate_zone: '3C' }],
+  [956, 958, { place: 'Sacramento', latitude: 38.58, longitude: -121.49, elevation_ft: 30 }],
+  [970, 972, { place: 'Portland', latitude: 45.52, longitude: -122.68, elevation_ft: 50 }],
+  [980, 981, { place: 'Seattle', latitude: 47.61, longitude: -122.33, elevation_ft: 50 }]
+];
+
+module.exports = {
+  STATES,
+  ZIP3_RANGES,
+  ZIP3_LOCATIONS
+};
@@ -12,16 +12,111 @@ const { calculateHVACStrategy } = require('../controllers/calculateController');
  *   formData: {
  *     zipCode: string,
  *     outdoorTemp: number,
- *     homeType: string,
+ *     outdoorTempHourly: number[],   // hourly °F from the absence start, replaces outdoorTemp
+ *     outdoorTempHigh: number,       // or a daily high/low for a diurnal profile
+ *     outdoorTempLow: number,
+ *     outdoorTempAnnual: number[],   // 8760 hourly °F from midnight January 1
+ *     solarGhiAnnual: number[],      // 8760 hourly global horizontal Btu/hr·ft², standard time;
+ *     solarDniAnnual: number[],      // with direct normal, replaces the clear-sky model
+ *     annualSimulation: boolean,     // simulate every scheduled absence over the year
+ *     useLocalWeather: boolean,      // read the nearest station's EPW/TMY3 file instead
+ *     homeType: string,              // 'townhouse' | 'apartment' share two side walls
  *     floorArea: number,
+ *     numFloors: number,
+ *     ceilingHeight: number,
+ *     floorHeights: number[],        // per-story heights, replaces ceilingHeight × numFloors
+ *     footprint: [[x, y], ...],      // footprint polygon in feet, x east, y north
+ *     wallSegments: [{ length_ft, orientation, height_ft, party }], // or a wall list
+ *     partyWalls: (number | string)[], // shared walls by index or facade
+ *     foundationType: 'slab' | 'vented_crawlspace' | 'unvented_crawlspace' |
+ *                     'conditioned_basement' | 'unconditioned_basement',
+ *     slabInsulationR: number,       // slab edge insulation
+ *     foundationWallInsulationR: number, // crawlspace/basement walls
+ *     foundationWallHeight: number,
+ *     foundationDepth: number,       // feet below grade
+ *     groundTemp: number,            // °F, estimated from climate zone and date if absent
+ *     roofType: 'attic' | 'cathedral',
+ *     roofColor: 'white' | 'light' | 'medium' | 'dark',
+ *     roofMaterial: 'asphalt_shingle' | 'wood_shake' | 'metal' | 'clay_tile' |
+ *                   'concrete_tile' | 'membrane',
+ *     roofAbsorptance: number,       // rated solar absorptance, overrides roofColor
+ *     radiantBarrier: boolean,
+ *     atticVentilation: 'unvented' | 'low' | 'standard' | 'powered' | number, // cfm/ft²
+ *     ductLocation: 'conditioned' | 'attic' | 'crawlspace' | 'basement' | 'garage',
+ *     ductRValue: number,            // duct insulation, default 6
+ *     supplyLeakagePercent: number,  // percent of air handler flow, default 10
+ *     returnLeakagePercent: number,
+ *     ductSupplyArea: number,        // ft², estimated from floor area if absent
+ *     ductReturnArea: number,
+ *     ventilationType: 'none' | 'exhaust' | 'supply' | 'balanced' | 'hrv' | 'erv',
+ *     ventilationCfm: number,        // ASHRAE 62.2 rate if absent
+ *     ventilationSchedule: 'continuous' | number | number[], // run minutes per hour or 24 hourly fractions
+ *     sensibleRecoveryEfficiency: number, // HRV/ERV
+ *     latentRecoveryEfficiency: number,   // ERV
+ *     bedrooms: number,
  *     constructionType: string,
  *     constructionEra: string,
  *     insulationQuality: string,
+ *     codeYear: number,              // IECC edition; inferred from constructionEra if absent
+ *     climateZone: string,           // IECC zone, e.g. '5A'; looked up from zipCode if absent
+ *     wallAssembly: string | { layers: [{ material, thickness_in, framing, r_value }],
+ *                              framing_fraction }, // wall section, interior to exterior
+ *     ach50: number,                 // or cfm50; estimated from era/insulation if absent
+ *     indoorHumidity: number,
+ *     occupantsDuringAbsence: number,
+ *     occupants: number,             // household size, estimated from floor area if absent
+ *     applianceGainsBtuHr: number,   // internal gains while home
+ *     lightingGainsBtuHr: number,
+ *     standbyGainsBtuHr: number,     // appliance gains left running while away
+ *     sensibleHeatRatio: number,
+ *     thermalModel: '1R1C' | '2R2C',
  *     desiredTemp: number,
  *     absenceStartTime: string,
  *     absenceEndTime: string,
  *     absenceDuration: number,
- *     utilityRate: number,
+ *     analysisDate: string,          // 'YYYY-MM-DD', sets the sun position
+ *     windowOrientation: { north, east, south, west }, // share of window area
+ *     windowSchedule: [{ id, area_sqft | width_in + height_in, quantity,
+ *                        orientation,   // 'north', 'southwest', ... or compass degrees
+ *                        glazing,       // 'single_clear' | 'double_clear' | 'double_low_e' |
+ *                                       // 'double_low_e_high_gain' | 'triple_low_e'
+ *                        frame,         // 'aluminum' | 'aluminum_thermal_break' | 'wood' |
+ *                                       // 'vinyl' | 'fiberglass'
+ *                        u_factor, shgc }], // NFRC label values override the library
+ *     utilityRate: number,           // $/kWh; from the bill, else state or national average
+ *     monthlyElectricBill: number,   // $/month, over monthlyKwhUsage or typical use
+ *     monthlyKwhUsage: number,
+ *     hvacType: 'central_ac' | 'heat_pump' | 'window_unit' | 'mini_split',
+ *     equipmentClass: 'central_ac' | 'window_unit' | 'standard_heat_pump' |
+ *                     'cold_climate_heat_pump' | 'mini_split',
+ *     performanceCurve: { heating: [{ temp, capacity_ratio, cop }], cooling: [...] },
+ *     staging: 'single_stage' | 'two_stage' | 'variable_speed',
+ *     cyclingDegradation: number,    // part-load degradation coefficient C_d
+ *     minCapacityBtuHr: number,      // lowest stage or minimum inverter speed
+ *     maxCapacityBtuHr: number,      // highest stage or inverter boost
+ *     stages: [{ capacity_ratio, cop_ratio | cop }] | { cooling: [...], heating: [...] },
+ *     auxHeatKw: number,             // heat pump strip heat, sized from tonnage if absent
+ *     auxLockoutTemp: number,        // °F, strips locked out above this outdoor temperature
+ *     capacityTons: number,          // or capacityBtuHr
+ *     heatingCapacityBtuHr: number,  // furnace/boiler output
+ *     heatingSystemType: 'gas_furnace' | 'oil_furnace' | 'propane_furnace' |
+ *                        'gas_boiler' | 'oil_boiler' | 'propane_boiler' |
+ *                        'heat_pump' | 'dual_fuel' | 'electric_resistance',
+ *     backupHeatingType: string,     // dual fuel: furnace/boiler type, default 'gas_furnace'
+ *     switchoverTemp: number,        // dual fuel: °F below which the furnace heats;
+ *                                    // the best balance point if absent
+ *     afue: number,
+ *     hspfRating: number,
+ *     fuelRate: number,              // $/therm or $/gal for whichever fossil fuel heats the house
+ *     gasRate: number,               // $/therm; from the bill, else state or national average
+ *     propaneRate: number,           // $/gal
+ *     oilRate: number,               // $/gal
+ *     monthlyGasBill: number,        // $/month, over monthlyGasTherms or typical use
+ *     monthlyGasTherms: number,
+ *     monthlyPropaneBill: number,
+ *     monthlyPropaneGallons: number,
+ *     monthlyOilBill: number,
+ *     monthlyOilGallons: number,
  *     ...other form fields
  *   },
  *   roomData: {
@@ -43,13 +138,39 @@ const { calculateHVACStrategy } = require('../controllers/calculateController');
  *     restartTime: string,
  *     returnTime: string,
  *     recoveryTime: number,
+ *     recoverySpeed: number | null,  // fraction of full output used to recover
+ *     warnings: string[],            // e.g. strip heat making deep setbacks a net loss
  *     thermalTimeConstant: number,
+ *     thermalModel: '1R1C' | '2R2C',
+ *     airTimeConstant: number,
+ *     massTimeConstant: number,
  *     breakEvenTime: number,
  *     savingsPerDay: number,
  *     savingsPerMonth: number,
  *     savingsPerYear: number,
  *     energySavedKwh: number,
- *     percentSaved: number
+ *     energySaved: number,
+ *     energySensibleSaved: number,
+ *     energyLatentSaved: number,
+ *     energyUnit: 'kWh' | 'therm' | 'gal', // dual fuel: the heat pump's kWh; furnace fuel is in savingsByFuel
+ *     fuelType: string,
+ *     savingsByFuel: { [fuel]: { unit, maintain, setback, saved, rate,
+ *                                cost_saved_per_occurrence, cost_saved_annual } },
+ *     mode: 'cooling' | 'heating',
+ *     percentSaved: number,
+ *     envelopeDefaults: { source: 'iecc' | 'era_matrix', code_year, climate_zone, wall_source, ... },
+ *     wallAssembly: { name, U, R_value, framing_fraction, heat_capacity, layers } | null,
+ *     windowSchedule: [{ id, bearing, area, U_factor, SHGC, source, conduction_btu_hr,
+ *                        absence_solar_gain_btu }] | null,
+ *     foundation: { type, area, UA, ground_weight, ground_temp, heat_capacity, ... } | null,
+ *     attic: { type, absorptance, radiant_barrier, UA, hourly_temp: number[] | null, ... },
+ *     distribution: { duct_location, ducted, hourly_efficiency: number[] },
+ *     dualFuel: { backup_heating_type, backup_afue, economic_balance_point, capacity_balance_point,
+ *                 best_switchover_temp, switchover_temp } | null,
+ *     ventilation: { type, cfm, run_fraction, sensible_recovery, latent_recovery, cfm_sensible, UA, ... } | null,
+ *     annualMethod: 'hourly_simulation' | 'weekly_multiplier',
+ *     annualSimulation: { year, methodology: { recovery_speed_bin_f, notes }, monthly: [...], annual: {...} } | null,
+ *     weatherStation: { name, state, file, distanceMiles } | null
  *   }
  * }
  */
@@ -69,15 +190,19 @@ router.post('/', async (req, res, next) => {
 
     // Validate required form data fields
     const requiredFields = ['outdoorTemp', 'desiredTemp', 'absenceDuration', 'floorArea'];
-    const missingFields = requiredFields.filter(field => {
-      const value = formData[field];
-      // Check if field is missing, null, undefined, empty string, or not a valid number
-      return value === undefined || 
+    // Check if field is missing, null, undefined, empty string, or not a valid number
+    const isInvalid = value => value === undefined || 
              value === null || 
              value === '' || 
              (typeof value === 'number' && isNaN(value)) ||
              (typeof value === 'string' && (value.trim() === '' || isNaN(Number(value))));
-    });
+    // An hourly profile, a daily high/low or a year of weather stands in for outdoorTemp
+    const hasOutdoorProfile = (Array.isArray(formData.outdoorTempHourly) && formData.outdoorTempHourly.length > 0) ||
+      (!isInvalid(formData.outdoorTempHigh) && !isInvalid(formData.outdoorTempLow)) ||
+      Array.isArray(formData.outdoorTempAnnual) || formData.useLocalWeather === true || formData.annualSimulation === true;
+    const missingFields = requiredFields.filter(field =>
+      !(field === 'outdoorTemp' && hasOutdoorProfile) && isInvalid(formData[field])
+    );
     
     if (missingFields.length > 0) {
       return res.status(400).json({
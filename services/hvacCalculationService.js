@@ -5,8 +5,9 @@
  * Uses ASHRAE-compliant formulas from ashrae-formulas-corrected-new.js
  */
 
-const { analyzeThermalStrategy } = require('../ashrae-formulas-corrected-new');
+const { analyzeThermalStrategy, getLocationFromZip } = require('../ashrae-formulas-corrected-new');
 const { calculateRebateEligibility } = require('./rebateEligibilityService');
+const { WEATHER_DIR, loadWeatherForLocation, getAnnualSeries } = require('./weatherService');
 
 /**
  * Calculate HVAC strategy based on building properties and user preferences
@@ -16,54 +17,217 @@ const { calculateRebateEligibility } = require('./rebateEligibilityService');
  * @returns {Object} Calculation results in format expected by React Native app
  */
 async function calculateHVACStrategy(formData, roomData = {}) {
+  // Typical-year weather from the nearest local station, when asked for
+  const weather = await getLocalWeather(formData);
+
   // Extract form data with defaults
   const {
     zipCode = '02134',
-    outdoorTemp = 85,
+    outdoorTempAnnual = weather ? getAnnualSeries(weather, 'dry_bulb_f') : null, // 8760 hourly °F from midnight January 1
+    solarGhiAnnual = weather ? getAnnualSeries(weather, 'global_horizontal') : null, // 8760 hourly Btu/hr·ft²
+    solarDniAnnual = weather ? getAnnualSeries(weather, 'direct_normal') : null,
+    outdoorTemp = outdoorTempAnnual ? null : 85, // A year of weather supplies the analysis day
+    outdoorTempHourly = null, // Hourly °F from the absence start
+    outdoorTempHigh = null, // Daily high/low for a diurnal profile
+    outdoorTempLow = null,
+    annualSimulation = false, // Simulate every scheduled absence over outdoorTempAnnual
     desiredTemp = 72,
     absenceDuration = 8,
     floorArea = 2000,
     insulationQuality = 'average',
     constructionType = 'wood_frame',
     constructionEra = '2000_2010',
-    utilityRate = 0.12, // $/kWh default
+    codeYear = null, // IECC edition the house was built to; inferred from constructionEra
+    climateZone = null, // IECC zone such as '5A'; looked up from the ZIP code
+    wallAssembly = null, // 'wood_frame', 'brick', ... or { layers: [{ material, thickness_in, framing }], framing_fraction }
+    thermalModel = '1R1C', // '1R1C' single node or '2R2C' air + mass
+    utilityRate = null, // $/kWh; priced from the bill, state or national average if absent
     absenceStartTime = '8:00 AM',
     absenceEndTime = '5:00 PM',
     homeType = 'single-family',
     humidity = 50, // Default humidity if not provided
+    indoorHumidity = 50,
+    occupantsDuringAbsence = 0,
+    occupants = null, // Household size; estimated from floor area if absent
+    applianceGainsBtuHr = null,
+    lightingGainsBtuHr = null,
+    standbyGainsBtuHr = null, // Appliance heat left on while away
+    sensibleHeatRatio = null,
+    ach50 = null, // Blower-door air changes per hour at 50 Pa
+    cfm50 = null, // Blower-door airflow at 50 Pa
     seerRating = 14, // Default SEER rating
+    hvacType = 'central_ac',
+    equipmentClass = null, // e.g. 'standard_heat_pump', 'cold_climate_heat_pump'
+    performanceCurve = null, // { heating: [{ temp, capacity_ratio, cop }], cooling: [...] }
+    staging = null, // 'single_stage', 'two_stage', 'variable_speed'; from equipment class if absent
+    cyclingDegradation = null, // Part-load degradation coefficient C_d
+    minCapacityBtuHr = null, // Lowest stage or minimum inverter speed
+    maxCapacityBtuHr = null, // Highest stage or inverter boost
+    stages = null, // [{ capacity_ratio, cop_ratio | cop }] or { cooling: [...], heating: [...] }
+    auxHeatKw = null, // Heat pump strip heat; sized from tonnage if absent
+    auxLockoutTemp = null, // °F; strips locked out above this outdoor temperature
+    capacityTons = null, // Nominal cooling / heat pump capacity
+    capacityBtuHr = null,
+    heatingCapacityBtuHr = null, // Furnace or boiler output
+    heatingSystemType = null, // e.g. 'gas_furnace', 'oil_boiler', 'heat_pump', 'dual_fuel'
+    backupHeatingType = null, // Dual fuel: furnace or boiler behind the heat pump
+    switchoverTemp = null, // Dual fuel: °F below which the furnace heats; best balance point if absent
+    afue = null,
+    hspfRating = null,
+    heatingCop = null,
+    fuelRate = null, // $/therm or $/gallon for whichever fossil fuel heats the house
+    gasRate = null, // $/therm; from the gas bill, state or national average if absent
+    propaneRate = null, // $/gallon
+    oilRate = null, // $/gallon
     windowType = 'double_pane',
     windowAreaPercent = 15,
+    windowOrientation = null, // Share of window area by facade: { north, east, south, west }
+    windowSchedule = null, // Per-window [{ id, area_sqft, quantity, orientation, glazing, frame, u_factor, shgc }]
+    analysisDate = null, // 'YYYY-MM-DD' for the solar position; defaults to today
     numExteriorDoors = 2,
     ceilingHeight = 8,
     numFloors = 1,
+    floorHeights = null, // Per-story ceiling heights, ground floor first
+    footprint = null, // Footprint polygon [[x, y], ...] in feet, x east, y north
+    wallSegments = null, // Or exterior walls [{ length_ft, orientation, height_ft, party }]
+    partyWalls = null, // Walls shared with neighbors: indices or facade names
+    foundationType = null, // 'slab', 'vented_crawlspace', 'unvented_crawlspace', 'conditioned_basement', 'unconditioned_basement'
+    slabInsulationR = null, // Slab edge insulation, 24 in. vertical
+    foundationWallInsulationR = null, // Crawlspace or basement wall insulation
+    foundationWallHeight = null,
+    foundationDepth = null, // Feet below grade
+    groundTemp = null, // °F; estimated from climate zone and date if absent
+    roofType = 'attic', // 'attic' or 'cathedral'
+    roofColor = 'medium', // 'white', 'light', 'medium', 'dark'
+    roofMaterial = 'asphalt_shingle', // 'asphalt_shingle', 'wood_shake', 'metal', 'clay_tile', 'concrete_tile', 'membrane'
+    roofAbsorptance = null, // Solar absorptance from a product rating; overrides roofColor
+    radiantBarrier = false,
+    atticVentilation = 'standard', // 'unvented', 'low', 'standard', 'powered' or cfm per ft² of attic floor
+    ductLocation = 'conditioned', // 'conditioned', 'attic', 'crawlspace', 'basement', 'garage'
+    ductRValue = null,
+    supplyLeakagePercent = null, // Percent of air handler flow
+    returnLeakagePercent = null,
+    ductSupplyArea = null, // ft²; estimated from floor area if absent
+    ductReturnArea = null,
+    ventilationType = 'none', // 'none', 'exhaust', 'supply', 'balanced', 'hrv', 'erv'
+    ventilationCfm = null, // ASHRAE 62.2 rate if absent
+    ventilationSchedule = 'continuous', // 'continuous', run minutes per hour, or 24 hourly run fractions
+    sensibleRecoveryEfficiency = null, // HRV/ERV, fraction or percent
+    latentRecoveryEfficiency = null, // ERV, fraction or percent
+    bedrooms = null,
     monthlyElectricBill = null,
-    monthlyKwhUsage = null
+    monthlyKwhUsage = null,
+    monthlyGasBill = null,
+    monthlyGasTherms = null,
+    monthlyPropaneBill = null,
+    monthlyPropaneGallons = null,
+    monthlyOilBill = null,
+    monthlyOilGallons = null
   } = formData;
 
   // Map form data to ASHRAE input format
   const ashraeInputs = mapFormDataToASHRAEInputs({
     zipCode,
     outdoorTemp,
+    outdoorTempHourly,
+    outdoorTempHigh,
+    outdoorTempLow,
+    outdoorTempAnnual,
+    solarGhiAnnual,
+    solarDniAnnual,
+    annualSimulation,
     desiredTemp,
     absenceDuration,
     floorArea,
     insulationQuality,
     constructionType,
     constructionEra,
+    codeYear,
+    climateZone,
+    wallAssembly,
+    thermalModel,
     utilityRate,
     absenceStartTime,
     absenceEndTime,
     homeType,
     humidity,
+    indoorHumidity,
+    occupantsDuringAbsence,
+    occupants,
+    applianceGainsBtuHr,
+    lightingGainsBtuHr,
+    standbyGainsBtuHr,
+    sensibleHeatRatio,
+    ach50,
+    cfm50,
     seerRating,
+    hvacType,
+    equipmentClass,
+    staging,
+    cyclingDegradation,
+    minCapacityBtuHr,
+    maxCapacityBtuHr,
+    stages,
+    auxHeatKw,
+    auxLockoutTemp,
+    performanceCurve,
+    capacityTons,
+    capacityBtuHr,
+    heatingCapacityBtuHr,
+    heatingSystemType,
+    backupHeatingType,
+    switchoverTemp,
+    afue,
+    hspfRating,
+    heatingCop,
+    fuelRate,
+    gasRate,
+    propaneRate,
+    oilRate,
     windowType,
     windowAreaPercent,
+    windowOrientation,
+    windowSchedule,
+    analysisDate,
     numExteriorDoors,
     ceilingHeight,
     numFloors,
+    floorHeights,
+    footprint,
+    wallSegments,
+    partyWalls,
+    foundationType,
+    slabInsulationR,
+    foundationWallInsulationR,
+    foundationWallHeight,
+    foundationDepth,
+    groundTemp,
+    roofType,
+    roofColor,
+    roofMaterial,
+    roofAbsorptance,
+    radiantBarrier,
+    atticVentilation,
+    ductLocation,
+    ductRValue,
+    supplyLeakagePercent,
+    returnLeakagePercent,
+    ductSupplyArea,
+    ductReturnArea,
+    ventilationType,
+    ventilationCfm,
+    ventilationSchedule,
+    sensibleRecoveryEfficiency,
+    latentRecoveryEfficiency,
+    bedrooms,
     monthlyElectricBill,
     monthlyKwhUsage,
+    monthlyGasBill,
+    monthlyGasTherms,
+    monthlyPropaneBill,
+    monthlyPropaneGallons,
+    monthlyOilBill,
+    monthlyOilGallons,
     roomData
   });
 
@@ -82,9 +246,37 @@ async function calculateHVACStrategy(formData, roomData = {}) {
   // Add eligibility to result
   result.rebateEligibility = eligibility;
 
+  result.weatherStation = weather
+    ? {
+        name: weather.station.name,
+        state: weather.station.state,
+        file: weather.file,
+        distanceMiles: Math.round(weather.distance_miles)
+      }
+    : null;
+
   return result;
 }
 
+/**
+ * Load the nearest station's weather file for useLocalWeather requests, or for
+ * annual runs that did not send their own hourly temperatures
+ * 
+ * @param {Object} formData - Form data from React Native app
+ * @returns {Object|null} Parsed weather, or null when not needed
+ */
+async function getLocalWeather(formData) {
+  const { zipCode = '02134', useLocalWeather = false, annualSimulation = false, outdoorTempAnnual } = formData;
+  if (!useLocalWeather && !(annualSimulation && !outdoorTempAnnual)) return null;
+
+  const location = await getLocationFromZip(zipCode);
+  const weather = await loadWeatherForLocation(location);
+  if (!weather) {
+    throw new Error(`No EPW or TMY3 weather files found in ${WEATHER_DIR}`);
+  }
+  return weather;
+}
+
 /**
  * Map form data from React Native app to ASHRAE input format
  * 
@@ -95,25 +287,105 @@ function mapFormDataToASHRAEInputs(formData) {
   const {
     zipCode,
     outdoorTemp,
+    outdoorTempHourly,
+    outdoorTempHigh,
+    outdoorTempLow,
+    outdoorTempAnnual,
+    solarGhiAnnual,
+    solarDniAnnual,
+    annualSimulation,
     desiredTemp,
     absenceDuration,
     floorArea,
     insulationQuality,
     constructionType,
     constructionEra,
+    codeYear,
+    climateZone,
+    wallAssembly,
+    thermalModel,
     utilityRate,
     absenceStartTime,
     absenceEndTime,
     homeType,
     humidity,
+    indoorHumidity,
+    occupantsDuringAbsence,
+    occupants,
+    applianceGainsBtuHr,
+    lightingGainsBtuHr,
+    standbyGainsBtuHr,
+    sensibleHeatRatio,
+    ach50,
+    cfm50,
     seerRating,
+    hvacType,
+    equipmentClass,
+    staging,
+    cyclingDegradation,
+    minCapacityBtuHr,
+    maxCapacityBtuHr,
+    stages,
+    auxHeatKw,
+    auxLockoutTemp,
+    performanceCurve,
+    capacityTons,
+    capacityBtuHr,
+    heatingCapacityBtuHr,
+    heatingSystemType,
+    backupHeatingType,
+    switchoverTemp,
+    afue,
+    hspfRating,
+    heatingCop,
+    fuelRate,
+    gasRate,
+    propaneRate,
+    oilRate,
     windowType,
     windowAreaPercent,
+    windowOrientation,
+    windowSchedule,
+    analysisDate,
     numExteriorDoors,
     ceilingHeight,
     numFloors,
+    floorHeights,
+    footprint,
+    wallSegments,
+    partyWalls,
+    foundationType,
+    slabInsulationR,
+    foundationWallInsulationR,
+    foundationWallHeight,
+    foundationDepth,
+    groundTemp,
+    roofType,
+    roofColor,
+    roofMaterial,
+    roofAbsorptance,
+    radiantBarrier,
+    atticVentilation,
+    ductLocation,
+    ductRValue,
+    supplyLeakagePercent,
+    returnLeakagePercent,
+    ductSupplyArea,
+    ductReturnArea,
+    ventilationType,
+    ventilationCfm,
+    ventilationSchedule,
+    sensibleRecoveryEfficiency,
+    latentRecoveryEfficiency,
+    bedrooms,
     monthlyElectricBill,
     monthlyKwhUsage,
+    monthlyGasBill,
+    monthlyGasTherms,
+    monthlyPropaneBill,
+    monthlyPropaneGallons,
+    monthlyOilBill,
+    monthlyOilGallons,
     roomData
   } = formData;
 
@@ -154,25 +426,105 @@ function mapFormDataToASHRAEInputs(formData) {
     floor_area: effectiveFloorArea,
     ceiling_height: effectiveCeilingHeight,
     num_floors: numFloors || 1,
+    floor_heights: floorHeights,
+    footprint,
+    walls: wallSegments,
+    party_walls: partyWalls,
+    foundation_type: foundationType,
+    slab_insulation_r: slabInsulationR,
+    foundation_wall_insulation_r: foundationWallInsulationR,
+    foundation_wall_height: foundationWallHeight,
+    foundation_depth: foundationDepth,
+    ground_temp: groundTemp,
+    roof_type: roofType,
+    roof_color: roofColor,
+    roof_material: roofMaterial,
+    roof_absorptance: roofAbsorptance,
+    radiant_barrier: radiantBarrier,
+    attic_ventilation: atticVentilation,
+    duct_location: ductLocation,
+    duct_r_value: ductRValue ?? undefined,
+    supply_leakage_percent: supplyLeakagePercent ?? undefined,
+    return_leakage_percent: returnLeakagePercent ?? undefined,
+    duct_supply_area: ductSupplyArea,
+    duct_return_area: ductReturnArea,
+    ventilation_type: ventilationType,
+    ventilation_cfm: ventilationCfm,
+    ventilation_schedule: ventilationSchedule,
+    sensible_recovery_efficiency: sensibleRecoveryEfficiency,
+    latent_recovery_efficiency: latentRecoveryEfficiency,
+    bedrooms: bedrooms ?? undefined,
+    home_type: homeType,
     construction_type: constructionType,
     construction_era: constructionEra,
     insulation_quality: insulationQuality, // Corrected formulas use this directly
+    code_year: codeYear,
+    climate_zone: climateZone,
+    wall_assembly: wallAssembly,
+    thermal_model: thermalModel,
     window_type: windowTypeMap[windowType] || 'double_pane',
     window_area_percent: effectiveWindowAreaPercent,
+    window_orientation: windowOrientation,
+    window_schedule: windowSchedule,
+    analysis_date: analysisDate,
     num_exterior_doors: effectiveNumDoors,
-    hvac_type: 'central_ac', // Default, can be enhanced
+    hvac_type: hvacType || 'central_ac',
+    equipment_class: equipmentClass,
+    staging,
+    cycling_degradation: cyclingDegradation,
+    min_capacity_btu_hr: minCapacityBtuHr,
+    max_capacity_btu_hr: maxCapacityBtuHr,
+    stages,
+    aux_heat_kw: auxHeatKw,
+    aux_lockout_temp: auxLockoutTemp ?? undefined,
+    performance_curve: performanceCurve,
+    capacity_tons: capacityTons,
+    capacity_btu_hr: capacityBtuHr,
+    heating_capacity_btu_hr: heatingCapacityBtuHr,
     hvac_age: '10_15', // Default
     seer_rating: seerRating || 14,
+    heating_type: heatingSystemType,
+    backup_heating_type: backupHeatingType,
+    switchover_temp: switchoverTemp ?? undefined,
+    afue: afue,
+    hspf_rating: hspfRating,
+    heating_cop: heatingCop,
+    fuel_rate_manual: fuelRate,
+    gas_rate_manual: gasRate,
+    propane_rate_manual: propaneRate,
+    oil_rate_manual: oilRate,
     desired_temp: desiredTemp,
     outdoor_temp: outdoorTemp,
+    outdoor_temp_hourly: outdoorTempHourly,
+    outdoor_temp_high: outdoorTempHigh,
+    outdoor_temp_low: outdoorTempLow,
+    outdoor_temp_annual: outdoorTempAnnual,
+    solar_ghi_annual: solarGhiAnnual,
+    solar_dni_annual: solarDniAnnual,
+    annual_simulation: annualSimulation,
     humidity: humidity || 50,
+    indoor_humidity: indoorHumidity || 50,
+    occupants_during_absence: occupantsDuringAbsence || 0,
+    occupants: occupants ?? undefined,
+    appliance_gains_btu_hr: applianceGainsBtuHr,
+    lighting_gains_btu_hr: lightingGainsBtuHr,
+    standby_gains_btu_hr: standbyGainsBtuHr,
+    sensible_heat_ratio: sensibleHeatRatio,
+    ach50: ach50,
+    cfm50: cfm50,
     absence_duration: absenceDuration,
     absence_start_time: absenceStartTime,
     days_per_week: 5, // Default
     weeks_per_year: 52, // Default
-    electricity_rate_manual: utilityRate,
+    electricity_rate_manual: utilityRate ?? undefined,
     monthly_electric_bill: monthlyElectricBill,
-    monthly_kwh_usage: monthlyKwhUsage
+    monthly_kwh_usage: monthlyKwhUsage,
+    monthly_gas_bill: monthlyGasBill,
+    monthly_gas_therms: monthlyGasTherms,
+    monthly_propane_bill: monthlyPropaneBill,
+    monthly_propane_gallons: monthlyPropaneGallons,
+    monthly_oil_bill: monthlyOilBill,
+    monthly_oil_gallons: monthlyOilGallons
   };
 }
 
@@ -204,6 +556,9 @@ function mapASHRAEResultsToAppFormat(ashraeResult, timeInfo) {
   const savingsPerMonth = parseFloat(savings.cost_saved_monthly || 0);
   const savingsPerYear = parseFloat(savings.cost_saved_annual || 0);
   const energySavedKwh = parseFloat(savings.energy_saved_kwh || 0);
+  const energySaved = parseFloat(savings.energy_saved || 0);
+  const energySensibleSaved = parseFloat(savings.energy_sensible_saved || 0);
+  const energyLatentSaved = parseFloat(savings.energy_latent_saved || 0);
   const percentSaved = parseFloat(savings.percent_saved || 0);
 
   // Get desired temp from inputs or recommendation
@@ -215,17 +570,39 @@ function mapASHRAEResultsToAppFormat(ashraeResult, timeInfo) {
     action: recommendation.action || 'MAINTAIN',
     setbackTemp: recommendation.setback_temp || desiredTemp,
     desiredTemp: desiredTemp,
-    outdoorTemp: ashraeResult.inputs_used?.outdoor_temp || 85,
+    outdoorTemp: ashraeResult.inputs_used?.outdoor_temp ?? 85,
     restartTime: restartTime,
     returnTime: recommendation.return_time || absenceEndTime,
     recoveryTime: Math.round(recoveryTimeMinutes),
+    recoverySpeed: recommendation.recovery_speed ?? null,
+    warnings: recommendation.warnings || [],
     thermalTimeConstant: parseFloat(building_physics.thermal_time_constant_hours || 0),
+    thermalModel: building_physics.thermal_model,
+    airTimeConstant: parseFloat(building_physics.air_time_constant_hours || 0),
+    massTimeConstant: parseFloat(building_physics.mass_time_constant_hours || 0),
     breakEvenTime: parseFloat(building_physics.break_even_time_hours || 0),
     savingsPerDay: savingsPerDay,
     savingsPerMonth: savingsPerMonth,
     savingsPerYear: savingsPerYear,
     energySavedKwh: energySavedKwh,
-    percentSaved: percentSaved
+    energySaved: energySaved,
+    energySensibleSaved: energySensibleSaved,
+    energyLatentSaved: energyLatentSaved,
+    energyUnit: savings.energy_unit || 'kWh',
+    fuelType: savings.fuel_type || 'electricity',
+    savingsByFuel: savings.by_fuel || null,
+    mode: savings.mode,
+    percentSaved: percentSaved,
+    envelopeDefaults: ashraeResult.envelope_defaults || null,
+    wallAssembly: ashraeResult.envelope_breakdown?.walls?.assembly || null,
+    windowSchedule: ashraeResult.window_schedule || null,
+    foundation: ashraeResult.envelope_breakdown?.floor?.foundation || null,
+    attic: ashraeResult.attic || null,
+    distribution: ashraeResult.distribution || null,
+    dualFuel: ashraeResult.dual_fuel || null,
+    ventilation: ashraeResult.envelope_breakdown?.ventilation || null,
+    annualMethod: savings.annual_method,
+    annualSimulation: ashraeResult.annual_simulation || null
   };
 }
 
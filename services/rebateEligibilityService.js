@@ -4,33 +4,7 @@
  * Determines Federal and State HVAC rebate eligibility based on user inputs
  */
 
-/**
- * Get state from ZIP code
- * @param {string} zipCode - ZIP code
- * @returns {string} State abbreviation
- */
-function getStateFromZip(zipCode) {
-  if (!zipCode) return null;
-  
-  const prefix = parseInt(String(zipCode).substring(0, 2));
-  
-  // ZIP code to state mapping
-  if (prefix >= 1 && prefix <= 2) return 'MA'; // Massachusetts
-  if (prefix >= 3 && prefix <= 14) return 'NY'; // New York
-  if (prefix >= 15 && prefix <= 19) return 'PA'; // Pennsylvania
-  if (prefix >= 20 && prefix <= 22) return 'VA';
-  if (prefix >= 30 && prefix <= 31) return 'GA';
-  if (prefix >= 32 && prefix <= 34) return 'FL'; // Florida
-  if (prefix >= 60 && prefix <= 62) return 'IL';
-  if (prefix >= 75 && prefix <= 79) return 'TX'; // Texas
-  if (prefix >= 80 && prefix <= 81) return 'CO';
-  if (prefix >= 85 && prefix <= 86) return 'AZ';
-  if (prefix >= 90 && prefix <= 96) return 'CA'; // California
-  if (prefix >= 97 && prefix <= 97) return 'OR'; // Oregon (97000-97999)
-  if (prefix >= 98 && prefix <= 99) return 'WA'; // Washington
-  
-  return null;
-}
+const { getStateFromZip } = require('./zipCodeService');
 
 /**
  * States with active HVAC rebate programs
@@ -0,0 +1,371 @@
+/**
+ * Weather Service
+ *
+ * Reads EnergyPlus EPW and NREL TMY3 CSV weather files from the local
+ * weather directory and picks the station nearest a location, so annual and
+ * multi-day simulations can run offline on typical-year hourly data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WEATHER_DIR = process.env.WEATHER_DIR || path.join(__dirname, '..', 'weather');
+
+const HOURS_PER_YEAR = 8760;
+const W_M2_TO_BTU_HR_FT2 = 0.3170;
+const PA_TO_PSIA = 0.000145038;
+const MBAR_TO_PSIA = 0.0145038;
+const EARTH_RADIUS_MILES = 3958.8;
+// TMY3 writes -9900 for a missing reading and flags its source column '?'
+const TMY3_MISSING = -9900;
+
+// Parsed files and station headers, keyed by file path
+const weatherCache = new Map();
+const stationCache = new Map();
+
+/**
+ * Split one CSV line, honoring double-quoted fields
+ *
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+function celsiusToFahrenheit(T_c) {
+  return T_c * 9 / 5 + 32;
+}
+
+/**
+ * Parse a number, treating the file format's missing-data codes as absent
+ *
+ * @param {string} value - Raw field
+ * @param {number} missingAtOrAbove - Values at or above this are missing
+ * @returns {number|null} Parsed value
+ */
+function parseField(value, missingAtOrAbove = Infinity) {
+  const number = Number(value);
+  if (value === undefined || value === '' || isNaN(number) || number >= missingAtOrAbove) return null;
+  return number;
+}
+
+/**
+ * Carry the last good reading forward (and the first good one backward) over gaps
+ *
+ * @param {Object[]} records - Hourly records
+ * @param {string[]} fields - Fields to fill
+ */
+function fillGaps(records, fields) {
+  fields.forEach(field => {
+    const first = records.find(record => record[field] !== null);
+    let last = first ? first[field] : 0;
+    records.forEach(record => {
+      if (record[field] === null) {
+        record[field] = last;
+      } else {
+        last = record[field];
+      }
+    });
+  });
+}
+
+/**
+ * Parse an EnergyPlus EPW file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { format, station, records } with temperatures in °F,
+ *   pressure in psia and solar in Btu/hr·ft²
+ */
+function parseEPW(text) {
+  const lines = text.split(/\r?\n/);
+  const location = splitCsvLine(lines[0]);
+  if (location[0].toUpperCase() !== 'LOCATION') {
+    throw new Error('Not an EPW file: missing LOCATION header');
+  }
+
+  const station = {
+    name: location[1],
+    state: location[2],
+    country: location[3],
+    id: location[5],
+    latitude: Number(location[6]),
+    longitude: Number(location[7]),
+    time_zone: Number(location[8]),
+    elevation_ft: Number(location[9]) * 3.28084
+  };
+
+  // Data rows follow the eight header records
+  const records = lines.slice(8)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const fields = splitCsvLine(line);
+      const dry_bulb = parseField(fields[6], 99.9);
+      const dew_point = parseField(fields[7], 99.9);
+      const pressure = parseField(fields[9], 999999);
+      const global = parseField(fields[13], 9999);
+      const direct = parseField(fields[14], 9999);
+      return {
+        month: Number(fields[1]),
+        day: Number(fields[2]),
+        hour: Number(fields[3]),
+        dry_bulb_f: dry_bulb === null ? null : celsiusToFahrenheit(dry_bulb),
+        dew_point_f: dew_point === null ? null : celsiusToFahrenheit(dew_point),
+        relative_humidity: parseField(fields[8], 999),
+        pressure_psia: pressure === null ? null : pressure * PA_TO_PSIA,
+        global_horizontal: global === null ? null : global * W_M2_TO_BTU_HR_FT2,
+        direct_normal: direct === null ? null : direct * W_M2_TO_BTU_HR_FT2
+      };
+    });
+
+  return finishWeather('epw', station, records);
+}
+
+/**
+ * Parse an NREL TMY3 CSV file
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { format, station, records } in the same units as parseEPW
+ */
+function parseTMY3(text) {
+  const lines = text.split(/\r?\n/);
+  const header = splitCsvLine(lines[0]);
+  if (header.length < 7 || isNaN(Number(header[4]))) {
+    throw new Error('Not a TMY3 file: missing station header');
+  }
+
+  const station = {
+    name: header[1],
+    state: header[2],
+    country: 'USA',
+    id: header[0],
+    latitude: Number(header[4]),
+    longitude: Number(header[5]),
+    time_zone: Number(header[3]),
+    elevation_ft: Number(header[6]) * 3.28084
+  };
+
+  const columns = splitCsvLine(lines[1]);
+  const column = name => columns.findIndex(col => col.startsWith(name));
+  const index = {
+    dry_bulb: column('Dry-bulb'),
+    dew_point: column('Dew-point'),
+    rh: column('RHum'),
+    pressure: column('Pressure'),
+    global: column('GHI'),
+    direct: column('DNI')
+  };
+  if (index.dry_bulb < 0) {
+    throw new Error('Not a TMY3 file: missing Dry-bulb column');
+  }
+
+  const records = lines.slice(2)
+    .filter(line => line.trim() !== '')
+    .map(line => {
+      const fields = splitCsvLine(line);
+      const [month, day] = fields[0].split('/').map(Number);
+      const reading = i => {
+        if (columns[i + 1]?.endsWith('source') && fields[i + 1] === '?') return null;
+        const value = parseField(fields[i]);
+        return value === null || value <= TMY3_MISSING ? null : value;
+      };
+      const dry_bulb = reading(index.dry_bulb);
+      const dew_point = reading(index.dew_point);
+      const pressure = reading(index.pressure);
+      const global = reading(index.global);
+      const direct = reading(index.direct);
+      return {
+        month,
+        day,
+        hour: parseInt(fields[1], 10),
+        dry_bulb_f: dry_bulb === null ? null : celsiusToFahrenheit(dry_bulb),
+        dew_point_f: dew_point === null ? null : celsiusToFahrenheit(dew_point),
+        relative_humidity: reading(index.rh),
+        pressure_psia: pressure === null ? null : pressure * MBAR_TO_PSIA,
+        global_horizontal: global === null ? null : global * W_M2_TO_BTU_HR_FT2,
+        direct_normal: direct === null ? null : direct * W_M2_TO_BTU_HR_FT2
+      };
+    });
+
+  return finishWeather('tmy3', station, records);
+}
+
+function finishWeather(format, station, records) {
+  if (records.length < HOURS_PER_YEAR) {
+    throw new Error(`Weather file for ${station.name} has ${records.length} hours, expected ${HOURS_PER_YEAR}`);
+  }
+
+  // Leap-year files carry Feb 29; drop it so hour 0 is always midnight January 1 of a 365-day year
+  const year = records.filter(record => !(record.month === 2 && record.day === 29)).slice(0, HOURS_PER_YEAR);
+  fillGaps(year, ['dry_bulb_f', 'dew_point_f', 'relative_humidity', 'pressure_psia', 'global_horizontal', 'direct_normal']);
+  return { format, station, records: year };
+}
+
+/**
+ * Parse a weather file by its extension (.epw, or .csv for TMY3)
+ *
+ * @param {string} text - File contents
+ * @param {string} filename - File name
+ * @returns {Object} Parsed weather
+ */
+function parseWeatherFile(text, filename = '') {
+  if (filename.toLowerCase().endsWith('.epw') || text.startsWith('LOCATION')) {
+    return parseEPW(text);
+  }
+  return parseTMY3(text);
+}
+
+/**
+ * Read only the station header of a weather file
+ *
+ * @param {string} filePath - Weather file path
+ * @returns {Promise<Object|null>} Station, or null if the file is not a weather file
+ */
+async function readStation(filePath) {
+  if (stationCache.has(filePath)) return stationCache.get(filePath);
+
+  let station = null;
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(1024), 0, 1024, 0);
+    const firstLine = splitCsvLine(buffer.toString('utf8', 0, bytesRead).split(/\r?\n/)[0]);
+    if (firstLine[0].toUpperCase() === 'LOCATION') {
+      station = { name: firstLine[1], state: firstLine[2], latitude: Number(firstLine[6]), longitude: Number(firstLine[7]) };
+    } else if (firstLine.length >= 7 && !isNaN(Number(firstLine[4]))) {
+      station = { name: firstLine[1], state: firstLine[2], latitude: Number(firstLine[4]), longitude: Number(firstLine[5]) };
+    }
+  } finally {
+    await handle.close();
+  }
+
+  stationCache.set(filePath, station);
+  return station;
+}
+
+/**
+ * List the stations available in the weather directory
+ *
+ * @param {string} dir - Weather directory
+ * @returns {Promise<Object[]>} [{ file, name, state, latitude, longitude }]
+ */
+async function listWeatherStations(dir = WEATHER_DIR) {
+  let files;
+  try {
+    files = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const stations = [];
+  for (const file of files.filter(name => /\.(epw|csv)$/i.test(name))) {
+    const station = await readStation(path.join(dir, file));
+    if (station && !isNaN(station.latitude) && !isNaN(station.longitude)) {
+      stations.push({ file: path.join(dir, file), ...station });
+    }
+  }
+  return stations;
+}
+
+/**
+ * Great-circle distance between two points
+ *
+ * @returns {number} Distance in miles
+ */
+function getDistanceMiles(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Find the station nearest a location
+ *
+ * @param {number} latitude - Degrees north
+ * @param {number} longitude - Degrees east (negative in the US)
+ * @param {string} dir - Weather directory
+ * @returns {Promise<Object|null>} Station with distance_miles, or null if there are no files
+ */
+async function findNearestStation(latitude, longitude, dir = WEATHER_DIR) {
+  const stations = await listWeatherStations(dir);
+  let nearest = null;
+
+  stations.forEach(station => {
+    const distance_miles = getDistanceMiles(latitude, longitude, station.latitude, station.longitude);
+    if (!nearest || distance_miles < nearest.distance_miles) {
+      nearest = { ...station, distance_miles };
+    }
+  });
+
+  return nearest;
+}
+
+/**
+ * Load and parse a weather file, cached after the first read
+ *
+ * @param {string} filePath - Weather file path
+ * @returns {Promise<Object>} Parsed weather
+ */
+async function loadWeatherFile(filePath) {
+  if (!weatherCache.has(filePath)) {
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    weatherCache.set(filePath, parseWeatherFile(text, filePath));
+  }
+  return weatherCache.get(filePath);
+}
+
+/**
+ * Weather from the station nearest a location
+ *
+ * @param {Object} location - { latitude, longitude }
+ * @param {string} dir - Weather directory
+ * @returns {Promise<Object|null>} Parsed weather with distance_miles, or null if there are no files
+ */
+async function loadWeatherForLocation({ latitude, longitude }, dir = WEATHER_DIR) {
+  const station = await findNearestStation(latitude, longitude, dir);
+  if (!station) return null;
+
+  const weather = await loadWeatherFile(station.file);
+  return { ...weather, file: path.basename(station.file), distance_miles: station.distance_miles };
+}
+
+/**
+ * One field as an 8760-value array, hour 0 = midnight January 1
+ *
+ * @param {Object} weather - Parsed weather
+ * @param {string} field - Record field, e.g. 'dry_bulb_f'
+ * @returns {number[]} Hourly values
+ */
+function getAnnualSeries(weather, field = 'dry_bulb_f') {
+  return weather.records.map(record => record[field]);
+}
+
+module.exports = {
+  WEATHER_DIR,
+  parseEPW,
+  parseTMY3,
+  parseWeatherFile,
+  listWeatherStations,
+  findNearestStation,
+  loadWeatherFile,
+  loadWeatherForLocation,
+  getAnnualSeries
+};
@@ -0,0 +1,148 @@
+/**
+ * ZIP Code Service
+ *
+ * Shared ZIP code lookup: state, county, latitude/longitude, elevation,
+ * IECC climate zone and time zone. Reads the ZCTA file (data/zcta.csv, built
+ * by build-zcta.js from GeoNames postal codes and populated places and the
+ * IECC county climate zones) and falls back to the bundled three-digit prefix
+ * data for ZIPs it does not list.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { STATES, ZIP3_RANGES, ZIP3_LOCATIONS } = require('../data/zipPrefixes');
+
+const ZCTA_FILE = process.env.ZCTA_FILE || path.join(__dirname, '..', 'data', 'zcta.csv');
+
+// Standard-time UTC offsets (hours) and whether daylight saving time is observed
+const TIME_ZONES = {
+  'America/New_York': { utc_offset: -5, observes_dst: true },
+  'America/Detroit': { utc_offset: -5, observes_dst: true },
+  'America/Indiana/Indianapolis': { utc_offset: -5, observes_dst: true },
+  'America/Indiana/Marengo': { utc_offset: -5, observes_dst: true },
+  'America/Indiana/Petersburg': { utc_offset: -5, observes_dst: true },
+  'America/Indiana/Vevay': { utc_offset: -5, observes_dst: true },
+  'America/Indiana/Vincennes': { utc_offset: -5, observes_dst: true },
+  'America/Indiana/Winamac': { utc_offset: -5, observes_dst: true },
+  'America/Kentucky/Louisville': { utc_offset: -5, observes_dst: true },
+  'America/Kentucky/Monticello': { utc_offset: -5, observes_dst: true },
+  'America/Chicago': { utc_offset: -6, observes_dst: true },
+  'America/Indiana/Knox': { utc_offset: -6, observes_dst: true },
+  'America/Indiana/Tell_City': { utc_offset: -6, observes_dst: true },
+  'America/Menominee': { utc_offset: -6, observes_dst: true },
+  'America/North_Dakota/Beulah': { utc_offset: -6, observes_dst: true },
+  'America/North_Dakota/Center': { utc_offset: -6, observes_dst: true },
+  'America/North_Dakota/New_Salem': { utc_offset: -6, observes_dst: true },
+  'America/Denver': { utc_offset: -7, observes_dst: true },
+  'America/Boise': { utc_offset: -7, observes_dst: true },
+  'America/Phoenix': { utc_offset: -7, observes_dst: false },
+  'America/Los_Angeles': { utc_offset: -8, observes_dst: true },
+  'America/Anchorage': { utc_offset: -9, observes_dst: true },
+  'America/Juneau': { utc_offset: -9, observes_dst: true },
+  'America/Metlakatla': { utc_offset: -9, observes_dst: true },
+  'America/Nome': { utc_offset: -9, observes_dst: true },
+  'America/Sitka': { utc_offset: -9, observes_dst: true },
+  'Pacific/Honolulu': { utc_offset: -10, observes_dst: false },
+  'America/Puerto_Rico': { utc_offset: -4, observes_dst: false },
+  'America/St_Thomas': { utc_offset: -4, observes_dst: false }
+};
+
+let zctaIndex = null;
+
+/**
+ * Load the ZCTA file once: zip,state,county,latitude,longitude,elevation_ft,climate_zone,time_zone
+ *
+ * @returns {Map<string, Object>} Records by five-digit ZIP
+ */
+function loadZctaIndex() {
+  if (zctaIndex) return zctaIndex;
+
+  zctaIndex = new Map();
+  if (!fs.existsSync(ZCTA_FILE)) return zctaIndex;
+
+  const lines = fs.readFileSync(ZCTA_FILE, 'utf8').split(/\r?\n/);
+  const columns = lines[0].split(',').map(col => col.trim());
+  lines.slice(1).forEach(line => {
+    if (line.trim() === '') return;
+    const values = line.split(',').map(value => value.trim());
+    const record = Object.fromEntries(columns.map((col, i) => [col, values[i]]));
+    zctaIndex.set(record.zip.padStart(5, '0'), {
+      state: record.state,
+      county: record.county || null,
+      latitude: Number(record.latitude),
+      longitude: Number(record.longitude),
+      elevation_ft: Number(record.elevation_ft),
+      climate_zone: record.climate_zone,
+      time_zone: record.time_zone
+    });
+  });
+  return zctaIndex;
+}
+
+/**
+ * Normalize a ZIP (number, ZIP+4 or short string) to five digits
+ *
+ * @param {string|number} zipCode - ZIP code
+ * @returns {string|null} Five-digit ZIP
+ */
+function normalizeZip(zipCode) {
+  if (zipCode === undefined || zipCode === null) return null;
+  const digits = String(zipCode).trim().split('-')[0].replace(/\D/g, '');
+  if (digits.length === 0 || digits.length > 5) return null;
+  return digits.padStart(5, '0');
+}
+
+function findRange(ranges, prefix) {
+  return ranges.find(([first, last]) => prefix >= first && prefix <= last);
+}
+
+/**
+ * Look up a ZIP code
+ *
+ * @param {string|number} zipCode - ZIP code
+ * @returns {Object|null} { zip, state, county, place, latitude, longitude, elevation_ft,
+ *   climate_zone, time_zone, utc_offset, observes_dst, source }, or null if unknown
+ */
+function lookupZip(zipCode) {
+  const zip = normalizeZip(zipCode);
+  if (!zip) return null;
+
+  let record = null;
+  let source = 'zcta';
+  const zcta = loadZctaIndex().get(zip);
+
+  if (zcta) {
+    record = { ...zcta, place: null };
+  } else {
+    const prefix = parseInt(zip.substring(0, 3), 10);
+    const range = findRange(ZIP3_RANGES, prefix);
+    if (!range) return null;
+
+    const state = range[2];
+    const { name, ...stateDefaults } = STATES[state];
+    const metro = findRange(ZIP3_LOCATIONS, prefix);
+    record = { state, county: null, place: null, ...stateDefaults, ...(metro && metro[2]) };
+    source = metro ? 'zip3' : 'state';
+  }
+
+  const timeZone = TIME_ZONES[record.time_zone] || TIME_ZONES['America/New_York'];
+  return { zip, ...record, ...timeZone, source };
+}
+
+/**
+ * State abbreviation for a ZIP code
+ *
+ * @param {string|number} zipCode - ZIP code
+ * @returns {string|null} State abbreviation
+ */
+function getStateFromZip(zipCode) {
+  const record = lookupZip(zipCode);
+  return record ? record.state : null;
+}
+
+module.exports = {
+  ZCTA_FILE,
+  lookupZip,
+  getStateFromZip,
+  normalizeZip
+};
@@ -276,7 +276,9 @@ async function testEdgeCases() {
     console.error('✗ Heating scenario test failed:', error.message);
   }
 
-  console.log('\n5. Testing short absence (should recommend MAINTAIN)...');
+  // Capacity-limited recovery catches up within the hour, so even a 1-hour absence
+  // takes a shallow setback; it should save something, but under 15% of the maintain energy
+  console.log('\n5. Testing short absence (shallow SETBACK saving 0-15%)...');
   try {
     const shortAbsenceData = {
       formData: {
@@ -288,12 +290,41 @@ async function testEdgeCases() {
       headers: { 'Content-Type': 'application/json' },
       timeout: 30000
     });
-    console.log('✓ Short absence test passed');
-    console.log(`  Action: ${response.data.data.action}`);
-    console.log(`  Break-Even Time: ${response.data.data.breakEvenTime} hours`);
+    const { action, setbackTemp, desiredTemp, percentSaved, breakEvenTime } = response.data.data;
+    console.log(`  Action: ${action}, Setback: ${setbackTemp}°F, Saved: ${percentSaved}%`);
+    console.log(`  Break-Even Time: ${breakEvenTime} hours`);
+    if (action === 'SETBACK' && Math.abs(setbackTemp - desiredTemp) <= 4 && percentSaved > 0 && percentSaved < 15) {
+      console.log('✓ Short absence test passed');
+    } else {
+      console.error('✗ Short absence test failed: expected a setback of at most 4°F saving 0-15%');
+    }
   } catch (error) {
     console.error('✗ Short absence test failed:', error.message);
   }
+
+  console.log('\n6. Testing electricity priced from the bill without a utility rate...');
+  try {
+    const { utilityRate, ...withoutRate } = sampleFormData;
+    const billData = {
+      formData: {
+        ...withoutRate,
+        monthlyElectricBill: 150,
+        monthlyKwhUsage: 1000
+      }
+    };
+    const response = await axios.post(`${API_BASE_URL}/api/calculate`, billData, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000
+    });
+    const rate = response.data.data.savingsByFuel?.electricity?.rate;
+    if (Number(rate) === 0.15) {
+      console.log('✓ Bill pricing test passed');
+    } else {
+      console.error(`✗ Bill pricing test failed: expected $0.15/kWh, got ${rate}`);
+    }
+  } catch (error) {
+    console.error('✗ Bill pricing test failed:', error.message);
+  }
 }
 
 async function runAllTests() {
@@ -5,10 +5,19 @@
 
 const {
   analyzeThermalStrategy,
+  Psychrometrics,
   BuildingEnvelope,
   ThermalMassModel,
-  HVACPerformance
+  HVACPerformance,
+  EnergyModel,
+  SolarModel,
+  OutdoorTemperatureProfile,
+  AnnualSimulation,
+  calculateWallAssembly,
+  getEnergyRate
 } = require('./ashrae-formulas-corrected-new');
+const { parseEPW, parseTMY3, getAnnualSeries } = require('./services/weatherService');
+const { lookupZip } = require('./services/zipCodeService');
 
 // ============================================================================
 // TEST DATA
@@ -42,7 +51,10 @@ const TEST_SCENARIOS = {
     }
   },
 
-  // Scenario 2: Short errand - should show MAINTAIN
+  // Scenario 2: Short errand - recovery is limited by equipment capacity rather than
+  // the old fixed τ·ln(1 + ΔT/5) estimate (1.4 hr for a 4°F setback here), so the
+  // system catches up in minutes and a shallow setback still pays; Test 23 checks
+  // the savings against a heat balance
   short_errand: {
     name: 'Short Errand (2 hours)',
     inputs: {
@@ -56,8 +68,8 @@ const TEST_SCENARIOS = {
       absence_start_time: '2:00 PM'
     },
     expected: {
-      action: 'MAINTAIN',
-      should_save: false
+      action: 'SETBACK',
+      should_save: true
     }
   },
 
@@ -95,10 +107,22 @@ const TEST_SCENARIOS = {
       absence_duration: 24,
       absence_start_time: '8:00 AM'
     },
+    // Hand calculation, Boston (zone 5A), after_2010 → IECC 2015, one story:
+    //   Geometry: 1.5:1 rectangle 38.3 × 57.4 ft, perimeter 191.5 ft × 8 ft = 1,532 ft² gross wall,
+    //             15% windows = 230 ft², 2 doors = 42 ft², net wall 1,260 ft², volume 2,200 × 8 = 17,600 ft³
+    //   U:  IECC 2015 zone 5 wall 0.060, ceiling 0.026, floor 0.033, each × 0.7 (excellent);
+    //       window 0.32 (code), door 0.50
+    //   C  = 0.15 Btu/ft³·°F (wood frame) × 17,600 × 0.85 active × 1.30 (excellent) = 2,917 Btu/°F
+    //   UA = walls 1,260 × 0.042 = 53, windows 230 × 0.32 = 74, doors 42 × 0.50 = 21,
+    //        ceiling 2,200 × 0.018 = 40 (39 through the attic node), floor 2,200 × 0.023 = 51,
+    //        infiltration 4 ACH50 × 0.6 (excellent) / 18 (LBL, one story) = 0.133 ACH
+    //        × 17,600 / 60 = 39 cfm × 1.06 = 41
+    //      = 279 Btu/hr·°F
+    //   τ  = 2,917 / 279 = 10.5 hr; the range is the hand value ±15%, 8.9-12.1 hr
     expected: {
       action: 'SETBACK',
-      tau_min: 4,
-      tau_max: 8,
+      tau_min: 9,
+      tau_max: 12,
       should_save: true
     }
   },
@@ -144,6 +168,28 @@ const TEST_SCENARIOS = {
     }
   },
 
+  // Scenario 6b: 0°F day with a gas furnace - savings reported in therms
+  heating_zero_degree_furnace: {
+    name: 'Heating Mode - 0°F Day, Gas Furnace',
+    inputs: {
+      floor_area: 2000,
+      ceiling_height: 8,
+      construction_type: 'wood_frame',
+      insulation_quality: 'average',
+      heating_type: 'gas_furnace',
+      afue: 95,
+      desired_temp: 68,
+      outdoor_temp: 0,
+      absence_duration: 9,
+      absence_start_time: '8:00 AM'
+    },
+    expected: {
+      action: 'SETBACK',
+      energy_unit: 'therm',
+      should_save: true
+    }
+  },
+
   // Scenario 7: Large home, high ceilings
   large_home: {
     name: 'Large Home with High Ceilings',
@@ -158,10 +204,16 @@ const TEST_SCENARIOS = {
       absence_duration: 10,
       absence_start_time: '8:00 AM'
     },
+    // Hand calculation, 1750 ft² footprint × 20 ft = 35,000 ft³:
+    //   C  = 0.28 Btu/ft³·°F (brick) × 35,000 × 0.85 active × 1.15 (good) = 9,580 Btu/°F
+    //   UA = walls 2,861 ft² / R-19 = 151, windows 512 × 0.49 = 251, doors 42 × 0.50 = 21,
+    //        ceiling 1,750 × 0.034 = 60, infiltration 8 ACH50 / 15 × 35,000 / 60 = 311 cfm × 1.06 = 330
+    //      = 812 Btu/hr·°F
+    //   τ  = 9,580 / 812 = 11.8 hr; a heavy, well-insulated house sits at the top of the usual range
     expected: {
       action: 'SETBACK',
-      tau_min: 4,
-      tau_max: 8,
+      tau_min: 10.5,
+      tau_max: 13,
       should_save: true
     }
   },
@@ -350,6 +402,14 @@ function validateResult(result, expected) {
     };
   }
 
+  // Check the savings are reported in the equipment's fuel units
+  if (expected.energy_unit) {
+    validation['Energy Unit'] = {
+      passed: result.savings.energy_unit === expected.energy_unit,
+      message: `Expected: ${expected.energy_unit}, Got: ${result.savings.energy_unit}`
+    };
+  }
+
   // Physical constraints
   const tau = parseFloat(result.building_physics.thermal_time_constant_hours);
   validation['Realistic Time Constant'] = {
@@ -463,6 +523,1020 @@ function runUnitTests() {
     failed++;
   }
 
+  // Test 3: Heat pump COP and capacity follow the outdoor temperature
+  console.log('TEST: Heat Pump Performance Curve');
+  try {
+    const hvac = new HVACPerformance({
+      hvac_type: 'heat_pump',
+      equipment_class: 'standard_heat_pump',
+      hspf_rating: 8.5
+    }, { T_db: 47, altitude_ft: 0 });
+
+    const cop47 = hvac.getCOP('heating', 47);
+    const cop5 = hvac.getCOP('heating', 5);
+    const capacity5 = hvac.getCapacityRatio('heating', 5);
+    console.log(`  COP @ 47°F: ${cop47.toFixed(2)}, COP @ 5°F: ${cop5.toFixed(2)}`);
+    console.log(`  Capacity ratio @ 5°F: ${capacity5.toFixed(2)}`);
+
+    // Beyond the rated points: mild weather holds the end point, harsh weather keeps degrading
+    const heat47 = hvac.getPerformanceAt('heating', 47);
+    const heat65 = hvac.getPerformanceAt('heating', 65);
+    const heatMinus10 = hvac.getPerformanceAt('heating', -10);
+    const cool82 = hvac.getPerformanceAt('cooling', 82);
+    const cool65 = hvac.getPerformanceAt('cooling', 65);
+    const cool105 = hvac.getPerformanceAt('cooling', 105);
+    console.log(`  Heating COP @ 65°F: ${heat65.cop.toFixed(2)}, @ -10°F: ${heatMinus10.cop.toFixed(2)}`);
+    console.log(`  Cooling COP @ 65°F: ${cool65.cop.toFixed(2)}, @ 82°F: ${cool82.cop.toFixed(2)}, @ 105°F: ${cool105.cop.toFixed(2)}`);
+
+    if (cop5 < cop47 && cop5 >= 1 && capacity5 < 1 &&
+        heat65.cop === heat47.cop && heat65.capacity_ratio === heat47.capacity_ratio &&
+        cool65.cop === cool82.cop && cool65.capacity_ratio === cool82.capacity_ratio &&
+        heatMinus10.cop < cop5 && cool105.cop < hvac.getPerformanceAt('cooling', 95).cop) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: COP and capacity should drop at low outdoor temperatures and hold at the mild end\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 4: Two-node model separates the fast air and slow mass responses
+  console.log('TEST: 2R2C Air + Mass Model');
+  try {
+    const envelope = new BuildingEnvelope({
+      floor_area: 2000,
+      ceiling_height: 8,
+      num_floors: 1,
+      insulation_quality: 'average',
+      construction_era: '1980_2000'
+    });
+
+    const thermalMass = new ThermalMassModel({
+      construction_type: 'brick',
+      thermal_model: '2R2C'
+    }, envelope);
+
+    const { air, mass } = thermalMass.getTimeConstants();
+    const T_1hr = thermalMass.getTemperatureAtTime(72, 90, 1);
+    const t_80 = thermalMass.getTimeToReachTemperature(72, 80, 90);
+    console.log(`  Air τ: ${air.toFixed(2)} hrs, Mass τ: ${mass.toFixed(2)} hrs`);
+    console.log(`  T after 1 hr: ${T_1hr.toFixed(1)}°F, time to 80°F: ${t_80.toFixed(2)} hrs`);
+
+    const roundTrip = thermalMass.getTemperatureAtTime(72, 90, t_80);
+    if (air < 1 && mass > air * 10 && T_1hr > 72 && T_1hr < 90 && Math.abs(roundTrip - 80) < 0.01) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Unexpected two-node response\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 5: Internal gains drop to standby while the house is empty
+  console.log('TEST: Internal Gains Schedule');
+  try {
+    const energyModel = new EnergyModel({
+      floor_area: 2000,
+      absence_duration: 8,
+      absence_start_time: '8:00 AM'
+    }, null, null, null, null);
+
+    const { occupants, occupied, standby } = energyModel.internalGains;
+    const away = energyModel.getHeatGains(4);
+    const home = energyModel.getHeatGains(9);
+    console.log(`  Occupants: ${occupants}, occupied: ${occupied.total.toFixed(0)} Btu/hr, standby: ${standby.total.toFixed(0)} Btu/hr`);
+
+    if (standby.total > 0 && standby.total < occupied.total && away === standby.total && home === occupied.total) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Gains should drop to standby only during the absence\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 6: Outdoor temperature follows an hourly array or a diurnal high/low
+  console.log('TEST: Outdoor Temperature Profile');
+  try {
+    const diurnal = new OutdoorTemperatureProfile({ outdoor_temp_high: 95, outdoor_temp_low: 70 }, 0);
+    const hourly = new OutdoorTemperatureProfile({ outdoor_temp_hourly: [70, 80, 90] }, 8);
+    console.log(`  Diurnal @ 5 AM: ${diurnal.getTemperature(5).toFixed(1)}°F, @ 3 PM: ${diurnal.getTemperature(15).toFixed(1)}°F`);
+    console.log(`  Hourly @ 1.5 hrs: ${hourly.getTemperature(1.5).toFixed(1)}°F, @ 5 hrs: ${hourly.getTemperature(5).toFixed(1)}°F`);
+
+    if (Math.abs(diurnal.getTemperature(5) - 70) < 0.01 && Math.abs(diurnal.getTemperature(15) - 95) < 0.01 &&
+        Math.abs(hourly.getTemperature(1.5) - 85) < 0.01 && hourly.getTemperature(5) === 90) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Unexpected outdoor temperature profile\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 7: Annual mode simulates each scheduled absence against a year of weather
+  console.log('TEST: Annual Simulation');
+  try {
+    const outdoor_temp_annual = [];
+    for (let h = 0; h < 8760; h++) {
+      const day = Math.floor(h / 24);
+      outdoor_temp_annual.push(52 - 25 * Math.cos(2 * Math.PI * (day - 15) / 365) + 9 * Math.cos(2 * Math.PI * (h % 24 - 15) / 24));
+    }
+    const inputs = {
+      floor_area: 2000,
+      ceiling_height: 8,
+      num_floors: 1,
+      window_area_percent: 15,
+      num_exterior_doors: 2,
+      construction_type: 'wood_frame',
+      construction_era: '1980_2000',
+      insulation_quality: 'average',
+      window_type: 'double_pane',
+      desired_temp: 70,
+      absence_duration: 9,
+      absence_start_time: '8:00 AM',
+      analysis_date: '2025-01-15',
+      hvac_type: 'heat_pump',
+      electricity_rate_manual: 0.15,
+      outdoor_temp_annual
+    };
+    const psychro = new Psychrometrics();
+    const annual = new AnnualSimulation(inputs).run((dayInputs, date, outdoor) => {
+      const airProps = psychro.getAirProperties(dayInputs.outdoor_temp, 50, 0);
+      const envelope = new BuildingEnvelope(dayInputs, airProps);
+      const thermalMass = new ThermalMassModel(dayInputs, envelope);
+      const hvac = new HVACPerformance(dayInputs, airProps);
+      return { hvac, energyModel: new EnergyModel(dayInputs, psychro, envelope, thermalMass, hvac, null, outdoor) };
+    });
+
+    const { scheduled_days, heating_days, cooling_days, cost_saved } = annual.annual;
+    const january = annual.monthly[0];
+    const april = annual.monthly[3];
+    console.log(`  Scheduled: ${scheduled_days} days (${heating_days} heating, ${cooling_days} cooling)`);
+    console.log(`  Saved: $${cost_saved}/year, Jan $${january.cost_saved}, Apr $${april.cost_saved}`);
+
+    if (scheduled_days === 261 && heating_days > 0 && cooling_days > 0 && cost_saved > 0 &&
+        january.cost_saved > april.cost_saved) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Annual savings should follow the seasons\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 8: EPW and TMY3 files parse to the same hourly records
+  console.log('TEST: EPW / TMY3 Weather Parser');
+  try {
+    const epwLines = [
+      'LOCATION,BOSTON LOGAN INTL ARPT,MA,USA,TMY3,725090,42.37,-71.02,-5.0,6.0',
+      'DESIGN CONDITIONS,0', 'TYPICAL/EXTREME PERIODS,0', 'GROUND TEMPERATURES,0',
+      'HOLIDAYS/DAYLIGHT SAVINGS,No,0,0,0', 'COMMENTS 1,', 'COMMENTS 2,', 'DATA PERIODS,1,1,Data,Sunday, 1/ 1,12/31'
+    ];
+    const tmyLines = [
+      '725090,"BOSTON LOGAN INT\'L ARPT",MA,-5.0,42.367,-71.017,6',
+      'Date (MM/DD/YYYY),Time (HH:MM),ETR (W/m^2),ETRN (W/m^2),GHI (W/m^2),GHI source,GHI uncert (%),DNI (W/m^2),DNI source,DNI uncert (%),Dry-bulb (C),Dry-bulb source,Dry-bulb uncert (code),Dew-point (C),Dew-point source,Dew-point uncert (code),RHum (%),RHum source,RHum uncert (code),Pressure (mbar)'
+    ];
+    const days = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+    days.forEach((count, m) => {
+      for (let d = 1; d <= count; d++) {
+        for (let h = 1; h <= 24; h++) {
+          // One missing dry-bulb reading on January 1 at 2 AM (EPW 99.9, TMY3 -9900), and a
+          // TMY3 dew point at 3 AM whose '?' source flag marks it missing despite its value
+          const missing = m === 0 && d === 1 && h === 2;
+          const flagged = m === 0 && d === 1 && h === 3;
+          epwLines.push(`1990,${m + 1},${d},${h},60,A7,${missing ? 99.9 : 10},0,50,101325,0,0,0,500,300,0`);
+          tmyLines.push(`${m + 1}/${d}/1990,${h}:00,0,0,500,1,0,300,1,0,${missing ? -9900 : 10},A,7,` +
+            `${flagged ? '25,?' : '0,A'},7,50,A,7,1013.25`);
+        }
+      }
+    });
+
+    const epw = parseEPW(epwLines.join('\n'));
+    const tmy = parseTMY3(tmyLines.join('\n'));
+    const temps = getAnnualSeries(epw, 'dry_bulb_f');
+    const first = tmy.records[0];
+    console.log(`  EPW: ${epw.records.length} hrs, station ${epw.station.name} (${epw.station.latitude}, ${epw.station.longitude})`);
+    console.log(`  TMY3 hour 1: ${first.dry_bulb_f.toFixed(1)}°F, ${first.pressure_psia.toFixed(2)} psia, DNI ${first.direct_normal.toFixed(0)} Btu/hr·ft²`);
+
+    console.log(`  TMY3 gaps filled: 2 AM dry-bulb ${tmy.records[1].dry_bulb_f.toFixed(1)}°F, 3 AM dew point ${tmy.records[2].dew_point_f.toFixed(1)}°F`);
+
+    if (temps.length === 8760 && temps[1] === 50 && Math.abs(first.dry_bulb_f - 50) < 0.01 &&
+        Math.abs(tmy.records[1].dry_bulb_f - 50) < 0.01 && Math.abs(tmy.records[2].dew_point_f - 32) < 0.01 &&
+        Math.abs(first.pressure_psia - 14.696) < 0.01 && tmy.station.latitude === 42.367) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Unexpected parsed weather\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 9: ZIP lookup resolves state, elevation, climate zone and time zone
+  console.log('TEST: ZIP Code Lookup');
+  try {
+    const denver = lookupZip('80202');
+    const phoenix = lookupZip(85001);
+    const pensacola = lookupZip('32501-1234');
+    console.log(`  80202: ${denver.state}, ${denver.elevation_ft} ft, zone ${denver.climate_zone}, ${denver.time_zone}`);
+    console.log(`  85001: ${phoenix.state}, DST ${phoenix.observes_dst}; 32501: ${pensacola.state}, ${pensacola.time_zone}`);
+    // Per-ZIP values that differ from the state defaults (TX 500 ft 2A, CO 5B, ND Central time)
+    const amarillo = lookupZip('79101');
+    const leadville = lookupZip('80461');
+    const dickinson = lookupZip('58601');
+    console.log(`  79101: ${amarillo.elevation_ft} ft, zone ${amarillo.climate_zone}; 80461: ${leadville.elevation_ft} ft, zone ${leadville.climate_zone}`);
+    console.log(`  58601: ${dickinson.county} County, ${dickinson.time_zone} (UTC${dickinson.utc_offset})`);
+
+    if (denver.state === 'CO' && denver.elevation_ft > 5000 && denver.climate_zone === '5B' &&
+        phoenix.state === 'AZ' && phoenix.observes_dst === false &&
+        pensacola.state === 'FL' && pensacola.utc_offset === -6 && lookupZip('abc') === null &&
+        amarillo.elevation_ft > 3400 && amarillo.elevation_ft < 3800 && amarillo.climate_zone === '4B' &&
+        leadville.elevation_ft > 9900 && leadville.elevation_ft < 10400 && leadville.climate_zone === '7' &&
+        dickinson.utc_offset === -7) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Unexpected ZIP lookup\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 10: Code-era homes take IECC defaults for their climate zone
+  console.log('TEST: IECC Climate Zone Defaults');
+  try {
+    const home = {
+      floor_area: 2000,
+      ceiling_height: 8,
+      num_floors: 1,
+      insulation_quality: 'average',
+      construction_era: 'after_2010'
+    };
+    const minneapolis = new BuildingEnvelope({ ...home, climate_zone: '6A' }).getUFactors();
+    const miami = new BuildingEnvelope({ ...home, climate_zone: '1A' }).getUFactors();
+    const older = new BuildingEnvelope({ ...home, construction_era: '1980_2000', climate_zone: '6A' }).getUFactors();
+    const sources = ['before_1980', '1980_2000', '2000_2010', 'after_2010'].map(construction_era => {
+      const { defaults } = new BuildingEnvelope({ ...home, construction_era, climate_zone: '6A' }).getUFactors();
+      return defaults.code_year ? `${defaults.source} ${defaults.code_year}` : defaults.source;
+    }).join();
+    console.log(`  Wall U: 6A ${minneapolis.wall.toFixed(3)}, 1A ${miami.wall.toFixed(3)} (IECC ${minneapolis.defaults.code_year})`);
+    console.log(`  Ceiling U: 6A ${minneapolis.roof.toFixed(3)}, 1A ${miami.roof.toFixed(3)}; sources by era: ${sources}`);
+
+    if (minneapolis.wall < miami.wall && minneapolis.roof < miami.roof && minneapolis.window < miami.window &&
+        minneapolis.defaults.source === 'iecc' && older.defaults.source === 'era_matrix' &&
+        sources === 'era_matrix,era_matrix,iecc 2009,iecc 2015') {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Defaults should tighten in colder zones\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 11: Layered wall sections set wall U and thermal mass
+  console.log('TEST: Layered Wall Assembly');
+  try {
+    const home = {
+      floor_area: 2000,
+      ceiling_height: 8,
+      num_floors: 1,
+      insulation_quality: 'average',
+      construction_era: '1980_2000'
+    };
+    const studWall = calculateWallAssembly([
+      { material: 'gypsum_drywall', thickness_in: 0.5 },
+      { material: 'fiberglass_batt', thickness_in: 3.5, framing: 'wood_studs' },
+      { material: 'plywood', thickness_in: 0.5 }
+    ], 0.25);
+    const frameEnvelope = new BuildingEnvelope({ ...home, wall_assembly: 'wood_frame' });
+    const brickEnvelope = new BuildingEnvelope({
+      ...home,
+      wall_assembly: { layers: [
+        { material: 'plaster', thickness_in: 0.75 },
+        { material: 'brick', thickness_in: 8 },
+        { material: 'foam_board', thickness_in: 2 },
+        { material: 'stucco', thickness_in: 0.875 }
+      ] }
+    });
+    const frameMass = new ThermalMassModel(home, frameEnvelope);
+    const brickMass = new ThermalMassModel(home, brickEnvelope);
+    console.log(`  2x4 R-13 wall: R-${studWall.R_value.toFixed(1)} effective (cavity path R-${studWall.R_cavity_path.toFixed(1)}, framing path R-${studWall.R_framing_path.toFixed(1)})`);
+    console.log(`  Exterior-insulated brick: R-${brickEnvelope.components.walls.R_value.toFixed(1)}, C ${brickMass.thermalCapacitance.toFixed(0)} vs ${frameMass.thermalCapacitance.toFixed(0)} Btu/°F`);
+
+    if (studWall.R_value > 10 && studWall.R_value < 13 &&
+        frameEnvelope.components.assumed_defaults.wall_source === 'assembly' &&
+        brickEnvelope.components.walls.R_value > 11 &&
+        brickMass.thermalCapacitance > 1.5 * frameMass.thermalCapacitance) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Assembly R or heat capacity out of range\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 12: A window schedule sets window U, SHGC and solar per window
+  console.log('TEST: Per-Window Schedule');
+  try {
+    const home = { floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000' };
+    const envelope = new BuildingEnvelope({
+      ...home,
+      window_schedule: [
+        { id: 'south', width_in: 36, height_in: 60, quantity: 4, orientation: 'south', glazing: 'double_clear', frame: 'vinyl' },
+        { id: 'north', area_sqft: 15, quantity: 4, orientation: 0, glazing: 'double_clear', frame: 'vinyl' },
+        { id: 'patio', area_sqft: 40, orientation: 'west', u_factor: 0.28, shgc: 0.25 }
+      ]
+    });
+    const { windows } = envelope.components;
+    const solar = new SolarModel({ latitude: 40, longitude: -75, standard_meridian: -75 }, new Date(Date.UTC(2025, 0, 15)));
+    const gains = Object.fromEntries(envelope.getWindowSolarGains(solar, 12).map(({ id, gain }) => [id, gain]));
+    console.log(`  Windows: ${windows.area.toFixed(0)} ft², U ${windows.U_factor.toFixed(3)}, SHGC ${windows.SHGC.toFixed(2)}`);
+    console.log(`  January noon solar: south ${gains.south.toFixed(0)}, north ${gains.north.toFixed(0)} Btu/hr`);
+
+    const UA = windows.schedule.reduce((sum, window) => sum + window.UA, 0);
+    if (Math.abs(windows.area - 160) < 1e-6 && Math.abs(windows.U_factor * windows.area - UA) < 1e-6 &&
+        windows.schedule[2].U_factor === 0.28 && windows.schedule[2].source === 'nfrc' &&
+        gains.south > 3 * gains.north &&
+        envelope.components.assumed_defaults.window_source === 'window_schedule') {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Window schedule totals or solar split wrong\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 13: Explicit footprints and party walls drive wall area and UA
+  console.log('TEST: Building Geometry and Party Walls');
+  try {
+    const home = { floor_area: 1800, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000' };
+    const box = new BuildingEnvelope(home);
+    // L-shaped ranch, 1,800 ft²: 60 × 20 wing plus a 20 × 30 ell
+    const ranch = new BuildingEnvelope({
+      ...home,
+      footprint: [[0, 0], [60, 0], [60, 20], [20, 20], [20, 50], [0, 50]]
+    });
+    const townhouse = new BuildingEnvelope({
+      ...home,
+      home_type: 'townhouse',
+      walls: [
+        { length_ft: 20, orientation: 'south' },
+        { length_ft: 45, orientation: 'east', party: true },
+        { length_ft: 20, orientation: 'north' },
+        { length_ft: 45, orientation: 'west', party: true }
+      ],
+      floor_heights: [9, 8]
+    });
+    const ranchGeometry = ranch.components.geometry;
+    const townGeometry = townhouse.components.geometry;
+    console.log(`  Perimeter: box ${box.components.geometry.perimeter.toFixed(0)} ft, L-ranch ${ranchGeometry.perimeter.toFixed(0)} ft`);
+    console.log(`  Townhouse: ${townGeometry.exterior_wall_area.toFixed(0)} ft² exterior, ${townGeometry.party_wall_area.toFixed(0)} ft² party, UA ${townhouse.getTotalUA().toFixed(0)} vs ranch ${ranch.getTotalUA().toFixed(0)}`);
+
+    if (Math.abs(ranchGeometry.footprint_area - 1800) < 1e-6 && Math.abs(ranchGeometry.perimeter - 220) < 1e-6 &&
+        ranchGeometry.walls[0].facade === 'south' && ranchGeometry.walls[1].facade === 'east' &&
+        ranchGeometry.exterior_wall_area > box.components.geometry.exterior_wall_area &&
+        townGeometry.wall_height === 17 && Math.abs(townGeometry.exterior_wall_area - 40 * 17) < 1e-6 &&
+        townhouse.components.windows.by_orientation.east === 0 &&
+        townhouse.getTotalUA() < ranch.getTotalUA()) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Geometry did not follow the footprint or party walls\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 14: Foundation type sets floor UA, ground coupling and slab mass
+  console.log('TEST: Foundation Heat Loss');
+  try {
+    const home = {
+      floor_area: 2000,
+      ceiling_height: 8,
+      num_floors: 2,
+      construction_era: 'after_2010',
+      climate_zone: '5A',
+      analysis_date: '2025-01-15'
+    };
+    const build = extra => {
+      const envelope = new BuildingEnvelope({ ...home, ...extra });
+      const { floor } = envelope.components;
+      return { envelope, floor, C: new ThermalMassModel({ ...home, ...extra }, envelope).thermalCapacitance };
+    };
+    const none = build({});
+    const slab = build({ foundation_type: 'slab' });
+    const insulatedSlab = build({ foundation_type: 'slab', slab_insulation_r: 10 });
+    const crawl = build({ foundation_type: 'vented_crawlspace' });
+    const basement = build({ foundation_type: 'conditioned_basement' });
+    const perimeter = slab.envelope.components.geometry.exterior_perimeter;
+    console.log(`  Floor UA: slab ${(slab.floor.U_factor * slab.floor.area).toFixed(0)} (R-10 edge ${(insulatedSlab.floor.U_factor * insulatedSlab.floor.area).toFixed(0)}), crawlspace ${(crawl.floor.U_factor * crawl.floor.area).toFixed(0)}, basement ${(basement.floor.U_factor * basement.floor.area).toFixed(0)} Btu/hr·°F`);
+    console.log(`  Basement ground ${basement.floor.ground_temp.toFixed(1)}°F; 10°F outdoor acts as ${basement.envelope.getEquivalentOutdoorTemp(10).toFixed(1)}°F`);
+
+    if (none.floor.area === 0 && Math.abs(slab.floor.U_factor * slab.floor.area - 0.73 * perimeter) < 1e-6 &&
+        insulatedSlab.floor.U_factor < slab.floor.U_factor &&
+        basement.floor.ground_temp > 35 && basement.envelope.getEquivalentOutdoorTemp(10) > 10 &&
+        crawl.floor.ground_weight > 0 && crawl.floor.ground_weight < 1 &&
+        slab.C > none.C && basement.C > slab.C) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Foundation UA, ground coupling or mass out of range\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 15: Attic temperature follows roof color, radiant barrier and venting
+  console.log('TEST: Attic Node');
+  try {
+    const home = { floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000' };
+    const atticAt = (extra, irradiance) => new BuildingEnvelope({ ...home, ...extra }).getAtticTemp(75, 95, irradiance);
+    const dark = atticAt({ roof_color: 'dark' }, 300);
+    const white = atticAt({ roof_color: 'white' }, 300);
+    const barrier = atticAt({ roof_color: 'dark', radiant_barrier: true }, 300);
+    const sealed = atticAt({ roof_color: 'dark', attic_ventilation: 'unvented' }, 300);
+    const night = atticAt({ roof_color: 'dark' }, 0);
+    const envelope = new BuildingEnvelope({ ...home, roof_color: 'dark' });
+    const noon = envelope.getComponentHeatTransfer(75, 95, 300).roof;
+    const ambient = envelope.components.roof.attic.UA_ceiling * (95 - 75);
+    console.log(`  Attic at 95°F, 300 Btu/hr·ft² sun: dark ${dark.toFixed(1)}, white ${white.toFixed(1)}, radiant barrier ${barrier.toFixed(1)}, unvented ${sealed.toFixed(1)}°F; night ${night.toFixed(1)}°F`);
+    console.log(`  Ceiling gain at noon ${noon.toFixed(0)} vs ${ambient.toFixed(0)} Btu/hr with the attic at outdoor temperature`);
+
+    if (dark > white + 15 && barrier < dark && sealed > dark && night < 95 && noon > 1.5 * ambient) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Attic temperatures out of order\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 16: Ducts outside the conditioned space lose more as the duct space gets harsher
+  console.log('TEST: Duct Distribution Efficiency');
+  try {
+    const airProps = { T_db: 95, altitude_ft: 0 };
+    const system = { floor_area: 2000, num_floors: 1, hvac_type: 'central_ac', heating_type: 'gas_furnace' };
+    const inside = new HVACPerformance(system, airProps);
+    const attic = new HVACPerformance({ ...system, duct_location: 'attic' }, airProps);
+    const sealed = new HVACPerformance({ ...system, duct_location: 'attic', supply_leakage_percent: 3, return_leakage_percent: 3, duct_r_value: 8 }, airProps);
+    const boiler = new HVACPerformance({ ...system, heating_type: 'gas_boiler', duct_location: 'attic' }, airProps);
+
+    const envelope = new BuildingEnvelope({ floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000', roof_color: 'dark' });
+    const T_morning = envelope.getDuctSpaceTemp('attic', 75, 85, 50);
+    const T_afternoon = envelope.getDuctSpaceTemp('attic', 75, 95, 250);
+    const eta_morning = attic.getDistributionEfficiency('cooling', 75, T_morning);
+    const eta_afternoon = attic.getDistributionEfficiency('cooling', 75, T_afternoon);
+    const eta_sealed = sealed.getDistributionEfficiency('cooling', 75, T_afternoon);
+    console.log(`  Attic ducts: ${eta_morning.toFixed(2)} with the attic at ${T_morning.toFixed(0)}°F, ${eta_afternoon.toFixed(2)} at ${T_afternoon.toFixed(0)}°F (sealed R-8: ${eta_sealed.toFixed(2)})`);
+
+    const power_inside = inside.getPowerConsumption(24000, 'cooling', 95);
+    const power_attic = attic.getPowerConsumption(24000, 'cooling', 95, eta_afternoon);
+    const eta_boiler = boiler.getDistributionEfficiency('heating', 68, 20);
+
+    if (inside.getDistributionEfficiency('cooling', 75, T_afternoon) === 1 &&
+        eta_afternoon < eta_morning && eta_morning < 1 && eta_sealed > eta_afternoon &&
+        power_attic > power_inside && eta_boiler === 1) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Distribution efficiency out of order\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 17: Mechanical ventilation adds load that heat and moisture recovery take back
+  console.log('TEST: Mechanical Ventilation');
+  try {
+    const psychro = new Psychrometrics();
+    const airProps = psychro.getAirProperties(95, 60, 0);
+    const home = { floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: 'after_2010', ventilation_cfm: 80 };
+    const envelopeFor = extra => new BuildingEnvelope({ ...home, ...extra }, airProps);
+    const none = envelopeFor({});
+    const exhaust = envelopeFor({ ventilation_type: 'exhaust' });
+    const balanced = envelopeFor({ ventilation_type: 'balanced' });
+    const hrv = envelopeFor({ ventilation_type: 'hrv' });
+    const erv = envelopeFor({ ventilation_type: 'erv' });
+    const half = envelopeFor({ ventilation_type: 'balanced', ventilation_schedule: 30 });
+    const W_indoor = psychro.getAirProperties(75, 50, 0).W;
+    const { sensible } = psychro.getHeatTransferConstants(airProps);
+    console.log(`  Ventilation UA: exhaust ${exhaust.getVentilationUA().toFixed(1)}, balanced ${balanced.getVentilationUA().toFixed(1)}, HRV ${hrv.getVentilationUA().toFixed(1)}, 30 min/hr ${half.getVentilationUA().toFixed(1)} Btu/hr·°F`);
+    console.log(`  Latent: balanced ${balanced.getVentilationLatentLoad(W_indoor).toFixed(0)}, HRV ${hrv.getVentilationLatentLoad(W_indoor).toFixed(0)}, ERV ${erv.getVentilationLatentLoad(W_indoor).toFixed(0)} Btu/hr`);
+
+    if (none.getVentilationUA() === 0 &&
+        Math.abs(balanced.getVentilationUA() - sensible * 80) < 0.01 &&
+        exhaust.getVentilationUA() > 0 && exhaust.getVentilationUA() < balanced.getVentilationUA() &&
+        hrv.getVentilationUA() < 0.5 * balanced.getVentilationUA() &&
+        Math.abs(half.getVentilationUA() - 0.5 * balanced.getVentilationUA()) < 0.01 &&
+        hrv.getVentilationLatentLoad(W_indoor) === balanced.getVentilationLatentLoad(W_indoor) &&
+        erv.getVentilationLatentLoad(W_indoor) < hrv.getVentilationLatentLoad(W_indoor) &&
+        balanced.getTotalUA() > none.getTotalUA()) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Ventilation loads out of order\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 18: Cycling at low load costs single-stage units; inverters lose at full output
+  console.log('TEST: Part-Load Factor');
+  try {
+    const airProps = { T_db: 95, altitude_ft: 0 };
+    const system = { hvac_type: 'central_ac', capacity_tons: 3, seer_rating: 16 };
+    const single = new HVACPerformance({ ...system, staging: 'single_stage' }, airProps);
+    const inverter = new HVACPerformance({ ...system, staging: 'variable_speed' }, airProps);
+    const furnace = new HVACPerformance({ ...system, heating_type: 'gas_furnace' }, airProps);
+    const perBtu = (hvac, PLR) => {
+      const Q = PLR * hvac.getCapacity('cooling', 95);
+      return hvac.getPowerConsumption(Q, 'cooling', 95) / Q;
+    };
+    console.log(`  PLF at 20% / 50% / 100% load: single-stage ${[0.2, 0.5, 1].map(PLR => single.getPartLoadFactor('cooling', PLR).toFixed(2)).join(' / ')}, ` +
+      `variable-speed ${[0.2, 0.5, 1].map(PLR => inverter.getPartLoadFactor('cooling', PLR).toFixed(2)).join(' / ')}`);
+
+    if (single.getPartLoadFactor('cooling', 0.5) === 1 &&
+        perBtu(single, 0.2) > perBtu(single, 0.5) && perBtu(single, 0.5) > perBtu(single, 1) &&
+        perBtu(inverter, 0.5) < perBtu(inverter, 1) &&
+        inverter.getPartLoadFactor('cooling', 0.2) > single.getPartLoadFactor('cooling', 0.2) &&
+        furnace.getPartLoadFactor('heating', 0.2) === 1) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Part-load factors out of order\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 19: Staged and inverter equipment offer slower recoveries the search can pick
+  console.log('TEST: Variable-Speed and Multi-Stage Equipment');
+  try {
+    const psychro = new Psychrometrics();
+    const home = {
+      floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000',
+      desired_temp: 68, outdoor_temp: 50, absence_duration: 9, hvac_type: 'heat_pump', capacity_tons: 3
+    };
+    const modelFor = extra => {
+      const inputs = { ...home, ...extra };
+      const airProps = psychro.getAirProperties(inputs.outdoor_temp, 50, 0);
+      const envelope = new BuildingEnvelope(inputs, airProps);
+      const hvac = new HVACPerformance(inputs, airProps);
+      return { hvac, energyModel: new EnergyModel(inputs, psychro, envelope, new ThermalMassModel(inputs, envelope), hvac) };
+    };
+    const single = modelFor({ staging: 'single_stage' });
+    const twoStage = modelFor({ staging: 'two_stage' });
+    const inverter = modelFor({ staging: 'variable_speed', min_capacity_btu_hr: 9000, max_capacity_btu_hr: 42000 });
+    const custom = modelFor({ stages: [{ capacity_ratio: 0.5, cop: 4.2 }, { capacity_ratio: 1.0, cop_ratio: 1.0 }] });
+
+    const singleBest = single.energyModel.findOptimalSetback(68, 50, 9);
+    const inverterBest = inverter.energyModel.findOptimalSetback(68, 50, 9);
+    const atFullOutput = inverter.energyModel.energyWithSetback(68, inverterBest.setback_temp, 50, 9, 1);
+    // The annual simulation narrows later days to the speed an earlier, similar day chose
+    const reused = inverter.energyModel.findOptimalSetback(68, 50, 9, [inverterBest.recovery_speed]);
+    const speeds = inverter.hvac.getRecoverySpeeds('heating');
+    console.log(`  Recovery speeds: single-stage ${single.hvac.getRecoverySpeeds('heating').join(', ')}; two-stage ${twoStage.hvac.getRecoverySpeeds('heating').join(', ')}; inverter ${speeds.join(', ')}`);
+    console.log(`  Single-stage: ${singleBest.setback_temp}°F, ${singleBest.savings_percentage.toFixed(1)}% saved; inverter: ${inverterBest.setback_temp}°F at ${(inverterBest.recovery_speed * 100).toFixed(0)}% output, ${inverterBest.savings_percentage.toFixed(1)}% saved`);
+
+    if (single.hvac.getRecoverySpeeds('heating').length === 1 &&
+        twoStage.hvac.getRecoverySpeeds('heating').includes(0.65) &&
+        Math.abs(inverter.hvac.getCapacity('heating', 47) - 42000) < 1 &&
+        Math.abs(speeds[speeds.length - 1] - 9000 / 42000) < 0.001 &&
+        Math.abs(custom.hvac.getStages('heating')[0].cop_ratio - 4.2 / custom.hvac.getRatedCOP('heating')) < 1e-9 &&
+        inverterBest.recovery_speed < 1 &&
+        inverterBest.energy_breakdown.E_total <= atFullOutput.E_total &&
+        reused.setback_temp === inverterBest.setback_temp && reused.recovery_speed === inverterBest.recovery_speed &&
+        inverterBest.savings_percentage < singleBest.savings_percentage) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Modulating equipment should offer and pick slower recoveries\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 20: Strips rescue recoveries the compressor cannot make, and count against the setback
+  console.log('TEST: Heat Pump Auxiliary Strip Heat');
+  try {
+    const psychro = new Psychrometrics();
+    const modelFor = (T_outdoor, absence_duration, extra) => {
+      const inputs = {
+        floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000',
+        desired_temp: 70, outdoor_temp: T_outdoor, absence_duration, hvac_type: 'heat_pump', capacity_tons: 3, ...extra
+      };
+      const airProps = psychro.getAirProperties(T_outdoor, 50, 0);
+      const envelope = new BuildingEnvelope(inputs, airProps);
+      const hvac = new HVACPerformance(inputs, airProps);
+      return { hvac, energyModel: new EnergyModel(inputs, psychro, envelope, new ThermalMassModel(inputs, envelope), hvac) };
+    };
+    const noStrips = modelFor(25, 9, { aux_heat_kw: 0 });
+    const strips = modelFor(25, 9, {});
+    const lockedOut = modelFor(25, 9, { aux_lockout_temp: 20 });
+    const shortAbsence = modelFor(20, 4, {});
+
+    const rescued = strips.energyModel.energyWithSetback(70, 60, 25, 9);
+    const best = strips.energyModel.findOptimalSetback(70, 25, 9);
+    const warned = shortAbsence.energyModel.findOptimalSetback(70, 20, 4);
+    console.log(`  ${strips.hvac.getAuxHeatKW().toFixed(1)} kW strips: 60°F setback recovers with ${rescued.E_aux.toFixed(1)} kWh of strip heat; compressor alone ${noStrips.energyModel.findOptimalSetback(70, 25, 9).action}`);
+    console.log(`  4 hr at 20°F: ${warned.action}, ${warned.warnings.join(' ')}`);
+
+    if (noStrips.energyModel.findOptimalSetback(70, 25, 9).action === 'MAINTAIN' &&
+        lockedOut.energyModel.findOptimalSetback(70, 25, 9).action === 'MAINTAIN' &&
+        rescued.E_aux > 0 && rescued.aux_time > 0 && rescued.E_recovery >= rescued.E_aux &&
+        best.action === 'SETBACK' && best.warnings.length > 0 &&
+        warned.action === 'MAINTAIN' && warned.warnings.some(warning => warning.includes('strip heat')) &&
+        modelFor(30, 9, { hvac_type: 'mini_split' }).hvac.getAuxHeatKW() === 0) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Strip heat should enable recovery and be charged to the setback\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 21: Dual fuel switches to the furnace where it is cheaper and tracks the furnace's share
+  console.log('TEST: Dual-Fuel Balance Point');
+  try {
+    const psychro = new Psychrometrics();
+    const modelFor = extra => {
+      const inputs = {
+        floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000',
+        desired_temp: 70, outdoor_temp: 30, absence_duration: 9, hvac_type: 'heat_pump', heating_type: 'dual_fuel',
+        electricity_rate_manual: 0.15, fuel_rate_manual: 1.20, ...extra
+      };
+      const airProps = psychro.getAirProperties(30, 50, 0);
+      const envelope = new BuildingEnvelope(inputs, airProps);
+      const hvac = new HVACPerformance(inputs, airProps);
+      const energyModel = new EnergyModel(inputs, psychro, envelope, new ThermalMassModel(inputs, envelope), hvac);
+      hvac.setCapacityBalancePoint(energyModel.getCapacityBalancePoint(70));
+      return { hvac, energyModel };
+    };
+    const dualFuel = modelFor({});
+    const heatPumpOnly = modelFor({ switchover_temp: 0 });
+    const { hvac } = dualFuel;
+    const balance_point = hvac.getEconomicBalancePoint();
+    // COP at which a delivered Btu costs the same: ($0.15 / 3412 Btu) / ($1.20 / (100,000 Btu × AFUE))
+    const break_even_cop = 0.15 / 3412 / (1.20 / (100000 * hvac.getAFUE()));
+
+    const maintain = dualFuel.energyModel.energyToMaintainBreakdown(70, 30, 9);
+    const setback = dualFuel.energyModel.findOptimalSetback(70, 30, 9).energy_breakdown;
+    const heatPumpMaintain = heatPumpOnly.energyModel.energyToMaintainBreakdown(70, 30, 9);
+    const cost = hvac.getEnergyCost('heating', maintain);
+    const heatPumpCost = heatPumpOnly.hvac.getEnergyCost('heating', heatPumpMaintain);
+    console.log(`  Economic balance point ${balance_point.toFixed(1)}°F (COP ${break_even_cop.toFixed(2)}), switchover ${hvac.getSwitchoverTemp().toFixed(1)}°F`);
+    console.log(`  At 30°F: ${maintain.E_backup.toFixed(2)} therm ($${cost.toFixed(2)}) to maintain, ${setback.E_backup.toFixed(2)} therm with setback; ` +
+      `heat pump only ${heatPumpMaintain.E_total.toFixed(2)} kWh ($${heatPumpCost.toFixed(2)})`);
+
+    if (Math.abs(hvac.getPerformanceAt('heating', balance_point).cop - break_even_cop) < 0.01 &&
+        hvac.usesBackupHeat('heating', balance_point - 1) && !hvac.usesBackupHeat('heating', balance_point + 1) &&
+        hvac.getSwitchoverTemp() >= balance_point &&
+        maintain.E_total === 0 && maintain.E_backup > 0 && setback.E_backup < maintain.E_backup &&
+        heatPumpMaintain.E_backup === 0 &&
+        // Below the balance point the furnace is the cheaper way to carry the same load;
+        // therms and kWh meet only in dollars
+        Math.abs(cost - maintain.E_backup * 1.20) < 1e-9 && cost < heatPumpCost &&
+        hvac.getEnergyUnit('heating') === 'kWh' && hvac.getAuxHeatKW() === 0) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Dual fuel should switch at the cost balance point and track furnace fuel\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 22: Each fuel is priced from its own rate, bill, state or national average
+  console.log('TEST: Multi-Fuel Pricing');
+  try {
+    const house = { floor_area: 2000, zip_code: '05401' }; // Vermont
+    const rates = {
+      manual: getEnergyRate({ ...house, gas_rate_manual: 1.30, fuel_rate_manual: 9 }, 'natural_gas'),
+      legacy: getEnergyRate({ ...house, fuel_rate_manual: 3.10 }, 'propane'),
+      billed: getEnergyRate({ ...house, monthly_oil_bill: 240, monthly_oil_gallons: 60 }, 'heating_oil'),
+      billOnly: getEnergyRate({ ...house, monthly_gas_bill: 120 }, 'natural_gas'),
+      state: getEnergyRate(house, 'propane'),
+      national: getEnergyRate({ ...house, zip_code: '66044' }, 'heating_oil'),
+      electric: getEnergyRate({ ...house, fuel_rate_manual: 3.10 }, 'electricity')
+    };
+    console.log(`  Gas $${rates.manual}/therm manual, $${rates.billOnly}/therm from a bill; propane $${rates.state}/gal in VT; oil $${rates.billed}/gal billed, $${rates.national}/gal national`);
+
+    // States missing from a fuel's table, unknown ZIPs and no ZIP all take the national average
+    const national = { electricity: 0.13, natural_gas: 1.45, propane: 2.80, heating_oil: 3.90 };
+    const fallbacks = Object.keys(national).filter(fuel =>
+      [{ zip_code: '66044' }, { zip_code: '00000' }, {}].every(location =>
+        getEnergyRate({ floor_area: 2000, ...location }, fuel) === national[fuel]));
+    console.log(`  National fallback in Kansas, an unknown ZIP and without a ZIP: ${fallbacks.join(', ')}`);
+
+    // Dual-fuel kWh and therms stay apart and are priced separately
+    const airProps = new Psychrometrics().getAirProperties(30, 50, 0);
+    const hvac = new HVACPerformance({ ...house, heating_type: 'dual_fuel', electricity_rate_manual: 0.20, gas_rate_manual: 1.60 }, airProps);
+    const by_fuel = hvac.getEnergyByFuel('heating', { E_total: 4, E_backup: 2 });
+
+    if (rates.manual === 1.30 && rates.legacy === 3.10 && rates.billed === 4.00 &&
+        rates.billOnly === 2.00 && rates.state === 3.30 && rates.national === 3.90 && rates.electric === 0.18 &&
+        fallbacks.length === 4 &&
+        Math.abs(by_fuel.electricity - 4) < 1e-9 && Math.abs(by_fuel.natural_gas - 2) < 1e-9 &&
+        Math.abs(hvac.getEnergyCost('heating', { E_total: 4, E_backup: 2 }) - (4 * 0.20 + 2 * 1.60)) < 1e-9 &&
+        Object.keys(hvac.getEnergyByFuel('cooling', { E_total: 5 })).join() === 'electricity') {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Fuels should be priced from rate, bill, state and national sources in turn\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 23: A short errand's setback savings are the heat kept out through a warmer envelope
+  console.log('TEST: Short Errand Heat Balance');
+  try {
+    // No cycling penalty, so any savings come from the envelope rather than part-load losses
+    const inputs = { ...TEST_SCENARIOS.short_errand.inputs, cycling_degradation: 0 };
+    const { desired_temp, outdoor_temp, absence_duration } = inputs;
+    const psychro = new Psychrometrics();
+    const airProps = psychro.getAirProperties(outdoor_temp, 50, 0);
+    const envelope = new BuildingEnvelope(inputs, airProps);
+    const thermalMass = new ThermalMassModel(inputs, envelope);
+    const hvac = new HVACPerformance(inputs, airProps);
+    const energyModel = new EnergyModel(inputs, psychro, envelope, thermalMass, hvac);
+    const maintain = energyModel.energyToMaintainBreakdown(desired_temp, outdoor_temp, absence_duration);
+    const result = energyModel.findOptimalSetback(desired_temp, outdoor_temp, absence_duration);
+    const setback = result.energy_breakdown;
+
+    // Step the unconditioned drift, then hold at the restart temperature and recover linearly
+    const UA = envelope.getTotalUA();
+    const C = thermalMass.thermalCapacitance;
+    const dt = 0.01;
+    let T = desired_temp;
+    let degree_hours = 0;
+    for (let t = 0; t < setback.drift_time; t += dt) {
+      T += (UA * (outdoor_temp - T) + energyModel.getHeatGains(t + dt / 2)) / C * dt;
+      degree_hours += (T - desired_temp) * dt;
+    }
+    const rise = setback.restart_temp - desired_temp;
+    degree_hours += rise * setback.time_at_setback + rise / 2 * setback.recovery_time;
+    const Q_kept_out = UA * degree_hours;
+    const Q_saved = (maintain.E_sensible - setback.E_sensible) * hvac.getCOP('cooling', outdoor_temp) * 3412.14;
+    console.log(`  Setback to ${result.setback_temp}°F: ${maintain.E_total.toFixed(2)} → ${setback.E_total.toFixed(2)} kWh; ` +
+      `sensible saved ${Q_saved.toFixed(0)} Btu vs UA × ${degree_hours.toFixed(2)} °F·hr = ${Q_kept_out.toFixed(0)} Btu`);
+
+    if (result.action === 'SETBACK' && setback.E_total < maintain.E_total &&
+        Math.abs(Q_saved / Q_kept_out - 1) < 0.15) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Short-errand savings should match the heat kept out by the setback\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 24: With the switchover set below the capacity balance point there are no strips,
+  // so the furnace carries whatever the heat pump cannot
+  console.log('TEST: Dual Fuel Between Switchover and Balance Point');
+  try {
+    const psychro = new Psychrometrics();
+    const modelFor = T_outdoor => {
+      const inputs = {
+        floor_area: 2000, ceiling_height: 8, num_floors: 1, construction_era: '1980_2000',
+        desired_temp: 70, outdoor_temp: T_outdoor, absence_duration: 9, hvac_type: 'heat_pump', heating_type: 'dual_fuel',
+        switchover_temp: 5, electricity_rate_manual: 0.15, fuel_rate_manual: 1.20
+      };
+      const airProps = psychro.getAirProperties(T_outdoor, 50, 0);
+      const envelope = new BuildingEnvelope(inputs, airProps);
+      const hvac = new HVACPerformance(inputs, airProps);
+      const energyModel = new EnergyModel(inputs, psychro, envelope, new ThermalMassModel(inputs, envelope), hvac);
+      hvac.setCapacityBalancePoint(energyModel.getCapacityBalancePoint(70));
+      return { hvac, energyModel };
+    };
+    const capacity_balance_point = modelFor(30).energyModel.getCapacityBalancePoint(70);
+    const T_outdoor = capacity_balance_point - 3;
+    const { hvac, energyModel } = modelFor(T_outdoor);
+    const maintain = energyModel.energyToMaintainBreakdown(70, T_outdoor, 9);
+    const result = energyModel.findOptimalSetback(70, T_outdoor, 9);
+    const setback = result.energy_breakdown;
+    console.log(`  ${T_outdoor.toFixed(1)}°F, between the 5°F switchover and the ${capacity_balance_point.toFixed(1)}°F capacity balance point`);
+    console.log(`  Maintain: ${maintain.E_total.toFixed(2)} kWh + ${maintain.E_backup.toFixed(2)} therm; ` +
+      `setback to ${result.setback_temp}°F: ${setback.E_total.toFixed(2)} kWh + ${setback.E_backup.toFixed(2)} therm, ` +
+      `${Math.round(setback.recovery_time * 60)} min recovery`);
+
+    if (hvac.getAuxHeatKW() === 0 && !hvac.usesBackupHeat('heating', T_outdoor) &&
+        hvac.needsBackupHeat('heating', T_outdoor, hvac.getCompressorCapacity('heating', T_outdoor) + 1) &&
+        maintain.E_backup > 0 && result.action === 'SETBACK' &&
+        isFinite(setback.recovery_time) && setback.E_backup > 0 && setback.E_aux === 0 &&
+        hvac.getEnergyCost('heating', setback) < hvac.getEnergyCost('heating', maintain)) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: The furnace should pick up what the heat pump cannot carry above the switchover\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 25: Measured GHI/DNI from a weather file drive the solar model in place of the clear sky
+  console.log('TEST: Measured Solar from a Weather File');
+  try {
+    // Synthetic typical year at Boston's coordinates: clear-sky irradiance, every third day
+    // overcast (a quarter of the clear-sky GHI, no beam)
+    const station = { latitude: 42.367, longitude: -71.017, standard_meridian: -75, observes_dst: false };
+    const pad = n => String(n).padStart(2, '0');
+    const tmyLines = [
+      '000000,"SYNTHETIC TEST STATION",MA,-5.0,42.367,-71.017,6',
+      'Date (MM/DD/YYYY),Time (HH:MM),GHI (W/m^2),DNI (W/m^2),Dry-bulb (C),Dew-point (C),RHum (%),Pressure (mbar)'
+    ];
+    for (let d = 0; d < 365; d++) {
+      const date = new Date(Date.UTC(1990, 0, 1 + d));
+      const clear = new SolarModel(station, date);
+      const overcastDay = d % 3 === 2;
+      for (let h = 1; h <= 24; h++) {
+        const { altitude } = clear.getPosition(h - 0.5);
+        const ghi = clear.getHorizontalIrradiance(h - 0.5) / 0.3170;
+        const dni = altitude > 0 ? clear.getDirectNormal(altitude) / 0.3170 : 0;
+        const dry = 10 - 12 * Math.cos(2 * Math.PI * (d - 15) / 365) + 4 * Math.cos(2 * Math.PI * (h - 15) / 24);
+        tmyLines.push([`${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}/1990`, `${pad(h)}:00`,
+          Math.round(overcastDay ? ghi * 0.25 : ghi), Math.round(overcastDay ? 0 : dni),
+          dry.toFixed(1), (dry - 5).toFixed(1), 70, 1016].join(','));
+      }
+    }
+    const weather = parseTMY3(tmyLines.join('\n'));
+    const measured = {
+      global_horizontal: getAnnualSeries(weather, 'global_horizontal'),
+      direct_normal: getAnnualSeries(weather, 'direct_normal')
+    };
+    const { latitude, longitude, time_zone } = weather.station;
+    const location = { latitude, longitude, standard_meridian: time_zone * 15, observes_dst: false };
+    const noonOn = (day, solarData) => {
+      const solar = new SolarModel(location, new Date(Date.UTC(2025, 0, day)), solarData);
+      return { horizontal: solar.getHorizontalIrradiance(11.5), south: solar.getVerticalIrradiance(11.5, 0) };
+    };
+    const clearSky = noonOn(1);
+    const clearDay = noonOn(1, measured);
+    const overcast = noonOn(3, measured);
+    // January 1, 11:00-12:00 standard time
+    const noonRecord = weather.records[11];
+    const noonGHI = Number(tmyLines[2 + 11].split(',')[2]);
+    console.log(`  ${weather.station.name}: ${weather.records.length} hours, Jan 1 11-12 GHI ${noonRecord.global_horizontal.toFixed(1)} Btu/hr·ft²`);
+    console.log(`  Horizontal / south at 11:30: clear sky ${clearSky.horizontal.toFixed(1)} / ${clearSky.south.toFixed(1)}, ` +
+      `file clear day ${clearDay.horizontal.toFixed(1)} / ${clearDay.south.toFixed(1)}, overcast ${overcast.horizontal.toFixed(1)} / ${overcast.south.toFixed(1)}`);
+
+    if (weather.records.length === 8760 && Math.abs(noonRecord.global_horizontal - noonGHI * 0.3170) < 1e-9 &&
+        Math.abs(clearDay.horizontal / clearSky.horizontal - 1) < 0.02 &&
+        Math.abs(clearDay.south / clearSky.south - 1) < 0.02 &&
+        Math.abs(overcast.horizontal / clearSky.horizontal - 0.25) < 0.03 &&
+        overcast.south < 0.35 * clearDay.south) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Measured irradiance should replace the clear-sky model hour by hour\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 26: Real ZIPs resolve to their county from the shipped ZCTA file
+  console.log('TEST: ZIP County Lookup');
+  try {
+    const expected = {
+      '02134': ['MA', 'Suffolk'],
+      '05401': ['VT', 'Chittenden'],
+      '66044': ['KS', 'Douglas'],
+      '60606': ['IL', 'Cook'],
+      '85001': ['AZ', 'Maricopa'],
+      '98101': ['WA', 'King']
+    };
+    const mismatches = Object.entries(expected).filter(([zip, [state, county]]) => {
+      const record = lookupZip(zip);
+      console.log(`  ${zip}: ${record.state}, ${record.county} County (${record.source})`);
+      return record.source !== 'zcta' || record.state !== state || record.county !== county;
+    });
+    // Allston's own coordinates, not the downtown Boston center the prefix fallback uses
+    const allston = lookupZip('02134');
+
+    if (mismatches.length === 0 && Math.abs(allston.latitude - 42.354) < 0.01 && Math.abs(allston.longitude + 71.133) < 0.01) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log(`  ❌ FAILED: Wrong county or source for ${mismatches.map(([zip]) => zip).join(', ') || 'coordinates'}\n`);
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
+  // Test 27: Reusing recovery speeds per outdoor-temperature bin stays close to a daily search
+  console.log('TEST: Binned vs Daily Recovery-Speed Search');
+  try {
+    const outdoor_temp_annual = [];
+    for (let h = 0; h < 8760; h++) {
+      const day = Math.floor(h / 24);
+      outdoor_temp_annual.push(52 - 25 * Math.cos(2 * Math.PI * (day - 15) / 365) + 9 * Math.cos(2 * Math.PI * (h % 24 - 15) / 24));
+    }
+    // Test 7's home with a variable-speed heat pump; one absence a week keeps the daily search quick
+    const inputs = {
+      floor_area: 2000,
+      ceiling_height: 8,
+      num_floors: 1,
+      construction_type: 'wood_frame',
+      construction_era: '1980_2000',
+      insulation_quality: 'average',
+      desired_temp: 70,
+      absence_duration: 9,
+      absence_start_time: '8:00 AM',
+      analysis_date: '2025-01-15',
+      hvac_type: 'heat_pump',
+      staging: 'variable_speed',
+      electricity_rate_manual: 0.15,
+      days_per_week: 1,
+      outdoor_temp_annual
+    };
+    const psychro = new Psychrometrics();
+    const runWithBin = recovery_speed_bin_f => new AnnualSimulation({ ...inputs, recovery_speed_bin_f }).run((dayInputs, date, outdoor) => {
+      const airProps = psychro.getAirProperties(dayInputs.outdoor_temp, 50, 0);
+      const envelope = new BuildingEnvelope(dayInputs, airProps);
+      const thermalMass = new ThermalMassModel(dayInputs, envelope);
+      const hvac = new HVACPerformance(dayInputs, airProps);
+      return { hvac, energyModel: new EnergyModel(dayInputs, psychro, envelope, thermalMass, hvac, null, outdoor) };
+    });
+    const binned = runWithBin(undefined);
+    const daily = runWithBin(0);
+    const difference = Math.abs(binned.annual.cost_saved - daily.annual.cost_saved) / daily.annual.cost_saved;
+    console.log(`  Saved: binned $${binned.annual.cost_saved}, daily $${daily.annual.cost_saved} (${(difference * 100).toFixed(2)}% apart)`);
+    console.log(`  Bin: ${binned.methodology.recovery_speed_bin_f}°F vs ${daily.methodology.recovery_speed_bin_f}°F`);
+
+    // The methodology note promises under 2%
+    if (difference < 0.02 && binned.annual.cost_maintain === daily.annual.cost_maintain &&
+        binned.methodology.recovery_speed_bin_f === 5 && daily.methodology.recovery_speed_bin_f === 0 &&
+        binned.methodology.notes.some(note => note.includes('under 2%'))) {
+      console.log('  ✅ PASSED\n');
+      passed++;
+    } else {
+      console.log('  ❌ FAILED: Binned recovery speeds should stay within 2% of a daily search\n');
+      failed++;
+    }
+  } catch (error) {
+    console.log(`  ❌ FAILED: ${error.message}\n`);
+    failed++;
+  }
+
   console.log(`Unit Tests: ${passed} passed, ${failed} failed\n`);
   return { passed, failed };
 }